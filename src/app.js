@@ -11,8 +11,18 @@ const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler, asyncErrorHandler } = require('./middlewares/error.middleware');
 const { securityHeaders, corsOptions: corsConfig } = require('./middlewares/auth.middleware');
 const cacheService = require('./services/cache.service');
+const registryService = require('./services/registry.service');
 const blockchainService = require('./services/blockchain.service');
 const webhookService = require('./services/webhook.service');
+const indexerService = require('./services/indexer.service');
+const calendarService = require('./services/calendar.service');
+const trackerService = require('./services/tracker.service');
+const relayerService = require('./services/relayer.service');
+const priceService = require('./services/price.service');
+const nonceService = require('./services/nonce.service');
+const apiKeyService = require('./services/apikey.service');
+const quotaService = require('./services/quota.service');
+const nativeAuthService = require('./services/nativeauth.service');
 
 // Import routes
 const apiRoutes = require('./routes');
@@ -60,14 +70,57 @@ class Application {
       await cacheService.initialize();
       logger.info('Cache service initialized');
       
+      // Initialize API key registry
+      await apiKeyService.initialize();
+      logger.info('API key service initialized');
+      
+      // Initialize tenant quotas and usage metering
+      await quotaService.initialize();
+      logger.info('Quota service initialized');
+      
+      // Initialize durable timestamp registry
+      await registryService.initialize();
+      logger.info('Registry service initialized');
+      
       // Initialize blockchain service
       await blockchainService.initialize();
       logger.info('Blockchain service initialized');
       
+      // Initialize nonce reservations for concurrent preparations
+      await nonceService.initialize();
+      logger.info('Nonce service initialized');
+      
+      // Initialize Native Auth (wallet-signed tokens)
+      await nativeAuthService.initialize();
+      logger.info('Native Auth service initialized');
+      
+      // Initialize EGLD price feed for cost estimates
+      await priceService.initialize();
+      logger.info('Price service initialized');
+      
+      // Initialize relayer for gasless transactions
+      await relayerService.initialize();
+      logger.info('Relayer service initialized');
+      
       // Initialize webhook service
       await webhookService.initialize();
       logger.info('Webhook service initialized');
       
+      // Initialize and start the chain indexer
+      await indexerService.initialize();
+      indexerService.start();
+      logger.info('Indexer service initialized');
+      
+      // Initialize and start the aggregation calendar
+      await calendarService.initialize();
+      calendarService.start();
+      logger.info('Calendar service initialized');
+      
+      // Initialize and start the confirmation tracker
+      await trackerService.initialize();
+      trackerService.start();
+      logger.info('Tracker service initialized');
+      
     } catch (error) {
       logger.logError(error, { operation: 'serviceInitialization' });
       throw error;
@@ -117,15 +170,21 @@ class Application {
       threshold: 1024
     }));
     
-    // Request parsing middleware
+    // Request parsing middleware (the raw body is kept for request signatures)
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+
     this.app.use(express.json({ 
       limit: config.server.maxRequestSize,
-      strict: true
+      strict: true,
+      verify: keepRawBody
     }));
     
     this.app.use(express.urlencoded({ 
       extended: true, 
-      limit: config.server.maxRequestSize
+      limit: config.server.maxRequestSize,
+      verify: keepRawBody
     }));
     
     // Serve static files from public directory
@@ -347,6 +406,15 @@ class Application {
         logger.info('HTTP server closed');
       }
       
+      // Stop background indexing, calendar flushes and confirmation polling
+      indexerService.stop();
+      calendarService.stop();
+      trackerService.stop();
+      
+      // Flush pending registry writes
+      await registryService.close();
+      logger.info('Registry service closed');
+      
       // Close service connections
       await cacheService.close();
       logger.info('Cache service disconnected');
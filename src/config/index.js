@@ -10,7 +10,11 @@ const config = {
     port: process.env.PORT || 3000,
     host: process.env.HOST || 'localhost',
     env: process.env.NODE_ENV || 'development',
-    apiKey: process.env.API_KEYS || process.env.API_KEY || 'default-api-key'
+    // Operator keys from the environment (every scope, tenant 'default'); tenant keys live in the key registry
+    apiKeys: (process.env.API_KEYS || process.env.API_KEY || 'default-api-key')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
   },
 
   // MultiversX configuration
@@ -20,8 +24,38 @@ const config = {
     chainId: process.env.MULTIVERSX_CHAIN_ID || '1',
     walletMnemonic: process.env.MULTIVERSX_WALLET_MNEMONIC,
     network: process.env.MULTIVERSX_NETWORK || 'mainnet',
-    gasLimit: parseInt(process.env.GAS_LIMIT) || 50000,
-    gasPrice: parseInt(process.env.GAS_PRICE) || 1000000000
+    contractAddress: process.env.MULTIVERSX_CONTRACT_ADDRESS,
+    // Gas limits are computed from the network config; the price is raised to its MinGasPrice
+    gasPrice: parseInt(process.env.GAS_PRICE) || 1000000000,
+    verifyScanLimit: parseInt(process.env.VERIFY_SCAN_LIMIT) || 500,
+    // 'user' (default): transactions are signed with xPortal; 'custodial': signed by the service wallet
+    signingMode: process.env.SIGNING_MODE || 'user',
+    keystorePath: process.env.MULTIVERSX_KEYSTORE_PATH,
+    keystorePassword: process.env.MULTIVERSX_KEYSTORE_PASSWORD,
+    pemPath: process.env.MULTIVERSX_PEM_PATH
+  },
+
+  // Relayed (gasless) transactions paid by the service wallet
+  relayer: {
+    enabled: process.env.RELAYER_ENABLED === 'true',
+    budget: process.env.RELAYER_BUDGET || '0.1', // EGLD per API key and period
+    budgetPeriod: parseInt(process.env.RELAYER_BUDGET_PERIOD) || 86400 // seconds
+  },
+
+  // Gas price of `options.priority: 'high'` transactions
+  priority: {
+    highMultiplier: parseFloat(process.env.PRIORITY_HIGH_MULTIPLIER) || 1.5,
+    maxMultiplier: parseFloat(process.env.PRIORITY_MAX_MULTIPLIER) || 3,
+    maxGasPrice: parseInt(process.env.PRIORITY_MAX_GAS_PRICE) || 5000000000
+  },
+
+  // EGLD fiat prices for cost estimates
+  price: {
+    provider: process.env.PRICE_PROVIDER || 'coingecko', // coingecko, multiversx or static
+    currencies: (process.env.PRICE_CURRENCIES || 'usd,eur').split(',').map(currency => currency.trim().toLowerCase()).filter(Boolean),
+    staticRates: process.env.PRICE_STATIC_RATES || 'usd=50,eur=45',
+    cacheTtl: parseInt(process.env.PRICE_CACHE_TTL) || 60000, // ms
+    maxAge: parseInt(process.env.PRICE_MAX_AGE) || 900000 // ms, older rates are not used
   },
 
   // Redis configuration
@@ -31,6 +65,86 @@ const config = {
     password: process.env.REDIS_PASSWORD || null
   },
 
+  // Timestamp registry (durable storage)
+  registry: {
+    path: process.env.REGISTRY_PATH || './data/registry'
+  },
+
+  // Merkle batch anchoring
+  batch: {
+    maxLeaves: parseInt(process.env.BATCH_MAX_LEAVES) || 1000
+  },
+
+  // Default quotas of tenant keys (unset or 0: unlimited), overridden per tenant by admins
+  quotas: {
+    timestampsDaily: parseInt(process.env.QUOTA_TIMESTAMPS_DAILY) || null,
+    timestampsMonthly: parseInt(process.env.QUOTA_TIMESTAMPS_MONTHLY) || null,
+    verificationsDaily: parseInt(process.env.QUOTA_VERIFICATIONS_DAILY) || null,
+    verificationsMonthly: parseInt(process.env.QUOTA_VERIFICATIONS_MONTHLY) || null,
+    // Hashes or documents in one request
+    maxBatchSize: parseInt(process.env.QUOTA_MAX_BATCH_SIZE) || null,
+    // Relayed fees paid by the service wallet (EGLD)
+    relayedFeesDaily: parseFloat(process.env.QUOTA_RELAYED_FEES_DAILY) || null,
+    relayedFeesMonthly: parseFloat(process.env.QUOTA_RELAYED_FEES_MONTHLY) || null
+  },
+
+  // Multipart file uploads (hashed as streams, never buffered)
+  upload: {
+    maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 100 * 1024 * 1024, // bytes
+    maxTotalSize: parseInt(process.env.UPLOAD_MAX_TOTAL_SIZE) || 500 * 1024 * 1024, // bytes per request, archive entries inflated
+    maxBulkFiles: parseInt(process.env.UPLOAD_MAX_BULK_FILES) || 500 // files and archive entries
+  },
+
+  // Object serialization before hashing ('v1' legacy, 'v2' RFC 8785) and default digest
+  hash: {
+    scheme: process.env.HASH_SCHEME || 'v2',
+    algorithm: process.env.HASH_ALGORITHM || 'sha256'
+  },
+
+  // Aggregation calendar
+  calendar: {
+    enabled: process.env.CALENDAR_ENABLED === 'true',
+    interval: parseInt(process.env.CALENDAR_INTERVAL) || 600, // seconds
+    intervalBlocks: parseInt(process.env.CALENDAR_INTERVAL_BLOCKS) || null
+  },
+
+  // Chain indexer
+  indexer: {
+    enabled: process.env.INDEXER_ENABLED === 'true',
+    interval: parseInt(process.env.INDEXER_INTERVAL) || 30000,
+    pageSize: parseInt(process.env.INDEXER_PAGE_SIZE) || 50,
+    startTimestamp: parseInt(process.env.INDEXER_START_TIMESTAMP) || 0,
+    backfill: process.env.INDEXER_BACKFILL === 'true'
+  },
+
+  // Confirmation tracker for pending transactions
+  tracker: {
+    enabled: process.env.TRACKER_ENABLED !== 'false',
+    interval: parseInt(process.env.TRACKER_INTERVAL) || 5000,
+    maxBackoff: parseInt(process.env.TRACKER_MAX_BACKOFF) || 300000,
+    // Transactions still unknown to the network after this delay are marked failed
+    maxAge: parseInt(process.env.TRACKER_MAX_AGE) || 3600000
+  },
+
+  // Nonce reservations shared by every PM2 worker
+  nonce: {
+    // A sent transaction keeps its nonce until the account nonce passes it, or for this long (seconds)
+    pendingTtl: parseInt(process.env.NONCE_PENDING_TTL) || 600
+  },
+
+  // MultiversX Native Auth (wallet-signed tokens proving the address of the caller)
+  nativeAuth: {
+    // Origins the tokens may be bound to (Native Auth tokens are refused when empty)
+    acceptedOrigins: (process.env.NATIVE_AUTH_ACCEPTED_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+    // Longest token lifetime accepted (seconds)
+    maxExpiry: parseInt(process.env.NATIVE_AUTH_MAX_EXPIRY) || 86400,
+    // Require a token on the endpoints acting for an address (userAddress must then match it)
+    required: process.env.NATIVE_AUTH_REQUIRED === 'true'
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -48,7 +162,13 @@ const config = {
   // Security
   security: {
     corsOrigin: process.env.CORS_ORIGIN || '*',
-    helmetEnabled: process.env.HELMET_ENABLED === 'true'
+    helmetEnabled: process.env.HELMET_ENABLED === 'true',
+    // Seconds during which the previous secret of a rotated API key is still accepted
+    apiKeyRotationGrace: parseInt(process.env.API_KEY_ROTATION_GRACE) || 86400,
+    // Server secret the signing secrets of tenant keys are derived from (signed requests off without it)
+    requestSigningSecret: process.env.REQUEST_SIGNING_SECRET || null,
+    // Accepted clock difference of signed requests (seconds)
+    signatureMaxSkew: parseInt(process.env.SIGNATURE_MAX_SKEW) || 300
   },
 
   // Webhook configuration
@@ -67,7 +187,7 @@ const config = {
 // Note: MULTIVERSX_WALLET_MNEMONIC validation supprimée car l'utilisateur signe avec xPortal
 // Le service ne nécessite plus de mnémonique interne
 
-if (!config.server.apiKey || config.server.apiKey === 'default-api-key') {
+if (config.server.apiKeys.length === 0 || config.server.apiKeys.includes('default-api-key')) {
   console.warn('⚠️  Warning: Using default API key. Please set API_KEYS or API_KEY environment variable.');
 }
 
@@ -1,14 +1,26 @@
+const fs = require('fs');
 const { ApiNetworkProvider } = require('@multiversx/sdk-network-providers');
+const { UserSigner } = require('@multiversx/sdk-wallet');
 const config = require('./index');
 
-// Note: Wallet imports supprimés car l'utilisateur signe avec xPortal
-// const { UserWallet } = require('@multiversx/sdk-wallet');
-// const { Mnemonic } = require('@multiversx/sdk-wallet');
+// Gas schedule of the network, refreshed every 10 minutes
+const GAS_CONFIG_TTL = 10 * 60 * 1000;
+// Mainnet values, used while the network config cannot be fetched
+const DEFAULT_GAS_CONFIG = {
+  minGasLimit: 50000,
+  gasPerDataByte: 1500,
+  gasPriceModifier: 0.01,
+  minGasPrice: 1000000000
+};
+
+// Par défaut l'utilisateur signe avec xPortal ; le wallet du service n'est chargé
+// qu'en mode custodial (SIGNING_MODE=custodial) ou quand il relaie les transactions (RELAYER_ENABLED=true)
 
 class MultiversXConfig {
   constructor() {
     this.networkProvider = null;
-    this.wallet = null;
+    this.signer = null;
+    this.gasConfig = null;
     this.initialized = false;
   }
 
@@ -19,11 +31,15 @@ class MultiversXConfig {
         timeout: 10000
       });
 
-      // Note: Wallet initialization supprimée - l'utilisateur signe avec xPortal
-      // Plus besoin de mnémonique côté service
+      if (this.isCustodial() || config.relayer.enabled) {
+        this.signer = this.loadSigner();
+        const mode = this.isCustodial() ? 'Custodial mode' : 'User-signing mode with relayer';
+        console.log(`✅ MultiversX configuration initialized successfully (${mode}, wallet ${this.signer.getAddress().bech32()})`);
+      } else {
+        console.log('✅ MultiversX configuration initialized successfully (User-signing mode)');
+      }
 
       this.initialized = true;
-      console.log('✅ MultiversX configuration initialized successfully (User-signing mode)');
     } catch (error) {
       console.error('❌ Failed to initialize MultiversX configuration:', error.message);
       throw error;
@@ -37,24 +53,105 @@ class MultiversXConfig {
     return this.networkProvider;
   }
 
-  // getWallet() supprimée - l'utilisateur signe avec xPortal
-  // Le service ne gère plus de wallet interne
+  /**
+   * Whether the service wallet signs and broadcasts the transactions
+   * @returns {boolean} True in custodial mode
+   */
+  isCustodial() {
+    return config.multiversx.signingMode === 'custodial';
+  }
+
+  /**
+   * Load the service wallet from an encrypted JSON keystore, or from a PEM file
+   * @returns {UserSigner} Signer of the service wallet
+   */
+  loadSigner() {
+    const { keystorePath, keystorePassword, pemPath } = config.multiversx;
+
+    if (keystorePath) {
+      if (!keystorePassword) {
+        throw new Error('MULTIVERSX_KEYSTORE_PASSWORD is required to decrypt the keystore');
+      }
+      const keyFile = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+      return UserSigner.fromWallet(keyFile, keystorePassword);
+    }
+
+    if (pemPath) {
+      return UserSigner.fromPem(fs.readFileSync(pemPath, 'utf8'));
+    }
+
+    throw new Error('Custodial signing and relaying require MULTIVERSX_KEYSTORE_PATH or MULTIVERSX_PEM_PATH');
+  }
+
+  /**
+   * Get the service wallet signer (custodial mode or relayer enabled)
+   * @returns {UserSigner} Signer of the service wallet
+   */
+  getSigner() {
+    if (!this.signer) {
+      throw new Error('Service wallet not loaded (SIGNING_MODE is not custodial and RELAYER_ENABLED is not true)');
+    }
+    return this.signer;
+  }
 
   getChainId() {
     return config.multiversx.chainId;
   }
 
-  getGasConfig() {
-    return {
-      gasLimit: config.multiversx.gasLimit,
-      gasPrice: config.multiversx.gasPrice
-    };
+  /**
+   * Get the gas schedule of the network (MinGasLimit, GasPerDataByte, GasPriceModifier)
+   * and the gas price to use (GAS_PRICE, at least the network MinGasPrice)
+   * @returns {object} Gas configuration
+   */
+  async getGasConfig() {
+    if (!this.gasConfig || Date.now() - this.gasConfig.fetchedAt > GAS_CONFIG_TTL) {
+      try {
+        const networkConfig = await this.getNetworkProvider().getNetworkConfig();
+        this.gasConfig = {
+          minGasLimit: networkConfig.MinGasLimit,
+          gasPerDataByte: networkConfig.GasPerDataByte,
+          gasPriceModifier: networkConfig.GasPriceModifier,
+          minGasPrice: networkConfig.MinGasPrice,
+          fetchedAt: Date.now()
+        };
+      } catch (error) {
+        // Keep the last known schedule, the defaults before the first fetch
+        console.warn('⚠️  Failed to fetch the network gas config:', error.message);
+        if (!this.gasConfig) {
+          return { ...DEFAULT_GAS_CONFIG, gasPrice: Math.max(config.multiversx.gasPrice, DEFAULT_GAS_CONFIG.minGasPrice) };
+        }
+      }
+    }
+
+    const { fetchedAt, ...gasConfig } = this.gasConfig;
+    return { ...gasConfig, gasPrice: Math.max(config.multiversx.gasPrice, gasConfig.minGasPrice) };
   }
 
+  /**
+   * Get the configured receiver of timestamp transactions (MULTIVERSX_CONTRACT_ADDRESS)
+   * @returns {string} Receiver address, or null when timestamps are self-transfers
+   */
   getContractAddress() {
-    // For timestamp transactions, we can use a standard address or the zero address
-    // Since we're storing data in transaction payload, not calling a smart contract
-    return config.multiversx.contractAddress || 'erd1qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqq6gq4c5a4r';
+    return config.multiversx.contractAddress || null;
+  }
+
+  /**
+   * Get the receiver of a timestamp transaction: the configured address, or the
+   * sender itself. Never the zero address, which the protocol treats as a
+   * smart contract deployment.
+   * @param {string} sender - Sender address (null when the user picks the wallet)
+   * @returns {string} Receiver address, or null for a self-transfer by an unknown sender
+   */
+  getReceiver(sender = null) {
+    return this.getContractAddress() || sender;
+  }
+
+  /**
+   * Get the address of the service wallet when it sends the timestamps
+   * @returns {string} Service wallet address, or null in user-signing mode
+   */
+  getCustodialAddress() {
+    return this.isCustodial() && this.signer ? this.signer.getAddress().bech32() : null;
   }
 
   getExplorerUrl(transactionHash) {
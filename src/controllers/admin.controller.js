@@ -0,0 +1,236 @@
+const apiKeyService = require('../services/apikey.service');
+const quotaService = require('../services/quota.service');
+const indexerService = require('../services/indexer.service');
+const ResponseUtils = require('../utils/response');
+const logger = require('../utils/logger');
+const { asyncErrorHandler } = require('../middlewares/error.middleware');
+
+class AdminController {
+  /**
+   * Create an API key for a tenant (the key and its signing secret are only returned here)
+   * POST /api/v1/admin/api-keys
+   */
+  static createApiKey = asyncErrorHandler(async (req, res) => {
+    const { tenantId, name, scopes, expiresAt } = req.body;
+
+    try {
+      const { key, signingSecret, apiKey } = await apiKeyService.create({
+        tenantId,
+        name,
+        scopes,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null
+      });
+
+      logger.info('API key created by admin', { id: apiKey.id, tenantId, createdBy: req.apiKey.id });
+
+      return ResponseUtils.success(res, {
+        key,
+        signingSecret,
+        apiKey,
+        warning: 'Store this key now: it cannot be retrieved again'
+      }, 'API key created', 201);
+    } catch (error) {
+      logger.logError(error, { operation: 'createApiKey', tenantId });
+      return ResponseUtils.error(res, error.message, 503, 'AUTH_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * List API keys, optionally of one tenant
+   * GET /api/v1/admin/api-keys
+   */
+  static listApiKeys = asyncErrorHandler(async (req, res) => {
+    const { tenantId } = req.query;
+
+    try {
+      const apiKeys = await apiKeyService.list(tenantId);
+
+      return ResponseUtils.success(res, {
+        total: apiKeys.length,
+        apiKeys
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'listApiKeys', tenantId });
+      return ResponseUtils.error(res, error.message, 503, 'AUTH_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * Get an API key
+   * GET /api/v1/admin/api-keys/:id
+   */
+  static getApiKey = asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const apiKey = await apiKeyService.get(id);
+      if (!apiKey) {
+        return ResponseUtils.notFound(res, 'API key');
+      }
+
+      return ResponseUtils.success(res, { apiKey });
+    } catch (error) {
+      logger.logError(error, { operation: 'getApiKey', id });
+      return ResponseUtils.error(res, error.message, 503, 'AUTH_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * Rotate an API key: a new key is returned and the previous one is accepted for a grace period
+   * POST /api/v1/admin/api-keys/:id/rotate
+   */
+  static rotateApiKey = asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { gracePeriod } = req.body;
+
+    try {
+      const rotated = await apiKeyService.rotate(id, gracePeriod);
+      if (!rotated) {
+        return ResponseUtils.notFound(res, 'API key');
+      }
+
+      logger.info('API key rotated by admin', { id, gracePeriod, rotatedBy: req.apiKey.id });
+
+      return ResponseUtils.success(res, {
+        key: rotated.key,
+        signingSecret: rotated.signingSecret,
+        apiKey: rotated.apiKey,
+        warning: 'Store this key now: it cannot be retrieved again'
+      }, 'API key rotated');
+    } catch (error) {
+      logger.logError(error, { operation: 'rotateApiKey', id });
+      return ResponseUtils.error(res, error.message, 503, 'AUTH_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * Disable an API key (kept in the registry, refused until enabled again)
+   * POST /api/v1/admin/api-keys/:id/disable
+   */
+  static disableApiKey = asyncErrorHandler(async (req, res) => {
+    return AdminController.setApiKeyDisabled(req, res, true);
+  });
+
+  /**
+   * Enable a disabled API key
+   * POST /api/v1/admin/api-keys/:id/enable
+   */
+  static enableApiKey = asyncErrorHandler(async (req, res) => {
+    return AdminController.setApiKeyDisabled(req, res, false);
+  });
+
+  /**
+   * Disable or enable an API key
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {boolean} disabled - True to disable
+   */
+  static async setApiKeyDisabled(req, res, disabled) {
+    const { id } = req.params;
+
+    try {
+      const apiKey = await apiKeyService.setDisabled(id, disabled);
+      if (!apiKey) {
+        return ResponseUtils.notFound(res, 'API key');
+      }
+
+      logger.info(disabled ? 'API key disabled by admin' : 'API key enabled by admin', { id, by: req.apiKey.id });
+
+      return ResponseUtils.success(res, { apiKey }, disabled ? 'API key disabled' : 'API key enabled');
+    } catch (error) {
+      logger.logError(error, { operation: disabled ? 'disableApiKey' : 'enableApiKey', id });
+      return ResponseUtils.error(res, error.message, 503, 'AUTH_UNAVAILABLE');
+    }
+  }
+
+  /**
+   * Delete an API key (it stops authenticating immediately)
+   * DELETE /api/v1/admin/api-keys/:id
+   */
+  static deleteApiKey = asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const apiKey = await apiKeyService.get(id);
+      if (!apiKey) {
+        return ResponseUtils.notFound(res, 'API key');
+      }
+
+      await apiKeyService.delete(id);
+      logger.info('API key deleted by admin', { id, tenantId: apiKey.tenantId, deletedBy: req.apiKey.id });
+
+      return ResponseUtils.success(res, { id, deleted: true }, 'API key deleted');
+    } catch (error) {
+      logger.logError(error, { operation: 'deleteApiKey', id });
+      return ResponseUtils.error(res, error.message, 503, 'AUTH_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * Get the quota limits of a tenant
+   * GET /api/v1/admin/tenants/:tenantId/quotas
+   */
+  static getTenantQuotas = asyncErrorHandler(async (req, res) => {
+    const { tenantId } = req.params;
+
+    return ResponseUtils.success(res, {
+      tenantId,
+      limits: await quotaService.getLimits(tenantId)
+    });
+  });
+
+  /**
+   * Override the quota limits of a tenant
+   * PUT /api/v1/admin/tenants/:tenantId/quotas
+   */
+  static setTenantQuotas = asyncErrorHandler(async (req, res) => {
+    const { tenantId } = req.params;
+
+    try {
+      const limits = await quotaService.setLimits(tenantId, req.body);
+      logger.info('Tenant quotas set by admin', { tenantId, by: req.apiKey.id });
+
+      return ResponseUtils.success(res, { tenantId, limits }, 'Tenant quotas updated');
+    } catch (error) {
+      logger.logError(error, { operation: 'setTenantQuotas', tenantId });
+      return ResponseUtils.error(res, error.message, 503, 'QUOTA_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * Reset the quota limits of a tenant to the defaults
+   * DELETE /api/v1/admin/tenants/:tenantId/quotas
+   */
+  static resetTenantQuotas = asyncErrorHandler(async (req, res) => {
+    const { tenantId } = req.params;
+
+    try {
+      const limits = await quotaService.resetLimits(tenantId);
+      logger.info('Tenant quotas reset by admin', { tenantId, by: req.apiKey.id });
+
+      return ResponseUtils.success(res, { tenantId, limits }, 'Tenant quotas reset');
+    } catch (error) {
+      logger.logError(error, { operation: 'resetTenantQuotas', tenantId });
+      return ResponseUtils.error(res, error.message, 503, 'QUOTA_UNAVAILABLE');
+    }
+  });
+
+  /**
+   * Rescan the transactions of an address into the registry (in the background)
+   * POST /api/v1/admin/indexer/backfill
+   */
+  static backfillIndexer = asyncErrorHandler(async (req, res) => {
+    const { address, fromTimestamp } = req.body;
+
+    const { started, backfill } = indexerService.startBackfill(address, fromTimestamp);
+    if (!started) {
+      return ResponseUtils.error(res, 'A backfill of this address is already running', 409, 'BACKFILL_IN_PROGRESS', { backfill });
+    }
+
+    logger.info('Indexer backfill requested by admin', { ...backfill, by: req.apiKey.id });
+
+    return ResponseUtils.success(res, { backfill }, 'Backfill started', 202);
+  });
+}
+
+module.exports = AdminController;
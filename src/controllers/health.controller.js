@@ -1,6 +1,7 @@
 const blockchainService = require('../services/blockchain.service');
 const cacheService = require('../services/cache.service');
 const webhookService = require('../services/webhook.service');
+const indexerService = require('../services/indexer.service');
 const ResponseUtils = require('../utils/response');
 const logger = require('../utils/logger');
 const { asyncErrorHandler } = require('../middlewares/error.middleware');
@@ -50,6 +51,7 @@ class HealthController {
         };
         
         healthData.webhook = webhookService.getStats();
+        healthData.indexer = indexerService.getStats();
         
         healthData.environment = {
           nodeEnv: config.server.env,
@@ -1,8 +1,12 @@
 const blockchainService = require('../services/blockchain.service');
 const webhookService = require('../services/webhook.service');
+const registryService = require('../services/registry.service');
+const calendarService = require('../services/calendar.service');
+const trackerService = require('../services/tracker.service');
 const ResponseUtils = require('../utils/response');
 const HashUtils = require('../utils/hash');
 const logger = require('../utils/logger');
+const config = require('../config');
 const { asyncErrorHandler } = require('../middlewares/error.middleware');
 
 class TimestampController {
@@ -17,27 +21,58 @@ class TimestampController {
     try {
       const { data, metadata: reqMetadata = {}, options = {} } = req.body;
       metadata = reqMetadata;
-      const { callbackUrl, priority = 'normal' } = options;
+      const { callbackUrl, priority = 'normal', mode = 'single', algorithm = config.hash.algorithm } = options;
       
       logger.info('Creating timestamp', {
         dataType: typeof data,
         hasMetadata: Object.keys(metadata).length > 0,
         hasCallback: !!callbackUrl,
         priority,
+        mode,
+        algorithm,
         userId: metadata.userId
       });
       
       // Generate data hash for logging
-      const dataHash = HashUtils.sha256(data);
+      const hashScheme = config.hash.scheme;
+      const dataHash = HashUtils.hash(data, algorithm, hashScheme);
+      
+      // Aggregate mode: queue the hash for the next calendar round
+      if (mode === 'aggregate') {
+        if (!config.calendar.enabled) {
+          return ResponseUtils.error(res, 'Aggregation calendar disabled (set CALENDAR_ENABLED=true to enable)', 400, 'CALENDAR_DISABLED');
+        }
+
+        const receipt = await calendarService.enqueue(dataHash, metadata, { callbackUrl, hashScheme, algorithm, priority });
+        
+        logger.logPerformance('createTimestamp', Date.now() - startTime, {
+          dataHash,
+          mode,
+          status: receipt.status
+        });
+        
+        return ResponseUtils.success(
+          res,
+          receipt,
+          'Hash queued for the next calendar round',
+          202
+        );
+      }
       
       // Create timestamp on blockchain
-      const timestampResult = await blockchainService.createTimestamp(data, metadata);
+      const timestampResult = await blockchainService.createTimestamp(data, metadata, { algorithm, callbackUrl, priority });
       
-      // Prepare response for user signing mode
+      // Transaction data to sign with xPortal, or the sent transaction in custodial mode
       const response = {
         success: timestampResult.success,
         dataHash: timestampResult.dataHash,
+        hashScheme: timestampResult.hashScheme,
+        algorithm: timestampResult.algorithm,
+        multihash: timestampResult.multihash,
         timestamp: timestampResult.timestamp,
+        status: timestampResult.status,
+        transactionHash: timestampResult.transactionHash,
+        explorerUrl: timestampResult.explorerUrl,
         transactionData: timestampResult.transactionData,
         estimatedCost: timestampResult.estimatedCost,
         message: timestampResult.message,
@@ -129,13 +164,291 @@ class TimestampController {
     }
   });
   
+  /**
+   * Create a timestamp for an uploaded file (hashed as a stream by the upload middleware)
+   * POST /api/v1/timestamp/file
+   */
+  static createFileTimestamp = asyncErrorHandler(async (req, res) => {
+    const startTime = Date.now();
+    const [upload] = req.upload.files;
+    const { metadata = {}, callbackUrl, mode = 'single', priority = 'normal' } = req.body;
+    const file = {
+      name: upload.name,
+      size: upload.size,
+      mimeType: upload.mimeType
+    };
+    
+    try {
+      logger.info('Creating file timestamp', {
+        ...file,
+        algorithm: upload.algorithm,
+        mode,
+        priority,
+        hasCallback: !!callbackUrl,
+        userId: metadata.userId
+      });
+      
+      // Aggregate mode: queue the digest for the next calendar round
+      if (mode === 'aggregate') {
+        if (!config.calendar.enabled) {
+          return ResponseUtils.error(res, 'Aggregation calendar disabled (set CALENDAR_ENABLED=true to enable)', 400, 'CALENDAR_DISABLED');
+        }
+
+        const receipt = await calendarService.enqueue(upload.digest, metadata, {
+          callbackUrl,
+          algorithm: upload.algorithm,
+          file,
+          priority
+        });
+        
+        logger.logPerformance('createFileTimestamp', Date.now() - startTime, {
+          dataHash: upload.digest,
+          mode,
+          size: file.size
+        });
+        
+        return ResponseUtils.success(
+          res,
+          { ...receipt, algorithm: upload.algorithm, file },
+          'File digest queued for the next calendar round',
+          202
+        );
+      }
+      
+      const timestampResult = await blockchainService.createDigestTimestamp(upload.digest, metadata, {
+        algorithm: upload.algorithm,
+        file,
+        callbackUrl,
+        priority
+      });
+      
+      const response = {
+        success: timestampResult.success,
+        dataHash: timestampResult.dataHash,
+        algorithm: timestampResult.algorithm,
+        multihash: timestampResult.multihash,
+        file,
+        timestamp: timestampResult.timestamp,
+        status: timestampResult.status,
+        transactionHash: timestampResult.transactionHash,
+        explorerUrl: timestampResult.explorerUrl,
+        transactionData: timestampResult.transactionData,
+        estimatedCost: timestampResult.estimatedCost,
+        message: timestampResult.message,
+        instructions: timestampResult.instructions
+      };
+      
+      if (callbackUrl) {
+        setImmediate(async () => {
+          try {
+            await webhookService.notifyTimestampCreated(callbackUrl, timestampResult, metadata);
+          } catch (webhookError) {
+            logger.error('Webhook notification failed', {
+              callbackUrl,
+              dataHash: timestampResult.dataHash,
+              error: webhookError.message
+            });
+          }
+        });
+      }
+      
+      logger.logPerformance('createFileTimestamp', Date.now() - startTime, {
+        dataHash: upload.digest,
+        size: file.size,
+        hasWebhook: !!callbackUrl
+      });
+      
+      return ResponseUtils.timestampCreated(res, response, metadata);
+      
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'createFileTimestamp',
+        duration: Date.now() - startTime,
+        file
+      });
+      
+      if (callbackUrl) {
+        setImmediate(async () => {
+          try {
+            await webhookService.notifyError(callbackUrl, 'timestamp.creation', error, metadata);
+          } catch (webhookError) {
+            logger.error('Error webhook notification failed', {
+              callbackUrl,
+              error: webhookError.message
+            });
+          }
+        });
+      }
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to create file timestamp',
+        500,
+        'TIMESTAMP_CREATION_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
+  /**
+   * Anchor many hashes under a single Merkle root transaction
+   * POST /api/v1/timestamp/batch
+   */
+  static createBatch = asyncErrorHandler(async (req, res) => {
+    const startTime = Date.now();
+    const { hashes, metadata = {}, options = {} } = req.body;
+    const { callbackUrl, priority = 'normal', algorithm = config.hash.algorithm } = options;
+    
+    try {
+      logger.info('Creating batch timestamp', {
+        count: hashes.length,
+        priority,
+        hasCallback: !!callbackUrl,
+        userId: metadata.userId
+      });
+      
+      const batchResult = await blockchainService.createBatchTimestamp(hashes, metadata, { algorithm, callbackUrl, priority });
+      
+      if (callbackUrl) {
+        setImmediate(async () => {
+          try {
+            await webhookService.notifyTimestampCreated(callbackUrl, batchResult, metadata);
+          } catch (webhookError) {
+            logger.error('Batch webhook notification failed', {
+              callbackUrl,
+              merkleRoot: batchResult.merkleRoot,
+              error: webhookError.message
+            });
+          }
+        });
+      }
+      
+      const duration = Date.now() - startTime;
+      logger.logPerformance('createBatch', duration, {
+        merkleRoot: batchResult.merkleRoot,
+        leafCount: batchResult.leafCount,
+        hasWebhook: !!callbackUrl
+      });
+      
+      return ResponseUtils.timestampCreated(res, batchResult, metadata);
+      
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'createBatch',
+        duration: Date.now() - startTime,
+        count: hashes.length
+      });
+      
+      if (callbackUrl) {
+        setImmediate(async () => {
+          try {
+            await webhookService.notifyError(callbackUrl, 'timestamp.batch', error, metadata);
+          } catch (webhookError) {
+            logger.error('Error webhook notification failed', {
+              callbackUrl,
+              error: webhookError.message
+            });
+          }
+        });
+      }
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to create batch timestamp',
+        500,
+        'BATCH_TIMESTAMP_CREATION_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
+  /**
+   * Get the Merkle inclusion proof of a batched hash
+   * GET /api/v1/timestamp/proof/:hash
+   */
+  static getProof = asyncErrorHandler(async (req, res) => {
+    try {
+      const { hash } = req.params;
+      
+      const verificationResult = await blockchainService.verifyTimestamp(hash);
+      const record = verificationResult.timestamp;
+      
+      if (record && record.status === registryService.STATUS.QUEUED) {
+        return ResponseUtils.success(res, {
+          hash,
+          anchored: false,
+          status: record.status,
+          proof: null,
+          queuedAt: record.calendar ? record.calendar.queuedAt : record.createdAt
+        }, 'Hash queued, proof available after the next calendar round');
+      }
+      
+      if (!record || !record.merkle) {
+        return ResponseUtils.notFound(res, 'Inclusion proof');
+      }
+      
+      return ResponseUtils.success(res, {
+        hash,
+        anchored: verificationResult.verified,
+        status: record.status,
+        proof: record.merkle,
+        transactionHash: record.transactionHash,
+        blockNumber: record.blockNumber,
+        blockTimestamp: record.blockTimestamp,
+        confirmationLevel: record.confirmationLevel,
+        hyperblockNonce: record.hyperblockNonce,
+        hyperblockHash: record.hyperblockHash,
+        explorerUrl: record.explorerUrl
+      }, verificationResult.verified ? 'Inclusion proof anchored' : 'Inclusion proof pending anchoring');
+      
+    } catch (error) {
+      logger.logError(error, { operation: 'getProof', hash: req.params.hash });
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to retrieve inclusion proof',
+        500,
+        'PROOF_RETRIEVAL_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
+  /**
+   * Get the aggregation calendar state and the roots waiting for signature
+   * GET /api/v1/timestamp/calendar
+   */
+  static getCalendar = asyncErrorHandler(async (req, res) => {
+    try {
+      const calendar = {
+        ...(await calendarService.getStats()),
+        pendingRounds: await calendarService.getPendingRounds()
+      };
+      
+      return ResponseUtils.success(res, calendar, 'Calendar state retrieved');
+      
+    } catch (error) {
+      logger.logError(error, { operation: 'getCalendar' });
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to retrieve calendar state',
+        500,
+        'CALENDAR_RETRIEVAL_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
   /**
    * Get cost estimation for timestamp creation
    * POST /api/v1/timestamp/estimate
    */
   static estimateCost = asyncErrorHandler(async (req, res) => {
     try {
-      const { data } = req.body;
+      // Documented as a query parameter, also accepted in a JSON body
+      const data = req.body.data || req.query.data;
+      const { metadata = {}, algorithm = req.query.algorithm, priority = req.query.priority } = req.body;
       
       if (!data) {
         return ResponseUtils.validationError(res, [
@@ -143,7 +456,13 @@ class TimestampController {
         ]);
       }
       
-      const estimation = blockchainService.estimateCost(data);
+      if (priority && !['normal', 'high'].includes(priority)) {
+        return ResponseUtils.validationError(res, [
+          { field: 'priority', message: 'priority must be normal or high' }
+        ]);
+      }
+      
+      const estimation = await blockchainService.estimateCost(data, metadata, { algorithm, priority });
       
       const response = {
         estimation,
@@ -183,10 +502,12 @@ class TimestampController {
           environment: process.env.NODE_ENV || 'development'
         },
         blockchain: await blockchainService.getNetworkStatus(),
+        registry: await registryService.getStats(),
+        calendar: await calendarService.getStats(),
+        tracker: trackerService.getStats(),
         performance: {
           averageResponseTime: '2.5s', // This would be calculated from actual metrics
-          successRate: '99.2%', // This would be calculated from actual metrics
-          totalTransactions: 0 // This would come from database
+          successRate: '99.2%' // This would be calculated from actual metrics
         },
         timestamp: new Date().toISOString()
       };
@@ -1,9 +1,342 @@
 const { Transaction, TransactionPayload, Address, GasLimit, GasPrice } = require('@multiversx/sdk-core');
+const { UserPublicKey } = require('@multiversx/sdk-wallet');
 const multiversXConfig = require('../config/multiversx');
 const cacheService = require('../services/cache.service');
+const registryService = require('../services/registry.service');
+const blockchainService = require('../services/blockchain.service');
+const relayerService = require('../services/relayer.service');
+const nonceService = require('../services/nonce.service');
+const priceService = require('../services/price.service');
+const quotaService = require('../services/quota.service');
 const HashUtils = require('../utils/hash');
 const logger = require('../utils/logger');
 const ResponseUtils = require('../utils/response');
+const config = require('../config');
+
+// Fields of a signed transaction that must match the prepared transaction (the wallet may pick the nonce)
+const BROADCAST_CHECKED_FIELDS = ['sender', 'receiver', 'value', 'data', 'gasLimit', 'gasPrice', 'chainID'];
+
+/**
+ * Build the timestamp payload of a document to be signed by the user
+ * @param {string} data - Data to timestamp
+ * @param {object} metadata - Additional metadata
+ * @param {string} algorithm - Digest algorithm
+ * @returns {object} { dataHash, hashScheme, algorithm, timestampData, payload }
+ */
+const buildTimestampPayload = (data, metadata, algorithm) => {
+  const hashScheme = config.hash.scheme;
+  const dataHash = HashUtils.hash(data, algorithm, hashScheme);
+
+  const timestampData = {
+    dataHash,
+    hashScheme,
+    algorithm,
+    multihash: HashUtils.toMultihash(dataHash, algorithm),
+    timestamp: new Date().toISOString(),
+    metadata: {
+      service: 'multiversx-timestamp',
+      version: '1.0.0',
+      userId: metadata.userId,
+      documentType: metadata.documentType,
+      description: metadata.description,
+      tags: metadata.tags,
+      ...metadata
+    }
+  };
+
+  return {
+    dataHash,
+    hashScheme,
+    algorithm,
+    timestampData,
+    payload: new TransactionPayload(JSON.stringify(timestampData))
+  };
+};
+
+/**
+ * Why the relayer cannot pay for the transactions of an address
+ * @param {Address} address - Sender address
+ * @returns {object} { message, status, code, details }, or null if the relayer can pay
+ */
+const getRelayError = (address) => {
+  if (!relayerService.isEnabled()) {
+    return { message: 'Relayed transactions are not enabled', status: 400, code: 'RELAYER_DISABLED' };
+  }
+
+  // Relayed (gasless) transactions are co-signed by the service wallet in the user's shard
+  if (!relayerService.canRelay(address)) {
+    return {
+      message: 'The relayer cannot relay transactions from this shard',
+      status: 400,
+      code: 'RELAYER_SHARD_MISMATCH',
+      details: { userShard: relayerService.getShard(address) }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Build the unsigned transaction anchoring a timestamp payload
+ * @param {string} userAddress - Sender address (and receiver without a configured one)
+ * @param {object} prepared - Timestamp payload from buildTimestampPayload, with its gas
+ * @param {number} nonce - Reserved nonce
+ * @param {boolean} relayed - Whether the relayer pays the fee
+ * @returns {object} Unsigned plain transaction
+ */
+const buildUnsignedTransaction = (userAddress, prepared, nonce, relayed) => {
+  const unsignedTransaction = {
+    nonce,
+    value: "0",
+    // MULTIVERSX_CONTRACT_ADDRESS when set, else a self-transfer
+    receiver: multiversXConfig.getReceiver(userAddress),
+    sender: userAddress,
+    gasPrice: prepared.gas.gasPrice,
+    gasLimit: prepared.gas.gasLimit,
+    data: prepared.payload.encoded(),
+    chainID: multiversXConfig.getChainId(),
+    version: 1
+  };
+
+  return relayed ? relayerService.toRelayed(unsignedTransaction) : unsignedTransaction;
+};
+
+/**
+ * Keep a prepared transaction until it is signed (as long as its nonce is reserved) and record it
+ * @param {object} prepared - Timestamp payload from buildTimestampPayload
+ * @param {object} unsignedTransaction - Unsigned plain transaction
+ * @param {string} userAddress - Sender address
+ * @param {boolean} relayed - Whether the relayer pays the fee
+ */
+const storePreparedTransaction = async (prepared, unsignedTransaction, userAddress, relayed) => {
+  await cacheService.storePreparedTransaction(prepared.dataHash, {
+    transaction: unsignedTransaction,
+    dataHash: prepared.dataHash,
+    hashScheme: prepared.hashScheme,
+    algorithm: prepared.algorithm,
+    userAddress,
+    relayed,
+    metadata: prepared.timestampData.metadata,
+    preparedAt: new Date().toISOString()
+  }, blockchainService.PREPARED_TRANSACTION_TTL);
+
+  await registryService.save(prepared.dataHash, {
+    status: registryService.STATUS.PREPARED,
+    hashScheme: prepared.hashScheme,
+    algorithm: prepared.algorithm,
+    userAddress,
+    metadata: prepared.timestampData.metadata
+  });
+};
+
+/**
+ * Release the nonce of an earlier preparation of the same data, which is replaced
+ * @param {string} dataHash - Data hash
+ */
+const releasePreviousNonce = async (dataHash) => {
+  const previousTx = await cacheService.getPreparedTransaction(dataHash);
+  if (previousTx) {
+    await nonceService.release(previousTx.userAddress, previousTx.transaction.nonce);
+  }
+};
+
+/**
+ * Check a wallet-signed transaction against its prepared transaction
+ * @param {object} transaction - Signed plain transaction
+ * @param {string} dataHash - Data hash (read from the timestamp payload if omitted)
+ * @returns {object} { signedTransaction, signedFields, preparedTx, dataHash }, or { error } with its response arguments
+ */
+const checkSignedTransaction = async (transaction, dataHash) => {
+  let signedTransaction;
+  try {
+    signedTransaction = Transaction.fromPlainObject(transaction);
+  } catch (parseError) {
+    return {
+      error: {
+        message: 'Invalid signed transaction',
+        status: 400,
+        code: 'INVALID_TRANSACTION',
+        details: { originalError: parseError.message }
+      }
+    };
+  }
+
+  // The data hash defaults to the one carried by the timestamp payload
+  if (!dataHash) {
+    try {
+      dataHash = JSON.parse(Buffer.from(transaction.data || '', 'base64').toString('utf8')).dataHash;
+    } catch (payloadError) {
+      dataHash = null;
+    }
+  }
+  if (!dataHash) {
+    return {
+      error: {
+        message: 'dataHash is required when the transaction data is not a timestamp payload',
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      }
+    };
+  }
+
+  // Retrieve prepared transaction
+  const preparedTx = await cacheService.getPreparedTransaction(dataHash);
+  if (!preparedTx) {
+    return { error: { message: 'Prepared transaction not found or expired', status: 404, details: { dataHash } } };
+  }
+
+  // Verify the transaction belongs to the same user
+  if (preparedTx.userAddress !== transaction.sender) {
+    return { error: { message: 'Transaction user mismatch', status: 403, details: { dataHash } } };
+  }
+
+  // Verify the signature against the sender public key (relayed transactions sign the relayer too)
+  const publicKey = new UserPublicKey(Address.fromBech32(transaction.sender).pubkey());
+  const signatureValid = publicKey.verify(
+    transaction.relayer
+      ? relayerService.serializeForSigning(signedTransaction, transaction.relayer)
+      : signedTransaction.serializeForSigning(),
+    Buffer.from(transaction.signature, 'hex')
+  );
+  if (!signatureValid) {
+    return {
+      error: {
+        message: 'Transaction signature does not match the sender address',
+        status: 400,
+        code: 'INVALID_SIGNATURE',
+        details: { dataHash }
+      }
+    };
+  }
+
+  // Verify the user signed the transaction that was prepared
+  const signedFields = signedTransaction.toPlainObject();
+  const mismatches = BROADCAST_CHECKED_FIELDS.filter(
+    field => String(signedFields[field]) !== String(preparedTx.transaction[field])
+  );
+  if (transaction.relayer !== preparedTx.transaction.relayer) {
+    mismatches.push('relayer');
+  }
+  if (mismatches.length > 0) {
+    return {
+      error: {
+        message: 'Signed transaction does not match the prepared transaction',
+        status: 400,
+        code: 'TRANSACTION_MISMATCH',
+        details: { dataHash, fields: mismatches }
+      }
+    };
+  }
+
+  return { signedTransaction, signedFields, preparedTx, dataHash };
+};
+
+/**
+ * Send a checked transaction and register it as pending. The fee of relayed
+ * transactions is charged to the API key budget and to the tenant quota before sending.
+ * @param {object} checked - Result of checkSignedTransaction
+ * @param {object} apiKey - Authenticated key (req.apiKey)
+ * @param {string} callbackUrl - Webhook URL of the submitter
+ * @returns {object} { result, relayerBudget }, or { error } with its response arguments
+ */
+const sendSignedTransaction = async (checked, apiKey, callbackUrl) => {
+  const apiKeyId = apiKey.id;
+  const { signedTransaction, signedFields, preparedTx, dataHash } = checked;
+  const sender = signedFields.sender;
+  const relayed = !!preparedTx.transaction.relayer;
+
+  let relayerBudget;
+  if (relayed) {
+    let charge;
+    try {
+      charge = await relayerService.charge(apiKeyId, preparedTx.transaction);
+    } catch (budgetError) {
+      logger.logError(budgetError, { operation: 'broadcastTransaction', dataHash });
+      return { error: { message: 'Relayer budget unavailable, try again later', status: 503, code: 'RELAYER_UNAVAILABLE' } };
+    }
+    if (!charge.charged) {
+      return {
+        error: {
+          message: 'Relayer budget exceeded for this API key',
+          status: 402,
+          code: 'RELAYER_BUDGET_EXCEEDED',
+          details: { budget: charge.budget }
+        }
+      };
+    }
+    relayerBudget = charge.budget;
+
+    const fee = relayerService.getFee(preparedTx.transaction);
+    const quota = await quotaService.consume(apiKey.tenantId, quotaService.METRICS.RELAYED_FEES, fee);
+    if (quota.status === 'exceeded') {
+      await relayerService.refund(apiKeyId, preparedTx.transaction);
+      return {
+        error: {
+          message: `Relayed fees quota exceeded for this tenant (${quota.quota.period})`,
+          status: 402,
+          code: 'RELAYED_FEES_QUOTA_EXCEEDED',
+          details: { quota: quota.quota }
+        }
+      };
+    }
+  }
+
+  const networkProvider = multiversXConfig.getNetworkProvider();
+
+  let transactionHash;
+  try {
+    transactionHash = relayed
+      ? await relayerService.broadcast(signedTransaction)
+      : await networkProvider.sendTransaction(signedTransaction);
+  } catch (networkError) {
+    if (relayed) {
+      await relayerService.refund(apiKeyId, preparedTx.transaction);
+      await quotaService.release(apiKey.tenantId, quotaService.METRICS.RELAYED_FEES, relayerService.getFee(preparedTx.transaction));
+    }
+    logger.logError(networkError, { operation: 'broadcastTransaction', dataHash });
+    return {
+      error: {
+        message: 'Failed to broadcast transaction',
+        status: 502,
+        code: 'BROADCAST_FAILED',
+        details: { originalError: networkError.message }
+      }
+    };
+  }
+
+  // The wallet may pick another nonce than the reserved one
+  await nonceService.markSent(sender, signedFields.nonce);
+  if (Number(signedFields.nonce) !== Number(preparedTx.transaction.nonce)) {
+    await nonceService.release(sender, preparedTx.transaction.nonce);
+  }
+
+  const result = {
+    transactionHash,
+    dataHash,
+    userAddress: sender,
+    nonce: signedFields.nonce,
+    ...(relayed && { relayer: preparedTx.transaction.relayer }),
+    status: 'pending',
+    confirmationLevel: blockchainService.CONFIRMATION_LEVELS.SUBMITTED,
+    submittedAt: new Date().toISOString(),
+    explorerUrl: multiversXConfig.getExplorerUrl(transactionHash),
+    callbackUrl,
+    metadata: preparedTx.metadata
+  };
+
+  // Record the pending transaction (confirmed by the tracker) and drop the prepared one
+  await registryService.updateStatus(dataHash, registryService.STATUS.PENDING, result);
+  await cacheService.deletePreparedTransaction(dataHash);
+
+  logger.info('Signed transaction broadcast', {
+    transactionHash,
+    dataHash,
+    userAddress: sender,
+    relayed
+  });
+
+  return { result, relayerBudget };
+};
 
 class TransactionController {
   /**
@@ -12,7 +345,7 @@ class TransactionController {
    */
   async prepareTransaction(req, res) {
     try {
-      const { userAddress, data, metadata = {} } = req.body;
+      const { userAddress, data, metadata = {}, algorithm = config.hash.algorithm, relayed = false } = req.body;
 
       // Validate required fields
       if (!userAddress || !data) {
@@ -24,85 +357,71 @@ class TransactionController {
         return ResponseUtils.error(res, 'Invalid MultiversX address format', 400);
       }
 
-      // Generate data hash
-      const dataHash = HashUtils.sha256(data);
+      if (relayed) {
+        const relayError = getRelayError(new Address(userAddress));
+        if (relayError) {
+          return ResponseUtils.error(res, relayError.message, relayError.status, relayError.code, relayError.details);
+        }
+      }
+
+      // Generate data hash and transaction payload
+      const prepared = buildTimestampPayload(data, metadata, algorithm);
+      const { dataHash, hashScheme, timestampData } = prepared;
       
       // Check if already timestamped
-      const cachedTimestamp = await cacheService.getCachedTimestamp(dataHash);
-      if (cachedTimestamp) {
-        return ResponseUtils.error(res, 'Data already timestamped', 409, {
+      const existingRecord = await registryService.findByDataHash(dataHash);
+      if (existingRecord && [registryService.STATUS.PENDING, registryService.STATUS.CONFIRMED].includes(existingRecord.status)) {
+        return ResponseUtils.error(res, 'Data already timestamped', 409, 'CONFLICT', {
           dataHash,
-          existingTimestamp: cachedTimestamp
+          existingTimestamp: existingRecord
         });
       }
 
-      // Prepare transaction data
-      const timestampData = {
-        dataHash,
-        timestamp: new Date().toISOString(),
-        metadata: {
-          service: 'multiversx-timestamp',
-          version: '1.0.0',
-          userId: metadata.userId,
-          documentType: metadata.documentType,
-          description: metadata.description,
-          tags: metadata.tags,
-          ...metadata
-        }
-      };
-
-      // Create transaction payload
-      const payload = new TransactionPayload(JSON.stringify(timestampData));
-      
-      // Get network config
-      const networkProvider = multiversXConfig.getNetworkProvider();
-      const gasConfig = multiversXConfig.getGasConfig();
+      // Gas from the network config (relayed transactions add the relayer gas)
+      prepared.gas = await blockchainService.computeGas(prepared.payload.length(), { relayed });
       
-      // Get user account to get nonce
-      const userAddressObj = new Address(userAddress);
-      const account = await networkProvider.getAccount(userAddressObj);
+      // Preparing the same data again replaces the previous transaction and frees its nonce
+      await releasePreviousNonce(dataHash);
+
+      // Reserved while the transaction is prepared, so concurrent preparations get sequential nonces
+      const nonce = await nonceService.reserve(userAddress, blockchainService.PREPARED_TRANSACTION_TTL);
       
       // Prepare unsigned transaction
-      const unsignedTransaction = {
-        nonce: account.nonce.valueOf(),
-        value: "0",
-        receiver: userAddress, // Self-transaction for timestamp
-        sender: userAddress,
-        gasPrice: gasConfig.gasPrice,
-        gasLimit: gasConfig.gasLimit,
-        data: Buffer.from(payload.data()).toString('base64'),
-        chainID: multiversXConfig.getChainId(),
-        version: 1
-      };
+      const unsignedTransaction = buildUnsignedTransaction(userAddress, prepared, nonce, relayed);
+
+      let relayerBudget;
+      if (relayed) {
+        const { allowed, budget } = await relayerService.checkBudget(req.apiKey.id, unsignedTransaction);
+        if (!allowed) {
+          await nonceService.release(userAddress, nonce);
+          return ResponseUtils.error(res, 'Relayer budget exceeded for this API key', 402, 'RELAYER_BUDGET_EXCEEDED', { budget });
+        }
+        relayerBudget = budget;
+      }
 
-      // Calculate estimated cost
-      const costInEGLD = (gasConfig.gasLimit * gasConfig.gasPrice) / Math.pow(10, 18);
       const estimatedCost = {
-        egld: costInEGLD.toFixed(8),
-        usd: (costInEGLD * 50).toFixed(6), // Approximate USD value
-        eur: (costInEGLD * 45).toFixed(6)  // Approximate EUR value
+        ...prepared.gas.estimatedCost,
+        paidBy: relayed ? 'relayer' : 'user'
       };
 
-      // Store prepared transaction temporarily (5 minutes TTL)
-      await cacheService.storePreparedTransaction(dataHash, {
-        transaction: unsignedTransaction,
-        dataHash,
-        userAddress,
-        metadata: timestampData.metadata,
-        preparedAt: new Date().toISOString()
-      }, 300);
+      await storePreparedTransaction(prepared, unsignedTransaction, userAddress, relayed);
 
       logger.info('Transaction prepared for user signing', {
         dataHash,
         userAddress,
-        nonce: account.nonce.valueOf()
+        relayed,
+        nonce
       });
 
       return ResponseUtils.success(res, {
         success: true,
         transaction: unsignedTransaction,
         dataHash,
-        estimatedCost
+        hashScheme,
+        algorithm,
+        multihash: timestampData.multihash,
+        estimatedCost,
+        ...(relayed && { relayed, relayerBudget })
       });
 
     } catch (error) {
@@ -111,13 +430,130 @@ class TransactionController {
     }
   }
 
+  /**
+   * Prepare one transaction per document, with consecutive nonces, for a wallet signing them at once
+   * POST /api/v1/prepare-transactions
+   */
+  async prepareTransactions(req, res) {
+    try {
+      const { userAddress, documents, algorithm = config.hash.algorithm, relayed = false } = req.body;
+
+      if (relayed) {
+        const relayError = getRelayError(new Address(userAddress));
+        if (relayError) {
+          return ResponseUtils.error(res, relayError.message, relayError.status, relayError.code, relayError.details);
+        }
+      }
+
+      const preparedDocuments = documents.map(document => buildTimestampPayload(
+        document.data,
+        document.metadata || {},
+        document.algorithm || algorithm
+      ));
+
+      // Each document is anchored by its own transaction
+      const dataHashes = preparedDocuments.map(prepared => prepared.dataHash);
+      const duplicates = dataHashes.filter((dataHash, index) => dataHashes.indexOf(dataHash) !== index);
+      if (duplicates.length > 0) {
+        return ResponseUtils.error(res, 'The same data appears more than once', 400, 'DUPLICATE_DATA', {
+          dataHashes: [...new Set(duplicates)]
+        });
+      }
+
+      // Check if already timestamped
+      for (const dataHash of dataHashes) {
+        const existingRecord = await registryService.findByDataHash(dataHash);
+        if (existingRecord && [registryService.STATUS.PENDING, registryService.STATUS.CONFIRMED].includes(existingRecord.status)) {
+          return ResponseUtils.error(res, 'Data already timestamped', 409, 'CONFLICT', {
+            dataHash,
+            index: dataHashes.indexOf(dataHash),
+            existingTimestamp: existingRecord
+          });
+        }
+      }
+
+      // Gas per document (payload sizes differ), and earlier preparations replaced
+      for (const prepared of preparedDocuments) {
+        prepared.gas = await blockchainService.computeGas(prepared.payload.length(), { relayed });
+        await releasePreviousNonce(prepared.dataHash);
+      }
+
+      // One run of consecutive nonces, in the order of the documents
+      const firstNonce = await nonceService.reserve(
+        userAddress,
+        blockchainService.PREPARED_TRANSACTION_TTL,
+        preparedDocuments.length
+      );
+      const unsignedTransactions = preparedDocuments.map((prepared, index) => (
+        buildUnsignedTransaction(userAddress, prepared, firstNonce + index, relayed)
+      ));
+
+      let relayerBudget;
+      if (relayed) {
+        const { allowed, budget } = await relayerService.checkBudget(req.apiKey.id, unsignedTransactions);
+        if (!allowed) {
+          for (const unsignedTransaction of unsignedTransactions) {
+            await nonceService.release(userAddress, unsignedTransaction.nonce);
+          }
+          return ResponseUtils.error(res, 'Relayer budget exceeded for this API key', 402, 'RELAYER_BUDGET_EXCEEDED', { budget });
+        }
+        relayerBudget = budget;
+      }
+
+      const transactions = [];
+      for (const [index, prepared] of preparedDocuments.entries()) {
+        await storePreparedTransaction(prepared, unsignedTransactions[index], userAddress, relayed);
+
+        transactions.push({
+          transaction: unsignedTransactions[index],
+          dataHash: prepared.dataHash,
+          hashScheme: prepared.hashScheme,
+          algorithm: prepared.algorithm,
+          multihash: prepared.timestampData.multihash,
+          estimatedCost: prepared.gas.estimatedCost
+        });
+      }
+
+      const totalFee = preparedDocuments.reduce(
+        (total, prepared) => total + BigInt(prepared.gas.estimatedCost.fee),
+        BigInt(0)
+      );
+      const egld = (Number(totalFee) / Math.pow(10, 18)).toFixed(8);
+
+      logger.info('Transactions prepared for user signing', {
+        userAddress,
+        count: transactions.length,
+        firstNonce,
+        relayed
+      });
+
+      return ResponseUtils.success(res, {
+        success: true,
+        userAddress,
+        count: transactions.length,
+        transactions,
+        estimatedCost: {
+          fee: totalFee.toString(),
+          egld,
+          ...(await priceService.convert(parseFloat(egld))),
+          paidBy: relayed ? 'relayer' : 'user'
+        },
+        ...(relayed && { relayed, relayerBudget })
+      });
+
+    } catch (error) {
+      logger.logError(error, { operation: 'prepareTransactions' });
+      return ResponseUtils.error(res, `Failed to prepare transactions: ${error.message}`, 500);
+    }
+  }
+
   /**
    * Register a signed transaction from user wallet
    * POST /api/v1/register-transaction
    */
   async registerSignedTransaction(req, res) {
     try {
-      const { transactionHash, dataHash, userAddress, metadata, signature } = req.body;
+      const { transactionHash, dataHash, userAddress, metadata, signature, callbackUrl } = req.body;
 
       // Validate required fields
       if (!transactionHash || !dataHash || !userAddress) {
@@ -135,93 +571,42 @@ class TransactionController {
         return ResponseUtils.error(res, 'Transaction user mismatch', 403);
       }
 
+      // Relayed transactions only reach the network once co-signed by the relayer
+      if (preparedTx.relayed) {
+        return ResponseUtils.error(res, 'Relayed transactions must be sent through /broadcast-transaction', 400, 'RELAYED_BROADCAST_REQUIRED');
+      }
+
       // Get network provider to verify transaction
       const networkProvider = multiversXConfig.getNetworkProvider();
       
-      // Wait a bit for transaction to be processed
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
+      let transactionOnNetwork = null;
       try {
-        // Try to get transaction from network
-        const transactionOnNetwork = await networkProvider.getTransaction(transactionHash);
-        
-        if (!transactionOnNetwork) {
-          // Transaction not yet on network, store as pending
-          const result = {
-            transactionHash,
-            dataHash,
-            userAddress,
-            status: 'pending',
-            submittedAt: new Date().toISOString(),
-            metadata: preparedTx.metadata
-          };
-
-          // Cache the pending transaction
-          await cacheService.cacheTimestamp(dataHash, result);
-          
-          logger.info('Signed transaction registered as pending', {
-            transactionHash,
-            dataHash,
-            userAddress
-          });
-
-          return ResponseUtils.success(res, {
-            success: true,
-            status: 'pending',
-            transactionHash,
-            dataHash,
-            message: 'Transaction submitted successfully, waiting for confirmation'
-          });
-        }
-
-        // Transaction found on network
-        const result = {
-          transactionHash,
-          dataHash,
-          blockNumber: transactionOnNetwork.blockNonce,
-          blockTimestamp: new Date(transactionOnNetwork.timestamp * 1000).toISOString(),
-          explorerUrl: multiversXConfig.getExplorerUrl(transactionHash),
-          status: transactionOnNetwork.status,
-          userAddress,
-          metadata: preparedTx.metadata
-        };
-
-        // Cache the confirmed transaction
-        await cacheService.cacheTimestamp(dataHash, result);
-        
-        // Clean up prepared transaction
-        await cacheService.deletePreparedTransaction(dataHash);
-
-        logger.info('Signed transaction registered and confirmed', {
+        transactionOnNetwork = await networkProvider.getTransaction(transactionHash);
+      } catch (networkError) {
+        logger.info('Signed transaction not found on network yet', {
           transactionHash,
           dataHash,
-          blockNumber: transactionOnNetwork.blockNonce
+          networkError: networkError.message
         });
+      }
 
-        return ResponseUtils.success(res, {
-          success: true,
-          status: 'confirmed',
-          ...result
+      if (!transactionOnNetwork) {
+        // Not on the network yet: the hash is unverified, so the record stays prepared (and the
+        // nonce only reserved) until the tracker finds the transaction and checks its payload
+        await registryService.save(dataHash, {
+          pendingVerification: {
+            transactionHash,
+            sender: userAddress,
+            receiver: preparedTx.transaction.receiver,
+            callbackUrl,
+            submittedAt: new Date().toISOString()
+          }
         });
 
-      } catch (networkError) {
-        // Transaction not yet available on network, treat as pending
-        const result = {
+        logger.info('Signed transaction registered as pending verification', {
           transactionHash,
           dataHash,
-          userAddress,
-          status: 'pending',
-          submittedAt: new Date().toISOString(),
-          metadata: preparedTx.metadata
-        };
-
-        await cacheService.cacheTimestamp(dataHash, result);
-        
-        logger.info('Signed transaction registered as pending (network delay)', {
-          transactionHash,
-          dataHash,
-          userAddress,
-          networkError: networkError.message
+          userAddress
         });
 
         return ResponseUtils.success(res, {
@@ -229,16 +614,205 @@ class TransactionController {
           status: 'pending',
           transactionHash,
           dataHash,
-          message: 'Transaction submitted successfully, waiting for network confirmation'
+          message: 'Transaction registered, it will be verified once it reaches the network'
+        }, 'Transaction registered', 202);
+      }
+
+      // Verify the transaction carries the prepared payload
+      const mismatch = blockchainService.checkAnchorTransaction(transactionOnNetwork, {
+        sender: userAddress,
+        receiver: preparedTx.transaction.receiver,
+        dataHash
+      });
+      if (mismatch) {
+        logger.warn('Signed transaction rejected', { transactionHash, dataHash, ...mismatch });
+        return ResponseUtils.error(res, mismatch.message, 422, mismatch.code, {
+          transactionHash,
+          expected: mismatch.expected,
+          actual: mismatch.actual
         });
       }
 
+      // The wallet sent the transaction: its nonce stays reserved until the account nonce passes it
+      await nonceService.markSent(userAddress, transactionOnNetwork.nonce);
+
+      const networkStatus = transactionOnNetwork.status;
+      const status = blockchainService.toRegistryStatus(networkStatus);
+
+      const result = {
+        transactionHash,
+        dataHash,
+        explorerUrl: multiversXConfig.getExplorerUrl(transactionHash),
+        networkStatus: networkStatus.toString(),
+        ...(await blockchainService.getConfirmation(transactionOnNetwork)),
+        userAddress,
+        callbackUrl,
+        metadata: preparedTx.metadata,
+        pendingVerification: undefined,
+        ...(status === registryService.STATUS.CONFIRMED
+          ? {
+            blockNumber: transactionOnNetwork.blockNonce,
+            blockTimestamp: new Date(transactionOnNetwork.timestamp * 1000).toISOString()
+          }
+          : { submittedAt: new Date().toISOString() })
+      };
+
+      // Record the transaction in the durable registry
+      await registryService.updateStatus(dataHash, status, result);
+      
+      // Clean up prepared transaction once the outcome is known
+      if (status !== registryService.STATUS.PENDING) {
+        await cacheService.deletePreparedTransaction(dataHash);
+      }
+
+      logger.info('Signed transaction registered', {
+        transactionHash,
+        dataHash,
+        status,
+        blockNumber: transactionOnNetwork.blockNonce
+      });
+
+      return ResponseUtils.success(res, {
+        success: true,
+        ...result,
+        status,
+        ...(status === registryService.STATUS.PENDING && {
+          message: 'Transaction verified, waiting for confirmation'
+        })
+      });
+
     } catch (error) {
       logger.logError(error, { operation: 'registerSignedTransaction' });
       return ResponseUtils.error(res, `Failed to register signed transaction: ${error.message}`, 500);
     }
   }
 
+  /**
+   * Check a wallet-signed transaction against its prepared transaction, send it and register it
+   * POST /api/v1/broadcast-transaction
+   */
+  async broadcastTransaction(req, res) {
+    try {
+      const { transaction, dataHash, callbackUrl } = req.body;
+
+      const checked = await checkSignedTransaction(transaction, dataHash);
+      if (checked.error) {
+        const { message, status, code, details } = checked.error;
+        return ResponseUtils.error(res, message, status, code, details);
+      }
+
+      const sent = await sendSignedTransaction(checked, req.apiKey, callbackUrl);
+      if (sent.error) {
+        const { message, status, code, details } = sent.error;
+        return ResponseUtils.error(res, message, status, code, details);
+      }
+
+      const relayed = !!sent.result.relayer;
+
+      return ResponseUtils.success(res, {
+        success: true,
+        ...sent.result,
+        ...(relayed && { relayerBudget: sent.relayerBudget }),
+        message: 'Transaction broadcast successfully, waiting for confirmation'
+      });
+
+    } catch (error) {
+      logger.logError(error, { operation: 'broadcastTransaction' });
+      return ResponseUtils.error(res, `Failed to broadcast transaction: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Check an array of wallet-signed transactions (e.g. from signTransactions), then send them in nonce order
+   * POST /api/v1/broadcast-transactions
+   */
+  async broadcastTransactions(req, res) {
+    try {
+      const { transactions, callbackUrl } = req.body;
+
+      // Nothing is sent unless every transaction matches its prepared transaction
+      const checkedTransactions = [];
+      const errors = [];
+      for (const [index, transaction] of transactions.entries()) {
+        const checked = await checkSignedTransaction(transaction, null);
+        if (checked.error) {
+          errors.push({ index, ...checked.error, code: checked.error.code || ResponseUtils.getErrorCode(checked.error.status) });
+        } else {
+          checkedTransactions.push({ index, ...checked });
+        }
+      }
+
+      const dataHashes = checkedTransactions.map(checked => checked.dataHash);
+      for (const checked of checkedTransactions) {
+        if (dataHashes.indexOf(checked.dataHash) !== dataHashes.lastIndexOf(checked.dataHash)) {
+          errors.push({
+            index: checked.index,
+            message: 'The same prepared transaction appears more than once',
+            status: 400,
+            code: 'DUPLICATE_DATA',
+            details: { dataHash: checked.dataHash }
+          });
+        }
+      }
+
+      if (errors.length > 0) {
+        return ResponseUtils.error(res, 'Some signed transactions were rejected, none was sent', 400, 'BATCH_REJECTED', {
+          errors: errors.sort((a, b) => a.index - b.index)
+        });
+      }
+
+      // A transaction is only processed after the lower nonces: stop at the first failure
+      checkedTransactions.sort((a, b) => a.signedFields.nonce - b.signedFields.nonce);
+
+      const results = [];
+      let failed = null;
+      let relayerBudget;
+      for (const checked of checkedTransactions) {
+        if (failed) {
+          results.push({ index: checked.index, dataHash: checked.dataHash, status: 'not_sent' });
+          continue;
+        }
+
+        const sent = await sendSignedTransaction(checked, req.apiKey, callbackUrl);
+        if (sent.error) {
+          failed = sent.error;
+          results.push({
+            index: checked.index,
+            dataHash: checked.dataHash,
+            status: 'failed',
+            error: { code: sent.error.code, message: sent.error.message, details: sent.error.details }
+          });
+          continue;
+        }
+
+        relayerBudget = sent.relayerBudget || relayerBudget;
+        results.push({ index: checked.index, ...sent.result });
+      }
+
+      results.sort((a, b) => a.index - b.index);
+      const sentCount = results.filter(result => result.status === 'pending').length;
+
+      logger.info('Signed transactions broadcast', {
+        count: results.length,
+        sent: sentCount,
+        failed: !!failed
+      });
+
+      return ResponseUtils.success(res, {
+        success: !failed,
+        total: results.length,
+        sent: sentCount,
+        notSent: results.length - sentCount,
+        results,
+        ...(relayerBudget && { relayerBudget })
+      }, failed ? 'Broadcast stopped at the first failed transaction' : 'Transactions broadcast successfully');
+
+    } catch (error) {
+      logger.logError(error, { operation: 'broadcastTransactions' });
+      return ResponseUtils.error(res, `Failed to broadcast transactions: ${error.message}`, 500);
+    }
+  }
+
   /**
    * Get transaction status by hash
    * GET /api/v1/transaction/:txHash/status
@@ -269,7 +843,8 @@ class TransactionController {
 
         const result = {
           transactionHash: txHash,
-          status: transaction.status,
+          status: transaction.status.toString(),
+          ...(await blockchainService.getConfirmation(transaction)),
           blockNumber: transaction.blockNonce,
           blockTimestamp: new Date(transaction.timestamp * 1000).toISOString(),
           explorerUrl: multiversXConfig.getExplorerUrl(txHash),
@@ -277,8 +852,10 @@ class TransactionController {
           fee: transaction.fee
         };
 
-        // Cache the result
-        await cacheService.cacheVerification(txHash, result);
+        // Cache the result once it can no longer change
+        if (result.confirmationLevel === blockchainService.CONFIRMATION_LEVELS.FINALIZED) {
+          await cacheService.cacheVerification(txHash, result);
+        }
 
         return ResponseUtils.success(res, result);
 
@@ -291,6 +868,44 @@ class TransactionController {
       return ResponseUtils.error(res, `Failed to get transaction status: ${error.message}`, 500);
     }
   }
+
+  /**
+   * List the timestamps of the wallet proven by the Native Auth token
+   * GET /api/v1/wallet/history
+   */
+  async getWalletHistory(req, res) {
+    try {
+      const { address } = req.nativeAuth;
+      const { page, limit, status } = req.query;
+
+      const records = await registryService.findAll(record => (
+        record.userAddress === address && (!status || record.status === status)
+      ));
+      records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      const timestamps = records.slice((page - 1) * limit, page * limit).map(record => ({
+        dataHash: record.dataHash,
+        status: record.status,
+        transactionHash: record.transactionHash || null,
+        explorerUrl: record.transactionHash ? multiversXConfig.getExplorerUrl(record.transactionHash) : null,
+        algorithm: record.algorithm,
+        metadata: record.metadata,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+      }));
+
+      return ResponseUtils.success(res, {
+        address,
+        total: records.length,
+        page,
+        limit,
+        timestamps
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'getWalletHistory' });
+      return ResponseUtils.error(res, `Failed to get wallet history: ${error.message}`, 500);
+    }
+  }
 }
 
 module.exports = new TransactionController();
\ No newline at end of file
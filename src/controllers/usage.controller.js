@@ -0,0 +1,28 @@
+const apiKeyService = require('../services/apikey.service');
+const { SCOPES } = require('../services/apikey.service');
+const quotaService = require('../services/quota.service');
+const ResponseUtils = require('../utils/response');
+const { asyncErrorHandler } = require('../middlewares/error.middleware');
+
+class UsageController {
+  /**
+   * Get the consumption and limits of the tenant of the API key, for billing
+   * GET /api/v1/usage
+   */
+  static getUsage = asyncErrorHandler(async (req, res) => {
+    const { month } = req.query;
+    const tenantId = req.query.tenantId || req.apiKey.tenantId;
+
+    // Only admins can read the usage of another tenant
+    if (tenantId !== req.apiKey.tenantId && !apiKeyService.hasScope(req.apiKey, SCOPES.ADMIN)) {
+      return ResponseUtils.error(res, 'API key does not grant the admin scope', 403, 'INSUFFICIENT_SCOPE', {
+        required: SCOPES.ADMIN,
+        granted: req.apiKey.scopes
+      });
+    }
+
+    return ResponseUtils.success(res, await quotaService.getUsage(tenantId, month));
+  });
+}
+
+module.exports = UsageController;
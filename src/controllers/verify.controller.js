@@ -4,8 +4,12 @@ const webhookService = require('../services/webhook.service');
 const ResponseUtils = require('../utils/response');
 const HashUtils = require('../utils/hash');
 const logger = require('../utils/logger');
+const config = require('../config');
 const { asyncErrorHandler } = require('../middlewares/error.middleware');
 
+// Files verified concurrently by a bulk verification
+const BULK_VERIFY_CONCURRENCY = 10;
+
 class VerifyController {
   /**
    * Verify a timestamp by data hash
@@ -16,7 +20,7 @@ class VerifyController {
     
     try {
       const { hash } = req.params;
-      const { callbackUrl } = req.query;
+      const { callbackUrl, address } = req.query;
       
       logger.info('Verifying timestamp', {
         hash,
@@ -24,14 +28,14 @@ class VerifyController {
       });
       
       // Validate hash format
-      if (!HashUtils.isValidSHA256(hash)) {
+      if (!HashUtils.isValidDigest(hash)) {
         return ResponseUtils.validationError(res, [
-          { field: 'hash', message: 'Invalid SHA256 hash format' }
+          { field: 'hash', message: 'Invalid hash format (expected a SHA-256, SHA-512, SHA3-256 or BLAKE2b-512 hex digest)' }
         ]);
       }
       
       // Verify timestamp
-      const verificationResult = await blockchainService.verifyTimestamp(hash);
+      const verificationResult = await blockchainService.verifyTimestamp(hash, { address });
       
       // Prepare response
       const response = {
@@ -72,7 +76,7 @@ class VerifyController {
         res,
         verificationResult.verified,
         verificationResult.timestamp,
-        { dataHash: hash, source: verificationResult.source }
+        { dataHash: hash, source: verificationResult.source, chainCheck: verificationResult.chainCheck }
       );
       
     } catch (error) {
@@ -120,7 +124,7 @@ class VerifyController {
     const startTime = Date.now();
     
     try {
-      const { data, expectedHash, callbackUrl } = req.body;
+      const { data, expectedHash, callbackUrl, hashScheme, algorithm } = req.body;
       
       if (!data) {
         return ResponseUtils.validationError(res, [
@@ -128,31 +132,58 @@ class VerifyController {
         ]);
       }
       
-      // Compute hash of provided data
-      const computedHash = HashUtils.sha256(data);
+      // Compute hash of provided data, under the requested scheme or under every
+      // scheme (current first) so data timestamped with an older scheme still verifies.
+      // Without an algorithm, an expected hash is matched against every algorithm of its length.
+      const algorithms = algorithm
+        ? [algorithm]
+        : expectedHash
+          ? Object.keys(HashUtils.HASH_ALGORITHMS).filter(name => HashUtils.isValidDigest(expectedHash, name))
+          : [config.hash.algorithm];
+      let candidates = HashUtils.hashCandidates(
+        data,
+        hashScheme ? [hashScheme] : [config.hash.scheme, ...Object.values(HashUtils.HASH_SCHEMES)],
+        algorithms
+      );
       
       logger.info('Verifying data', {
-        computedHash,
+        computedHash: candidates[0].dataHash,
         expectedHash,
+        hashScheme,
+        algorithm,
         hasCallback: !!callbackUrl
       });
       
       // If expected hash is provided, verify it matches
-      if (expectedHash && computedHash !== expectedHash) {
-        return ResponseUtils.verificationResult(
-          res,
-          false,
-          null,
-          {
-            reason: 'Data hash mismatch',
-            computedHash,
-            expectedHash
-          }
-        );
+      if (expectedHash) {
+        candidates = candidates.filter(candidate => candidate.dataHash === expectedHash.toLowerCase());
+        
+        if (candidates.length === 0) {
+          return ResponseUtils.verificationResult(
+            res,
+            false,
+            null,
+            {
+              reason: 'Data hash mismatch',
+              computedHash: HashUtils.hash(data, algorithm || config.hash.algorithm, hashScheme || config.hash.scheme),
+              expectedHash
+            }
+          );
+        }
       }
       
-      // Verify timestamp using computed hash
-      const verificationResult = await blockchainService.verifyTimestamp(computedHash);
+      // Verify timestamp using computed hash, stopping at the first anchored candidate
+      let match = null;
+      for (const candidate of candidates) {
+        const result = await blockchainService.verifyTimestamp(candidate.dataHash);
+        if (!match || result.verified) {
+          match = { ...candidate, verificationResult: result };
+        }
+        if (result.verified) {
+          break;
+        }
+      }
+      const { dataHash: computedHash, hashScheme: usedScheme, algorithm: usedAlgorithm, verificationResult } = match;
       
       // Prepare response
       const response = {
@@ -160,6 +191,8 @@ class VerifyController {
         timestamp: verificationResult.timestamp,
         metadata: verificationResult.timestamp && verificationResult.timestamp.metadata ? verificationResult.timestamp.metadata : {},
         dataHash: computedHash,
+        hashScheme: usedScheme,
+        algorithm: usedAlgorithm,
         source: verificationResult.source
       };
       
@@ -170,7 +203,7 @@ class VerifyController {
             await webhookService.notifyVerificationCompleted(
               callbackUrl,
               verificationResult,
-              { dataHash: computedHash, dataProvided: true }
+              { dataHash: computedHash, hashScheme: usedScheme, algorithm: usedAlgorithm, dataProvided: true }
             );
           } catch (webhookError) {
             logger.error('Data verification webhook notification failed', {
@@ -196,7 +229,10 @@ class VerifyController {
         verificationResult.timestamp,
         {
           dataHash: computedHash,
+          hashScheme: usedScheme,
+          algorithm: usedAlgorithm,
           source: verificationResult.source,
+          chainCheck: verificationResult.chainCheck,
           dataProvided: true
         }
       );
@@ -217,6 +253,228 @@ class VerifyController {
     }
   });
   
+  /**
+   * Verify an uploaded file (hashed as a stream by the upload middleware)
+   * POST /api/v1/verify/file
+   */
+  static verifyFile = asyncErrorHandler(async (req, res) => {
+    const startTime = Date.now();
+    const [upload] = req.upload.files;
+    const { expectedHash, callbackUrl } = req.body;
+    const file = {
+      name: upload.name,
+      size: upload.size,
+      mimeType: upload.mimeType
+    };
+    
+    try {
+      logger.info('Verifying file', {
+        ...file,
+        digest: upload.digest,
+        algorithm: upload.algorithm,
+        hasCallback: !!callbackUrl
+      });
+      
+      if (expectedHash && upload.digest !== expectedHash) {
+        return ResponseUtils.verificationResult(
+          res,
+          false,
+          null,
+          {
+            reason: 'File digest mismatch',
+            computedHash: upload.digest,
+            expectedHash,
+            algorithm: upload.algorithm,
+            file
+          }
+        );
+      }
+      
+      const verificationResult = await blockchainService.verifyTimestamp(upload.digest);
+      
+      if (callbackUrl) {
+        setImmediate(async () => {
+          try {
+            await webhookService.notifyVerificationCompleted(
+              callbackUrl,
+              verificationResult,
+              { dataHash: upload.digest, algorithm: upload.algorithm, file }
+            );
+          } catch (webhookError) {
+            logger.error('File verification webhook notification failed', {
+              callbackUrl,
+              digest: upload.digest,
+              error: webhookError.message
+            });
+          }
+        });
+      }
+      
+      logger.logPerformance('verifyFile', Date.now() - startTime, {
+        digest: upload.digest,
+        size: file.size,
+        verified: verificationResult.verified
+      });
+      
+      return ResponseUtils.verificationResult(
+        res,
+        verificationResult.verified,
+        verificationResult.timestamp,
+        {
+          dataHash: upload.digest,
+          algorithm: upload.algorithm,
+          file,
+          source: verificationResult.source,
+          chainCheck: verificationResult.chainCheck
+        }
+      );
+      
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'verifyFile',
+        duration: Date.now() - startTime,
+        file
+      });
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to verify file',
+        500,
+        'FILE_VERIFICATION_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
+  /**
+   * Verify many uploaded files, or the entries of ZIP archives, in one request
+   * POST /api/v1/verify/bulk-file
+   */
+  static verifyBulkFile = asyncErrorHandler(async (req, res) => {
+    const startTime = Date.now();
+    const { files } = req.upload;
+    const { callbackUrl } = req.body;
+    
+    try {
+      logger.info('Bulk file verification started', {
+        count: files.length,
+        archives: [...new Set(files.filter(file => file.archive).map(file => file.archive))].length,
+        hasCallback: !!callbackUrl
+      });
+      
+      const verifyFile = async (file) => {
+        const report = {
+          name: file.name,
+          archive: file.archive || null,
+          size: file.size,
+          mimeType: file.mimeType,
+          algorithm: file.algorithm,
+          digest: file.digest
+        };
+        
+        try {
+          const result = await blockchainService.verifyTimestamp(file.digest);
+          const record = result.timestamp || {};
+          
+          return {
+            ...report,
+            verified: result.verified,
+            status: record.status || null,
+            transactionHash: result.verified ? record.transactionHash : null,
+            blockNumber: result.verified ? record.blockNumber : null,
+            blockTimestamp: result.verified ? record.blockTimestamp : null,
+            confirmationLevel: result.verified ? record.confirmationLevel || null : null,
+            hyperblockNonce: result.verified ? record.hyperblockNonce || null : null,
+            hyperblockHash: result.verified ? record.hyperblockHash || null : null,
+            explorerUrl: result.verified ? record.explorerUrl : null,
+            merkleRoot: record.merkle ? record.merkle.root : null,
+            source: result.source,
+            chainCheck: result.chainCheck,
+            error: null
+          };
+        } catch (error) {
+          logger.warn('Individual file verification failed', { file: file.name, error: error.message });
+          return {
+            ...report,
+            verified: false,
+            status: null,
+            transactionHash: null,
+            blockNumber: null,
+            blockTimestamp: null,
+            confirmationLevel: null,
+            hyperblockNonce: null,
+            hyperblockHash: null,
+            explorerUrl: null,
+            merkleRoot: null,
+            source: null,
+            error: error.message
+          };
+        }
+      };
+      
+      // Verify in small groups so large uploads do not flood the network provider
+      const results = [];
+      for (let i = 0; i < files.length; i += BULK_VERIFY_CONCURRENCY) {
+        const group = files.slice(i, i + BULK_VERIFY_CONCURRENCY);
+        results.push(...await Promise.all(group.map(verifyFile)));
+      }
+      
+      const summary = {
+        total: results.length,
+        verified: results.filter(r => r.verified).length,
+        failed: results.filter(r => r.error).length,
+        notFound: results.filter(r => !r.verified && !r.error).length,
+        totalBytes: results.reduce((total, r) => total + r.size, 0)
+      };
+      
+      const response = {
+        results,
+        summary,
+        batchId: HashUtils.randomHex(16),
+        timestamp: new Date().toISOString()
+      };
+      
+      if (callbackUrl) {
+        setImmediate(async () => {
+          try {
+            await webhookService.sendWebhook(callbackUrl, {
+              event: 'bulk_file_verification.completed',
+              data: response
+            });
+          } catch (webhookError) {
+            logger.error('Bulk file verification webhook notification failed', {
+              callbackUrl,
+              count: files.length,
+              error: webhookError.message
+            });
+          }
+        });
+      }
+      
+      logger.logPerformance('verifyBulkFile', Date.now() - startTime, {
+        count: files.length,
+        verified: summary.verified,
+        failed: summary.failed
+      });
+      
+      return ResponseUtils.success(res, response, 'Bulk file verification completed');
+      
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'verifyBulkFile',
+        duration: Date.now() - startTime
+      });
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to perform bulk file verification',
+        500,
+        'BULK_FILE_VERIFICATION_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
   /**
    * Batch verify multiple hashes
    * POST /api/v1/verify/batch
@@ -240,7 +498,7 @@ class VerifyController {
       }
       
       // Validate all hashes
-      const invalidHashes = hashes.filter(hash => !HashUtils.isValidSHA256(hash));
+      const invalidHashes = hashes.filter(hash => !HashUtils.isValidDigest(hash));
       if (invalidHashes.length > 0) {
         return ResponseUtils.validationError(res, [
           {
@@ -265,6 +523,7 @@ class VerifyController {
             verified: result.verified,
             timestamp: result.timestamp,
             source: result.source,
+            chainCheck: result.chainCheck,
             error: null
           };
         } catch (error) {
@@ -341,6 +600,56 @@ class VerifyController {
     }
   });
   
+  /**
+   * Verify a Merkle inclusion proof and the anchoring of its root
+   * POST /api/v1/verify/proof
+   */
+  static verifyProof = asyncErrorHandler(async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { hash, proof } = req.body;
+      
+      const verificationResult = await blockchainService.verifyInclusion(hash, proof);
+      
+      const duration = Date.now() - startTime;
+      logger.logPerformance('verifyProof', duration, {
+        hash,
+        root: proof.root,
+        proofValid: verificationResult.proofValid,
+        verified: verificationResult.verified
+      });
+      
+      return ResponseUtils.verificationResult(
+        res,
+        verificationResult.verified,
+        verificationResult.timestamp,
+        {
+          dataHash: hash,
+          merkleRoot: proof.root,
+          proofValid: verificationResult.proofValid,
+          source: verificationResult.source,
+          chainCheck: verificationResult.chainCheck,
+          reason: verificationResult.proofValid ? undefined : 'Inclusion proof does not lead to the Merkle root'
+        }
+      );
+      
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'verifyProof',
+        duration: Date.now() - startTime
+      });
+      
+      return ResponseUtils.error(
+        res,
+        'Failed to verify inclusion proof',
+        500,
+        'PROOF_VERIFICATION_FAILED',
+        { originalError: error.message }
+      );
+    }
+  });
+  
   /**
    * Get verification statistics
    * GET /api/v1/verify/stats
@@ -386,16 +695,18 @@ class VerifyController {
     
     try {
       const { hash } = req.params;
+      const { address } = req.query;
       
       logger.info('Verifying timestamp via GET', {
         hash,
+        address,
         userAgent: req.get('User-Agent')
       });
       
       // Validate hash format
-      if (!HashUtils.isValidSHA256(hash)) {
+      if (!HashUtils.isValidDigest(hash)) {
         return ResponseUtils.validationError(res, [
-          { field: 'hash', message: 'Invalid SHA256 hash format' }
+          { field: 'hash', message: 'Invalid hash format (expected a SHA-256, SHA-512, SHA3-256 or BLAKE2b-512 hex digest)' }
         ]);
       }
       
@@ -414,11 +725,14 @@ class VerifyController {
         );
       }
       
-      // Verify timestamp on blockchain
-      const verificationResult = await blockchainService.verifyTimestamp(hash);
+      // Verify timestamp (registry first, then on-chain lookup)
+      const verificationResult = await blockchainService.verifyTimestamp(hash, { address });
       
-      // Cache the result
-      await cacheService.cacheVerification(hash, verificationResult);
+      // Cache finalized results only, so a later confirmation level is not hidden
+      if (verificationResult.verified &&
+          verificationResult.timestamp.confirmationLevel === blockchainService.CONFIRMATION_LEVELS.FINALIZED) {
+        await cacheService.cacheVerification(hash, verificationResult);
+      }
       
       // Prepare response in Bubble-compatible format
       const response = {
@@ -428,8 +742,13 @@ class VerifyController {
         transactionHash: verificationResult.timestamp && verificationResult.timestamp.transactionHash ? verificationResult.timestamp.transactionHash : undefined,
         blockNumber: verificationResult.timestamp && verificationResult.timestamp.blockNumber ? verificationResult.timestamp.blockNumber : undefined,
         blockTimestamp: verificationResult.timestamp && verificationResult.timestamp.blockTimestamp ? verificationResult.timestamp.blockTimestamp : undefined,
+        confirmationLevel: verificationResult.timestamp && verificationResult.timestamp.confirmationLevel ? verificationResult.timestamp.confirmationLevel : undefined,
+        hyperblockNonce: verificationResult.timestamp && verificationResult.timestamp.hyperblockNonce ? verificationResult.timestamp.hyperblockNonce : undefined,
+        hyperblockHash: verificationResult.timestamp && verificationResult.timestamp.hyperblockHash ? verificationResult.timestamp.hyperblockHash : undefined,
+        explorerUrl: verificationResult.timestamp && verificationResult.timestamp.explorerUrl ? verificationResult.timestamp.explorerUrl : undefined,
         metadata: verificationResult.timestamp && verificationResult.timestamp.metadata ? verificationResult.timestamp.metadata : {},
         source: verificationResult.source,
+        chainCheck: verificationResult.chainCheck,
         cached: false,
         responseTime: Date.now() - startTime
       };
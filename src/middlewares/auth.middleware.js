@@ -1,6 +1,86 @@
 const ResponseUtils = require('../utils/response');
 const logger = require('../utils/logger');
 const config = require('../config');
+const apiKeyService = require('../services/apikey.service');
+const nativeAuthService = require('../services/nativeauth.service');
+
+// Headers of a signed request (sent instead of X-API-Key)
+const SIGNATURE_HEADERS = ['x-key-id', 'x-timestamp', 'x-nonce', 'x-signature'];
+
+// Responses to signed requests that fail authentication
+const SIGNATURE_FAILURES = {
+  signature_incomplete: ['Signed requests need X-Key-Id, X-Timestamp, X-Nonce and X-Signature headers', 'SIGNATURE_INCOMPLETE'],
+  signature_invalid: ['Invalid request signature', 'SIGNATURE_INVALID'],
+  signature_expired: [`Request signature expired (timestamp more than ${config.security.signatureMaxSkew}s from server time)`, 'SIGNATURE_EXPIRED'],
+  signature_replayed: ['Request signature nonce already used', 'SIGNATURE_REPLAYED'],
+  signing_disabled: ['Signed requests are not enabled for tenant keys', 'SIGNING_DISABLED'],
+  signature_body_unsupported: ['Signed requests must have a JSON or URL-encoded body, send multipart uploads with X-API-Key', 'SIGNATURE_BODY_UNSUPPORTED']
+};
+
+/**
+ * Whether a request has a body (the same test as the Express body parsers)
+ * @param {object} req - Express request object
+ * @returns {boolean} True if the request carries a body
+ */
+const hasBody = (req) => req.headers['transfer-encoding'] !== undefined ||
+  (!isNaN(req.headers['content-length']) && Number(req.headers['content-length']) > 0);
+
+/**
+ * Authenticate the key of a request, from X-API-Key or from a request signature
+ * @param {object} req - Express request object
+ * @returns {object} { status, apiKey, label, signed } (label identifies the key in logs)
+ */
+const authenticateRequest = async (req) => {
+  if (req.headers['x-signature']) {
+    const keyId = req.headers['x-key-id'];
+    if (SIGNATURE_HEADERS.some(header => !req.headers[header])) {
+      return { status: 'signature_incomplete', label: keyId || null, signed: true };
+    }
+
+    // Only bodies read by the JSON and URL-encoded parsers are kept: a signature
+    // over any other body (e.g. a multipart upload) would not cover it
+    if (req.rawBody === undefined && hasBody(req)) {
+      return { status: 'signature_body_unsupported', label: keyId, signed: true };
+    }
+
+    const result = await apiKeyService.authenticateSignature({
+      keyId,
+      timestamp: req.headers['x-timestamp'],
+      nonce: req.headers['x-nonce'],
+      signature: req.headers['x-signature'],
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody
+    }, { ip: req.ip });
+
+    return { ...result, label: keyId, signed: true };
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    return { status: 'missing', label: null, signed: false };
+  }
+
+  const result = await apiKeyService.authenticate(apiKey, { ip: req.ip });
+  // Log only first 8 chars for security
+  return { ...result, label: apiKey.substring(0, 8) + '...', signed: false };
+};
+
+/**
+ * Request info of an authenticated key
+ * @param {object} result - Result of authenticateRequest
+ * @returns {object} req.apiKey
+ */
+const toRequestApiKey = (result) => ({
+  valid: true,
+  id: result.apiKey.id,
+  tenantId: result.apiKey.tenantId,
+  name: result.apiKey.name,
+  scopes: result.apiKey.scopes,
+  key: result.label,
+  signed: result.signed,
+  timestamp: new Date().toISOString()
+});
 
 /**
  * API Key authentication middleware
@@ -8,11 +88,11 @@ const config = require('../config');
  * @param {object} res - Express response object
  * @param {function} next - Next middleware function
  */
-const authenticateApiKey = (req, res, next) => {
+const authenticateApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'];
+    const result = await authenticateRequest(req);
     
-    if (!apiKey) {
+    if (result.status === 'missing') {
       logger.warn('Missing API key', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
@@ -21,24 +101,32 @@ const authenticateApiKey = (req, res, next) => {
       
       return ResponseUtils.authError(res, 'API key is required');
     }
-    
-    if (apiKey !== config.server.apiKey) {
+
+    if (result.status === 'unavailable') {
+      return ResponseUtils.error(res, 'API key registry unavailable, try again later', 503, 'AUTH_UNAVAILABLE');
+    }
+
+    if (result.status !== 'valid') {
       logger.warn('Invalid API key', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         url: req.url,
-        providedKey: apiKey.substring(0, 8) + '...' // Log only first 8 chars for security
+        reason: result.status,
+        signed: result.signed,
+        providedKey: result.label
       });
+
+      if (SIGNATURE_FAILURES[result.status]) {
+        const [message, code] = SIGNATURE_FAILURES[result.status];
+        return ResponseUtils.error(res, message, 401, code);
+      }
       
-      return ResponseUtils.authError(res, 'Invalid API key');
+      const messages = { expired: 'API key expired', disabled: 'API key disabled' };
+      return ResponseUtils.authError(res, messages[result.status] || 'Invalid API key');
     }
     
-    // Add API key info to request for logging
-    req.apiKey = {
-      valid: true,
-      key: apiKey.substring(0, 8) + '...',
-      timestamp: new Date().toISOString()
-    };
+    // Add API key info to request for logging and authorization
+    req.apiKey = toRequestApiKey(result);
     
     next();
   } catch (error) {
@@ -53,28 +141,16 @@ const authenticateApiKey = (req, res, next) => {
  * @param {object} res - Express response object
  * @param {function} next - Next middleware function
  */
-const optionalApiKey = (req, res, next) => {
+const optionalApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'];
+    const result = await authenticateRequest(req);
     
-    if (apiKey) {
-      if (apiKey === config.server.apiKey) {
-        req.apiKey = {
-          valid: true,
-          key: apiKey.substring(0, 8) + '...',
-          timestamp: new Date().toISOString()
-        };
-      } else {
-        req.apiKey = {
-          valid: false,
-          key: apiKey.substring(0, 8) + '...',
-          timestamp: new Date().toISOString()
-        };
-      }
+    if (result.status === 'valid') {
+      req.apiKey = toRequestApiKey(result);
     } else {
       req.apiKey = {
         valid: false,
-        key: null,
+        key: result.label,
         timestamp: new Date().toISOString()
       };
     }
@@ -86,6 +162,123 @@ const optionalApiKey = (req, res, next) => {
   }
 };
 
+/**
+ * Scope authorization middleware (after authenticateApiKey; the admin scope grants every scope)
+ * @param {string} scope - Required scope
+ * @returns {function} Express middleware
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.valid) {
+      return ResponseUtils.authError(res, 'API key is required');
+    }
+
+    if (!apiKeyService.hasScope(req.apiKey, scope)) {
+      logger.warn('API key scope denied', {
+        keyId: req.apiKey.id,
+        tenantId: req.apiKey.tenantId,
+        scope,
+        url: req.originalUrl
+      });
+
+      return ResponseUtils.error(res, `API key does not grant the ${scope} scope`, 403, 'INSUFFICIENT_SCOPE', {
+        required: scope,
+        granted: req.apiKey.scopes
+      });
+    }
+
+    next();
+  };
+};
+
+// Responses to Native Auth tokens that fail validation
+const NATIVE_AUTH_FAILURES = {
+  disabled: ['Native Auth is not enabled on this server', 'NATIVE_AUTH_DISABLED'],
+  invalid: ['Invalid Native Auth token', 'NATIVE_AUTH_INVALID'],
+  origin_not_accepted: ['Native Auth token origin not accepted', 'NATIVE_AUTH_ORIGIN_NOT_ACCEPTED'],
+  ttl_too_long: [`Native Auth token TTL exceeds ${config.nativeAuth.maxExpiry}s`, 'NATIVE_AUTH_TTL_TOO_LONG'],
+  expired: ['Native Auth token expired', 'NATIVE_AUTH_EXPIRED']
+};
+
+/**
+ * Native Auth middleware factory (after authenticateApiKey): a valid
+ * `Authorization: Bearer <token>` sets req.nativeAuth to the proven wallet
+ * @param {object} options - Middleware options
+ * @param {boolean} options.required - Refuse requests without a token
+ * @returns {function} Express middleware
+ */
+const nativeAuth = ({ required }) => {
+  return async (req, res, next) => {
+    try {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+
+      if (!match) {
+        if (required) {
+          return ResponseUtils.error(res, 'Native Auth token is required (Authorization: Bearer <token>)', 401, 'NATIVE_AUTH_REQUIRED');
+        }
+        return next();
+      }
+
+      const result = await nativeAuthService.validate(match[1]);
+
+      if (result.status === 'unavailable') {
+        return ResponseUtils.error(res, 'Native Auth token cannot be checked, try again later', 503, 'NATIVE_AUTH_UNAVAILABLE');
+      }
+
+      if (result.status !== 'valid') {
+        logger.warn('Invalid Native Auth token', {
+          ip: req.ip,
+          url: req.url,
+          reason: result.status,
+          keyId: req.apiKey && req.apiKey.id
+        });
+
+        const [message, code] = NATIVE_AUTH_FAILURES[result.status];
+        return ResponseUtils.error(res, message, 401, code);
+      }
+
+      req.nativeAuth = result.session;
+      next();
+    } catch (error) {
+      logger.logError(error, { middleware: 'nativeAuth' });
+      return ResponseUtils.error(res, 'Authentication error', 500);
+    }
+  };
+};
+
+/**
+ * Bind the userAddress of the body to the Native Auth wallet (after nativeAuth):
+ * filled in when omitted, refused when it is another address
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Next middleware function
+ */
+const bindWalletAddress = (req, res, next) => {
+  if (!req.nativeAuth) {
+    return next();
+  }
+
+  if (!req.body.userAddress) {
+    req.body.userAddress = req.nativeAuth.address;
+  }
+
+  if (req.body.userAddress !== req.nativeAuth.address) {
+    logger.warn('userAddress does not match the Native Auth wallet', {
+      userAddress: req.body.userAddress,
+      address: req.nativeAuth.address,
+      keyId: req.apiKey && req.apiKey.id,
+      url: req.originalUrl
+    });
+
+    return ResponseUtils.error(res, 'userAddress does not match the Native Auth wallet', 403, 'ADDRESS_MISMATCH', {
+      userAddress: req.body.userAddress,
+      authenticatedAddress: req.nativeAuth.address
+    });
+  }
+
+  next();
+};
+
 /**
  * IP whitelist middleware (for production security)
  * @param {array} allowedIPs - Array of allowed IP addresses
@@ -185,7 +378,8 @@ const corsConfig = (req, res, next) => {
   }
   
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Key-Id, X-Timestamp, X-Nonce, X-Signature');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Quota-Metric, X-Quota-Period, X-Quota-Used, X-Quota-Limit, X-Quota-Remaining, X-Quota-Reset');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
   
@@ -201,6 +395,11 @@ module.exports = {
   authenticateApiKey,
   requireApiKey: authenticateApiKey,
   optionalApiKey,
+  requireScope,
+  // Wallet-owned endpoints: a token is needed only with NATIVE_AUTH_REQUIRED=true
+  authenticateWallet: nativeAuth({ required: config.nativeAuth.required }),
+  requireNativeAuth: nativeAuth({ required: true }),
+  bindWalletAddress,
   ipWhitelist,
   requestLogger,
   logRequest: requestLogger,
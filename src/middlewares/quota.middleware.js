@@ -0,0 +1,97 @@
+const quotaService = require('../services/quota.service');
+const ResponseUtils = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Set the X-Quota-* headers of a quota window
+ * @param {object} res - Express response object
+ * @param {object} quota - Quota window from the quota service
+ */
+const setQuotaHeaders = (res, quota) => {
+  res.setHeader('X-Quota-Metric', quota.metric);
+  res.setHeader('X-Quota-Period', quota.period);
+  res.setHeader('X-Quota-Used', String(quota.used));
+  if (quota.limit !== null) {
+    res.setHeader('X-Quota-Limit', String(quota.limit));
+    res.setHeader('X-Quota-Remaining', String(quota.remaining));
+  }
+  res.setHeader('X-Quota-Reset', quota.resetsAt);
+};
+
+/**
+ * Meter a request against the quota of its tenant (after authenticateApiKey
+ * and the request validators, so rejected requests are never counted).
+ * The consumption is given back when the response is an error, so tenants
+ * are only charged for what they got.
+ *
+ * @param {string} metric - Metric name (quotaService.METRICS)
+ * @param {function} count - Units consumed by a request (default: 1)
+ * @returns {function} Express middleware
+ */
+const meterQuota = (metric, count = () => 1) => {
+  return async (req, res, next) => {
+    try {
+      const { tenantId } = req.apiKey;
+      const amount = Math.max(count(req), 1);
+      const result = await quotaService.consume(tenantId, metric, amount);
+
+      if (result.status === 'batch_too_large') {
+        return ResponseUtils.error(res, `Requests are limited to ${result.maxBatchSize} items for this tenant`, 413, 'QUOTA_BATCH_TOO_LARGE', {
+          maxBatchSize: result.maxBatchSize,
+          size: amount
+        });
+      }
+
+      if (result.status === 'exceeded') {
+        setQuotaHeaders(res, result.quota);
+        return ResponseUtils.error(res, `Tenant ${metric} quota exceeded for the ${result.quota.period} period`, 429, 'QUOTA_EXCEEDED', {
+          quota: result.quota,
+          requested: amount
+        });
+      }
+
+      if (result.quota) {
+        setQuotaHeaders(res, result.quota);
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            quotaService.release(tenantId, metric, amount);
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.logError(error, { middleware: 'meterQuota', metric });
+      return ResponseUtils.error(res, 'Quota error', 500);
+    }
+  };
+};
+
+/**
+ * Number of hashes of a batch body (1 for other bodies)
+ * @param {object} req - Express request object
+ * @returns {number} Hash count
+ */
+const countHashes = (req) => (Array.isArray(req.body && req.body.hashes) ? req.body.hashes.length : 1);
+
+/**
+ * Number of documents of a prepare-transactions body
+ * @param {object} req - Express request object
+ * @returns {number} Document count
+ */
+const countDocuments = (req) => (Array.isArray(req.body && req.body.documents) ? req.body.documents.length : 1);
+
+/**
+ * Number of uploaded files, archive entries included (after hashUpload)
+ * @param {object} req - Express request object
+ * @returns {number} File count
+ */
+const countFiles = (req) => (req.upload ? req.upload.files.length : 1);
+
+module.exports = {
+  meterQuota,
+  setQuotaHeaders,
+  countHashes,
+  countDocuments,
+  countFiles
+};
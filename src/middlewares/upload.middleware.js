@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const busboy = require('busboy');
+const unzipper = require('unzipper');
+const ResponseUtils = require('../utils/response');
+const HashUtils = require('../utils/hash');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+/**
+ * Check whether an uploaded part is a ZIP archive
+ * @param {object} info - Busboy file info
+ * @returns {boolean} True for ZIP archives
+ */
+const isZipArchive = (info) => {
+  return ZIP_MIME_TYPES.includes(info.mimeType) || /\.zip$/i.test(info.filename || '');
+};
+
+/**
+ * Parse a multipart/form-data upload and hash each file while it streams in,
+ * so files are never buffered in memory or written to disk.
+ *
+ * The digest algorithm is read from an `algorithm` field sent before the file
+ * part, then from the `algorithm` query parameter, then from HASH_ALGORITHM.
+ * On success `req.upload.files` holds { fieldName, name, size, mimeType, algorithm, digest }
+ * per file and `req.body` holds the text fields (`metadata` parsed as JSON).
+ *
+ * A file (or inflated archive entry) over UPLOAD_MAX_FILE_SIZE, or a request
+ * over UPLOAD_MAX_TOTAL_SIZE in total, is rejected as soon as the limit is
+ * crossed: archives stop inflating and the rest of the request is discarded.
+ *
+ * @param {object} options - Upload options
+ * @param {number} options.maxFiles - Maximum number of files per request, archive entries included (default: 1)
+ * @param {boolean} options.archives - Hash the entries of ZIP archives instead of the archive itself
+ * @returns {function} Express middleware
+ */
+const hashUpload = (options = {}) => {
+  const { maxFiles = 1, archives = false } = options;
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return ResponseUtils.error(
+        res,
+        'Expected a multipart/form-data upload',
+        415,
+        'UNSUPPORTED_MEDIA_TYPE'
+      );
+    }
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: {
+          fileSize: config.upload.maxFileSize,
+          files: maxFiles
+        }
+      });
+    } catch (error) {
+      return ResponseUtils.error(res, 'Invalid multipart request', 400, 'INVALID_UPLOAD', {
+        originalError: error.message
+      });
+    }
+
+    const startTime = Date.now();
+    const fields = {};
+    const files = [];
+    const hashing = [];
+    const unzips = [];
+    let totalBytes = 0;
+    let failure = null;
+    let finished = false;
+
+    const fail = (message, statusCode, code, details = {}) => {
+      if (!failure) {
+        failure = { message, statusCode, code, details };
+      }
+    };
+
+    /**
+     * Reject the upload right away: stop inflating archives and answer
+     * without waiting for the rest of the request
+     */
+    const abort = (message, statusCode, code, details = {}) => {
+      fail(message, statusCode, code, details);
+      unzips.forEach(unzip => unzip.destroy());
+      finish();
+    };
+
+    const abortFileTooLarge = (name) => abort('File too large', 413, 'FILE_TOO_LARGE', {
+      file: name,
+      maxFileSize: config.upload.maxFileSize
+    });
+
+    /**
+     * Hash a stream into a file descriptor added to the upload
+     * @param {Stream} stream - File or archive entry stream
+     * @param {object} file - Descriptor without size and digest
+     * @returns {Promise} Resolved once the stream is consumed
+     */
+    const hashStream = (stream, file) => {
+      const hash = crypto.createHash(HashUtils.getAlgorithm(file.algorithm).nodeName);
+      const descriptor = { ...file, size: 0, digest: null };
+      files.push(descriptor);
+
+      return new Promise((resolve) => {
+        // Busboy stops a part at UPLOAD_MAX_FILE_SIZE and emits 'limit'
+        stream.on('limit', () => {
+          abortFileTooLarge(descriptor.name);
+          resolve();
+        });
+
+        stream.on('data', (chunk) => {
+          if (finished) {
+            return;
+          }
+
+          descriptor.size += chunk.length;
+          totalBytes += chunk.length;
+
+          // Busboy parts never get here: this catches inflated archive entries
+          if (descriptor.size > config.upload.maxFileSize) {
+            stream.destroy();
+            abortFileTooLarge(descriptor.name);
+            return resolve();
+          }
+
+          if (totalBytes > config.upload.maxTotalSize) {
+            stream.destroy();
+            abort('Upload too large', 413, 'UPLOAD_TOO_LARGE', { maxTotalSize: config.upload.maxTotalSize });
+            return resolve();
+          }
+
+          hash.update(chunk);
+        });
+
+        stream.on('end', () => {
+          if (!failure) {
+            descriptor.digest = hash.digest('hex');
+          }
+          resolve();
+        });
+
+        stream.on('error', (error) => {
+          fail('Failed to read uploaded file', 400, 'INVALID_UPLOAD', {
+            file: descriptor.name,
+            originalError: error.message
+          });
+          resolve();
+        });
+      });
+    };
+
+    /**
+     * Hash every file entry of a ZIP archive
+     * @param {Stream} stream - Archive stream
+     * @param {object} info - Busboy file info of the archive
+     * @param {object} file - Descriptor fields shared by the entries
+     * @returns {Promise} Resolved once the archive is consumed
+     */
+    const hashArchive = (stream, info, file) => {
+      const entries = [];
+      const unzip = unzipper.Parse();
+      unzips.push(unzip);
+
+      return new Promise((resolve) => {
+        stream.on('limit', () => {
+          abortFileTooLarge(info.filename);
+          resolve();
+        });
+
+        unzip.on('entry', (entry) => {
+          // Skip folders and the resource forks added by macOS
+          if (entry.type !== 'File' || entry.path.startsWith('__MACOSX/') || failure) {
+            entry.autodrain();
+            return;
+          }
+
+          // Sizes declared by the entry header are checked before inflating anything
+          if (entry.vars.uncompressedSize > config.upload.maxFileSize) {
+            entry.destroy();
+            abortFileTooLarge(entry.path);
+            return resolve();
+          }
+
+          if (files.length >= maxFiles) {
+            fail(`Too many files (maximum ${maxFiles})`, 400, 'TOO_MANY_FILES', { maxFiles });
+            entry.autodrain();
+            return;
+          }
+
+          entries.push(hashStream(entry, {
+            ...file,
+            name: entry.path,
+            archive: info.filename,
+            mimeType: null
+          }));
+        });
+
+        unzip.on('error', (error) => {
+          fail('Invalid ZIP archive', 400, 'INVALID_ARCHIVE', {
+            file: info.filename,
+            originalError: error.message
+          });
+          stream.unpipe(unzip);
+          stream.resume();
+          Promise.all(entries).then(resolve);
+        });
+
+        unzip.on('close', () => {
+          if (entries.length === 0) {
+            // Also reached when the part is not a ZIP archive at all
+            fail('ZIP archive contains no files', 400, 'INVALID_ARCHIVE', { file: info.filename });
+          }
+          Promise.all(entries).then(resolve);
+        });
+
+        stream.pipe(unzip);
+      });
+    };
+
+    const finish = (error) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      req.unpipe(parser);
+
+      if (error) {
+        // Drain the rest of the request so the client receives the response
+        req.resume();
+        logger.logError(error, { middleware: 'hashUpload' });
+        return ResponseUtils.error(res, 'Failed to process upload', 400, 'INVALID_UPLOAD', {
+          originalError: error.message
+        });
+      }
+
+      if (failure) {
+        req.resume();
+        logger.warn('Upload rejected', { url: req.url, code: failure.code, ...failure.details });
+        return ResponseUtils.error(res, failure.message, failure.statusCode, failure.code, failure.details);
+      }
+
+      if (files.length === 0) {
+        return ResponseUtils.validationError(res, [
+          { field: 'file', message: 'A file is required' }
+        ]);
+      }
+
+      if (typeof fields.metadata === 'string') {
+        try {
+          fields.metadata = JSON.parse(fields.metadata);
+        } catch (parseError) {
+          return ResponseUtils.validationError(res, [
+            { field: 'metadata', message: 'metadata must be a JSON object' }
+          ]);
+        }
+      }
+
+      logger.logPerformance('hashUpload', Date.now() - startTime, {
+        files: files.length,
+        bytes: files.reduce((total, file) => total + file.size, 0)
+      });
+
+      req.upload = { files, fields };
+      req.body = fields;
+      next();
+    };
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (fieldName, stream, info) => {
+      const algorithm = fields.algorithm || req.query.algorithm || config.hash.algorithm;
+
+      if (!HashUtils.HASH_ALGORITHMS[algorithm]) {
+        fail(`Unsupported hash algorithm: ${algorithm}`, 400, 'VALIDATION_ERROR', { algorithm });
+        stream.resume();
+        return;
+      }
+
+      if (archives && isZipArchive(info)) {
+        hashing.push(hashArchive(stream, info, { fieldName, algorithm }));
+        return;
+      }
+
+      if (files.length >= maxFiles) {
+        fail(`Too many files (maximum ${maxFiles})`, 400, 'TOO_MANY_FILES', { maxFiles });
+        stream.resume();
+        return;
+      }
+
+      hashing.push(hashStream(stream, {
+        fieldName,
+        name: info.filename,
+        mimeType: info.mimeType,
+        algorithm
+      }));
+    });
+
+    parser.on('filesLimit', () => {
+      fail(`Too many files (maximum ${maxFiles})`, 400, 'TOO_MANY_FILES', { maxFiles });
+    });
+
+    parser.on('error', finish);
+
+    parser.on('close', () => {
+      Promise.all(hashing).then(() => finish());
+    });
+
+    req.on('aborted', () => {
+      finished = true;
+      logger.warn('Upload aborted by client', { url: req.url });
+    });
+
+    req.pipe(parser);
+  };
+};
+
+module.exports = {
+  hashUpload
+};
@@ -2,6 +2,9 @@ const Joi = require('joi');
 const ResponseUtils = require('../utils/response');
 const HashUtils = require('../utils/hash');
 const logger = require('../utils/logger');
+const config = require('../config');
+const { SCOPES } = require('../services/apikey.service');
+const { METRICS } = require('../services/quota.service');
 
 /**
  * Generic validation middleware factory
@@ -66,16 +69,131 @@ const schemas = {
     
     options: Joi.object({
       callbackUrl: Joi.string().uri().optional(),
-      priority: Joi.string().valid('normal', 'high').default('normal')
+      priority: Joi.string().valid('normal', 'high').default('normal'),
+      mode: Joi.string().valid('single', 'aggregate').default('single'),
+      algorithm: Joi.string().valid(...Object.keys(HashUtils.HASH_ALGORITHMS)).optional()
     }).optional().default({})
   }),
   
+  // Merkle batch creation schema
+  createBatch: Joi.object({
+    hashes: Joi.array()
+      .items(Joi.string().pattern(HashUtils.DIGEST_PATTERN).lowercase())
+      .min(1)
+      .max(config.batch.maxLeaves)
+      .unique()
+      .required()
+      .description('Hex digests to anchor under a single Merkle root'),
+    
+    metadata: Joi.object({
+      userId: Joi.string().max(100).optional(),
+      documentType: Joi.string().max(50).optional(),
+      description: Joi.string().max(500).optional(),
+      tags: Joi.array().items(Joi.string().max(50)).max(10).optional()
+    }).optional().default({}),
+    
+    options: Joi.object({
+      callbackUrl: Joi.string().uri().optional(),
+      priority: Joi.string().valid('normal', 'high').default('normal'),
+      algorithm: Joi.string().valid(...Object.keys(HashUtils.HASH_ALGORITHMS)).optional()
+    }).optional().default({})
+  }).custom((value, helpers) => {
+    const algorithm = value.options.algorithm || config.hash.algorithm;
+    if (!value.hashes.every(hash => HashUtils.isValidDigest(hash, algorithm))) {
+      return helpers.message(`"hashes" must all be ${algorithm} digests`);
+    }
+    return value;
+  }),
+  
+  // Merkle inclusion proof verification schema
+  verifyProof: Joi.object({
+    hash: Joi.string()
+      .pattern(HashUtils.DIGEST_PATTERN)
+      .lowercase()
+      .required()
+      .description('Hex digest of the document'),
+    
+    proof: Joi.object({
+      root: Joi.string().pattern(/^[a-f0-9]{64}$/i).lowercase().required(),
+      leafIndex: Joi.number().integer().min(0).optional(),
+      path: Joi.array().items(Joi.object({
+        position: Joi.string().valid('left', 'right').required(),
+        hash: Joi.string().pattern(/^[a-f0-9]{64}$/i).lowercase().required()
+      })).max(64).required()
+    }).required().description('Inclusion proof returned by the batch endpoint')
+  }),
+  
+  // Data verification schema
+  verifyData: Joi.object({
+    data: Joi.alternatives()
+      .try(
+        Joi.string().min(1).max(10000),
+        Joi.object().unknown(true)
+      )
+      .required()
+      .description('Original data (hashed before verification)'),
+    
+    expectedHash: Joi.string()
+      .pattern(HashUtils.DIGEST_PATTERN)
+      .lowercase()
+      .optional()
+      .description('Hash the data is expected to match'),
+    
+    hashScheme: Joi.string()
+      .valid(...Object.values(HashUtils.HASH_SCHEMES))
+      .optional()
+      .description('Hash scheme the data was timestamped with (default: try every scheme)'),
+    
+    algorithm: Joi.string()
+      .valid(...Object.keys(HashUtils.HASH_ALGORITHMS))
+      .optional()
+      .description('Digest algorithm (default: inferred from expectedHash, else HASH_ALGORITHM)'),
+    
+    callbackUrl: Joi.string().uri().optional()
+  }),
+  
+  // Multipart upload fields (the files themselves are hashed by the upload middleware)
+  fileUpload: Joi.object({
+    algorithm: Joi.string()
+      .valid(...Object.keys(HashUtils.HASH_ALGORITHMS))
+      .optional()
+      .description('Digest algorithm, sent before the file part'),
+    
+    metadata: Joi.object({
+      userId: Joi.string().max(100).optional(),
+      documentType: Joi.string().max(50).optional(),
+      description: Joi.string().max(500).optional(),
+      tags: Joi.array().items(Joi.string().max(50)).max(10).optional()
+    }).optional().default({}),
+    
+    mode: Joi.string().valid('single', 'aggregate').default('single'),
+    
+    priority: Joi.string().valid('normal', 'high').default('normal'),
+    
+    expectedHash: Joi.string()
+      .pattern(HashUtils.DIGEST_PATTERN)
+      .lowercase()
+      .optional()
+      .description('Digest the file is expected to match (verification only)'),
+    
+    callbackUrl: Joi.string().uri().optional()
+  }),
+  
   // Hash verification schema
   verifyHash: Joi.object({
     hash: Joi.string()
-      .pattern(/^[a-f0-9]{64}$/i)
+      .pattern(HashUtils.DIGEST_PATTERN)
       .required()
-      .description('SHA256 hash to verify')
+      .description('Hex digest to verify')
+  }),
+  
+  // Verification query parameters
+  verifyQuery: Joi.object({
+    address: Joi.string()
+      .pattern(/^erd1[a-z0-9]{58}$/)
+      .optional()
+      .description('Sender/receiver address used for the on-chain lookup'),
+    callbackUrl: Joi.string().uri().optional()
   }),
   
   // Transaction hash schema
@@ -137,13 +255,15 @@ const schemas = {
       documentType: Joi.string().max(50).optional(),
       description: Joi.string().max(500).optional(),
       tags: Joi.array().items(Joi.string().max(50)).max(10).optional()
-    }).optional().default({})
+    }).optional().default({}),
+    
+    algorithm: Joi.string().valid(...Object.keys(HashUtils.HASH_ALGORITHMS)).optional()
   }),
 
   // Register signed transaction schema
   registerTransaction: Joi.object({
     dataHash: Joi.string()
-      .pattern(/^[a-f0-9]{64}$/i)
+      .pattern(HashUtils.DIGEST_PATTERN)
       .required()
       .description('Data hash from prepared transaction'),
     
@@ -175,6 +295,103 @@ const schemas = {
       .pattern(/^erd1[a-z0-9]{58}$/)
       .required()
       .description('Valid MultiversX address')
+  }),
+
+  // API key creation
+  createApiKey: Joi.object({
+    tenantId: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{1,64}$/)
+      .required()
+      .description('Tenant owning the key'),
+
+    name: Joi.string().min(1).max(100).required().description('Display name'),
+
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.values(SCOPES)))
+      .min(1)
+      .unique()
+      .required()
+      .description('Granted scopes'),
+
+    expiresAt: Joi.date().iso().greater('now').optional().description('Expiry date')
+  }),
+
+  // API key ID parameter
+  apiKeyId: Joi.object({
+    id: Joi.string()
+      .pattern(/^[a-f0-9]{16}$/)
+      .required()
+      .description('API key ID')
+  }),
+
+  // API key rotation
+  rotateApiKey: Joi.object({
+    gracePeriod: Joi.number()
+      .integer()
+      .min(0)
+      .max(30 * 24 * 3600)
+      .default(config.security.apiKeyRotationGrace)
+      .description('Seconds during which the previous key is still accepted')
+  }),
+
+  // API key listing query
+  apiKeyQuery: Joi.object({
+    tenantId: Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).optional()
+  }),
+
+  // Tenant ID parameter
+  tenantId: Joi.object({
+    tenantId: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{1,64}$/)
+      .required()
+      .description('Tenant ID')
+  }),
+
+  // Tenant quota overrides (null: unlimited, omitted: default limit)
+  tenantQuotas: Joi.object({
+    [METRICS.TIMESTAMPS]: Joi.object({
+      daily: Joi.number().integer().min(1).allow(null),
+      monthly: Joi.number().integer().min(1).allow(null)
+    }).description('Hashes timestamped or prepared'),
+
+    [METRICS.VERIFICATIONS]: Joi.object({
+      daily: Joi.number().integer().min(1).allow(null),
+      monthly: Joi.number().integer().min(1).allow(null)
+    }).description('Verifications'),
+
+    [METRICS.RELAYED_FEES]: Joi.object({
+      daily: Joi.number().positive().allow(null),
+      monthly: Joi.number().positive().allow(null)
+    }).description('Relayed fees paid by the service wallet, in EGLD'),
+
+    maxBatchSize: Joi.number().integer().min(1).allow(null).description('Hashes or documents in one request')
+  }).min(1),
+
+  // Targeted indexer backfill
+  indexerBackfill: Joi.object({
+    address: Joi.string()
+      .pattern(/^erd1[a-z0-9]{58}$/)
+      .required()
+      .description('Address to rescan'),
+
+    fromTimestamp: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .description('Unix timestamp (seconds) to rescan from (default INDEXER_START_TIMESTAMP)')
+  }),
+
+  // Usage query
+  usageQuery: Joi.object({
+    month: Joi.string()
+      .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .optional()
+      .description('Past month to report (YYYY-MM)'),
+
+    tenantId: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{1,64}$/)
+      .optional()
+      .description('Tenant to report (admin scope only)')
   })
 };
 
@@ -183,11 +400,36 @@ const schemas = {
  */
 const validateCreateTimestamp = validate(schemas.createTimestamp, 'body');
 
+/**
+ * Validate Merkle batch creation request
+ */
+const validateCreateBatch = validate(schemas.createBatch, 'body');
+
+/**
+ * Validate multipart upload fields
+ */
+const validateFileUpload = validate(schemas.fileUpload, 'body');
+
+/**
+ * Validate data verification request
+ */
+const validateVerifyData = validate(schemas.verifyData, 'body');
+
+/**
+ * Validate Merkle inclusion proof request
+ */
+const validateVerifyProof = validate(schemas.verifyProof, 'body');
+
 /**
  * Validate hash parameter
  */
 const validateHashParam = validate(schemas.verifyHash, 'params');
 
+/**
+ * Validate verification query parameters
+ */
+const validateVerifyQuery = validate(schemas.verifyQuery, 'query');
+
 /**
  * Validate transaction hash parameter
  */
@@ -387,11 +629,56 @@ const validateTransactionStatus = validate(schemas.transactionStatus, 'params');
  */
 const validateMultiversxAddress = validate(schemas.multiversxAddress, 'params');
 
+/**
+ * Validate API key creation request
+ */
+const validateCreateApiKey = validate(schemas.createApiKey, 'body');
+
+/**
+ * Validate API key ID parameter
+ */
+const validateApiKeyId = validate(schemas.apiKeyId, 'params');
+
+/**
+ * Validate API key rotation request
+ */
+const validateRotateApiKey = validate(schemas.rotateApiKey, 'body');
+
+/**
+ * Validate API key listing query
+ */
+const validateApiKeyQuery = validate(schemas.apiKeyQuery, 'query');
+
+/**
+ * Validate tenant ID parameter
+ */
+const validateTenantId = validate(schemas.tenantId, 'params');
+
+/**
+ * Validate tenant quota overrides
+ */
+const validateTenantQuotas = validate(schemas.tenantQuotas, 'body');
+
+/**
+ * Validate targeted indexer backfill request
+ */
+const validateIndexerBackfill = validate(schemas.indexerBackfill, 'body');
+
+/**
+ * Validate usage query
+ */
+const validateUsageQuery = validate(schemas.usageQuery, 'query');
+
 module.exports = {
   validate,
   schemas,
   validateCreateTimestamp,
+  validateCreateBatch,
+  validateVerifyProof,
+  validateVerifyData,
+  validateFileUpload,
   validateHashParam,
+  validateVerifyQuery,
   validateTransactionHash,
   validateWebhookTest,
   validatePagination,
@@ -404,5 +691,13 @@ module.exports = {
   validateRegisterTransaction,
   validateTransactionStatus,
   validateMultiversxAddress,
+  validateCreateApiKey,
+  validateApiKeyId,
+  validateRotateApiKey,
+  validateApiKeyQuery,
+  validateTenantId,
+  validateTenantQuotas,
+  validateIndexerBackfill,
+  validateUsageQuery,
   sanitizeInput
 };
\ No newline at end of file
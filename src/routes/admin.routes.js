@@ -0,0 +1,143 @@
+const express = require('express');
+const AdminController = require('../controllers/admin.controller');
+const { validateCreateApiKey, validateApiKeyId, validateRotateApiKey, validateApiKeyQuery, validateTenantId, validateTenantQuotas, validateIndexerBackfill } = require('../middlewares/validation.middleware');
+const { logRequest } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// Apply request logging to all routes
+router.use(logRequest);
+
+/**
+ * @route POST /api/v1/admin/api-keys
+ * @desc Create an API key for a tenant; the key is returned once and only its salted hash is stored
+ * @access Private (API Key with admin scope)
+ * @body {string} tenantId - Tenant owning the key
+ * @body {string} name - Display name
+ * @body {array} scopes - timestamp:create, verify:read and/or admin
+ * @body {string} expiresAt - Expiry date, ISO 8601 (optional)
+ */
+router.post('/api-keys',
+  validateCreateApiKey,
+  AdminController.createApiKey
+);
+
+/**
+ * @route GET /api/v1/admin/api-keys
+ * @desc List API keys (without their hashes), with their status and last use (time and IP)
+ * @access Private (API Key with admin scope)
+ * @query {string} tenantId - Only the keys of this tenant (optional)
+ */
+router.get('/api-keys',
+  validateApiKeyQuery,
+  AdminController.listApiKeys
+);
+
+/**
+ * @route GET /api/v1/admin/api-keys/:id
+ * @desc Get an API key
+ * @access Private (API Key with admin scope)
+ * @param {string} id - API key ID
+ */
+router.get('/api-keys/:id',
+  validateApiKeyId,
+  AdminController.getApiKey
+);
+
+/**
+ * @route POST /api/v1/admin/api-keys/:id/rotate
+ * @desc Replace the key, keeping its ID; the new key is returned once
+ * @access Private (API Key with admin scope)
+ * @param {string} id - API key ID
+ * @body {number} gracePeriod - Seconds during which the previous key is still accepted (default API_KEY_ROTATION_GRACE)
+ */
+router.post('/api-keys/:id/rotate',
+  validateApiKeyId,
+  validateRotateApiKey,
+  AdminController.rotateApiKey
+);
+
+/**
+ * @route POST /api/v1/admin/api-keys/:id/disable
+ * @desc Disable a key without deleting it
+ * @access Private (API Key with admin scope)
+ * @param {string} id - API key ID
+ */
+router.post('/api-keys/:id/disable',
+  validateApiKeyId,
+  AdminController.disableApiKey
+);
+
+/**
+ * @route POST /api/v1/admin/api-keys/:id/enable
+ * @desc Enable a disabled key
+ * @access Private (API Key with admin scope)
+ * @param {string} id - API key ID
+ */
+router.post('/api-keys/:id/enable',
+  validateApiKeyId,
+  AdminController.enableApiKey
+);
+
+/**
+ * @route DELETE /api/v1/admin/api-keys/:id
+ * @desc Delete an API key
+ * @access Private (API Key with admin scope)
+ * @param {string} id - API key ID
+ */
+router.delete('/api-keys/:id',
+  validateApiKeyId,
+  AdminController.deleteApiKey
+);
+
+/**
+ * @route GET /api/v1/admin/tenants/:tenantId/quotas
+ * @desc Get the quota limits of a tenant (its overrides on top of the QUOTA_* defaults)
+ * @access Private (API Key with admin scope)
+ * @param {string} tenantId - Tenant ID
+ */
+router.get('/tenants/:tenantId/quotas',
+  validateTenantId,
+  AdminController.getTenantQuotas
+);
+
+/**
+ * @route PUT /api/v1/admin/tenants/:tenantId/quotas
+ * @desc Override the quota limits of a tenant (null: unlimited, omitted: default)
+ * @access Private (API Key with admin scope)
+ * @param {string} tenantId - Tenant ID
+ * @body {object} timestamps - { daily, monthly } hashes timestamped or prepared
+ * @body {object} verifications - { daily, monthly } verifications
+ * @body {object} relayedFees - { daily, monthly } relayed fees in EGLD
+ * @body {number} maxBatchSize - Hashes or documents in one request
+ */
+router.put('/tenants/:tenantId/quotas',
+  validateTenantId,
+  validateTenantQuotas,
+  AdminController.setTenantQuotas
+);
+
+/**
+ * @route DELETE /api/v1/admin/tenants/:tenantId/quotas
+ * @desc Reset the quota limits of a tenant to the defaults
+ * @access Private (API Key with admin scope)
+ * @param {string} tenantId - Tenant ID
+ */
+router.delete('/tenants/:tenantId/quotas',
+  validateTenantId,
+  AdminController.resetTenantQuotas
+);
+
+/**
+ * @route POST /api/v1/admin/indexer/backfill
+ * @desc Rescan the transactions of an address in the background, without moving its indexer checkpoint
+ * @access Private (API Key with admin scope)
+ * @body {string} address - Address to rescan
+ * @body {number} fromTimestamp - Unix timestamp (seconds) to rescan from (default INDEXER_START_TIMESTAMP)
+ */
+router.post('/indexer/backfill',
+  validateIndexerBackfill,
+  AdminController.backfillIndexer
+);
+
+module.exports = router;
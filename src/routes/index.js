@@ -3,7 +3,10 @@ const timestampRoutes = require('./timestamp.routes');
 const transactionRoutes = require('./transaction.routes');
 const verifyRoutes = require('./verify.routes');
 const healthRoutes = require('./health.routes.simple');
+const adminRoutes = require('./admin.routes');
+const usageRoutes = require('./usage.routes');
 const authMiddleware = require('../middlewares/auth.middleware');
+const { SCOPES } = require('../services/apikey.service');
 const { errorHandler, notFoundHandler } = require('../middlewares/error.middleware');
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
@@ -75,6 +78,10 @@ router.get('/', (req, res) => {
     endpoints: {
       timestamp: {
         'POST /api/v1/timestamp': 'Create a new timestamp',
+        'POST /api/v1/timestamp/file': 'Timestamp an uploaded file (multipart)',
+        'POST /api/v1/timestamp/batch': 'Anchor many hashes under one Merkle root',
+        'GET /api/v1/timestamp/proof/:hash': 'Get the inclusion proof of a batched hash',
+        'GET /api/v1/timestamp/calendar': 'Get the aggregation calendar state',
         'GET /api/v1/timestamp/estimate': 'Estimate transaction cost',
         'GET /api/v1/timestamp/stats': 'Get timestamp statistics',
         'GET /api/v1/timestamp/transaction/:txHash': 'Get transaction details',
@@ -83,12 +90,19 @@ router.get('/', (req, res) => {
       transaction: {
         'POST /api/v1/prepare-transaction': 'Prepare unsigned transaction for xPortal signing',
         'POST /api/v1/register-transaction': 'Register signed transaction from xPortal',
-        'GET /api/v1/transaction/:txHash/status': 'Get transaction status'
+        'POST /api/v1/broadcast-transaction': 'Verify, broadcast and register a wallet-signed transaction',
+        'POST /api/v1/prepare-transactions': 'Prepare one unsigned transaction per document, with consecutive nonces',
+        'POST /api/v1/broadcast-transactions': 'Verify, broadcast and register an array of wallet-signed transactions',
+        'GET /api/v1/transaction/:txHash/status': 'Get transaction status',
+        'GET /api/v1/wallet/history': 'List the timestamps of the Native Auth wallet'
       },
       verify: {
         'POST /api/v1/verify/hash': 'Verify a hash timestamp',
         'POST /api/v1/verify/data': 'Verify raw data timestamp',
+        'POST /api/v1/verify/file': 'Verify an uploaded file (multipart)',
+        'POST /api/v1/verify/bulk-file': 'Verify many files or ZIP archives (multipart)',
         'POST /api/v1/verify/batch': 'Verify multiple hashes',
+        'POST /api/v1/verify/proof': 'Verify a Merkle inclusion proof',
         'GET /api/v1/verify/stats': 'Get verification statistics',
         'GET /api/v1/verify/:hash': 'Verify timestamp by hash (Bubble compatible)'
       },
@@ -99,11 +113,33 @@ router.get('/', (req, res) => {
         'GET /api/v1/health/startup': 'Startup probe',
         'GET /api/v1/health/metrics': 'Service metrics',
         'GET /api/v1/health/version': 'Version information'
+      },
+      admin: {
+        'POST /api/v1/admin/api-keys': 'Create an API key for a tenant',
+        'GET /api/v1/admin/api-keys': 'List API keys',
+        'GET /api/v1/admin/api-keys/:id': 'Get an API key',
+        'POST /api/v1/admin/api-keys/:id/rotate': 'Rotate an API key with a grace period for the previous key',
+        'POST /api/v1/admin/api-keys/:id/disable': 'Disable an API key',
+        'POST /api/v1/admin/api-keys/:id/enable': 'Enable a disabled API key',
+        'DELETE /api/v1/admin/api-keys/:id': 'Delete an API key',
+        'GET /api/v1/admin/tenants/:tenantId/quotas': 'Get the quota limits of a tenant',
+        'PUT /api/v1/admin/tenants/:tenantId/quotas': 'Override the quota limits of a tenant',
+        'DELETE /api/v1/admin/tenants/:tenantId/quotas': 'Reset the quota limits of a tenant to the defaults',
+        'POST /api/v1/admin/indexer/backfill': 'Rescan the transactions of an address into the registry'
+      },
+      usage: {
+        'GET /api/v1/usage': 'Get the consumption and limits of the tenant for the current day and month'
       }
     },
     authentication: {
-      required: 'API Key required for timestamp and verify endpoints',
+      required: 'API Key required for timestamp, transaction, verify, usage and admin endpoints',
       header: 'X-API-Key',
+      scopes: {
+        [SCOPES.TIMESTAMP_CREATE]: 'Create timestamps and prepare, register or broadcast transactions',
+        [SCOPES.VERIFY_READ]: 'Verify timestamps and read proofs, statuses and statistics',
+        [SCOPES.ADMIN]: 'Every scope, plus API key management and cache administration'
+      },
+      nativeAuth: 'Authorization: Bearer <Native Auth token> binds userAddress to the signing wallet (required for /wallet/history)',
       optional: 'Health endpoints do not require authentication'
     },
     rateLimit: {
@@ -138,29 +174,55 @@ router.use('/verify',
   generalRateLimit,
   verifyRateLimit,
   authMiddleware.requireApiKey,
+  authMiddleware.requireScope(SCOPES.VERIFY_READ),
   verifyRoutes
 );
 
 // Transaction routes (for xPortal integration)
-router.use('/prepare-transaction',
+// The transaction router declares full paths, so it is mounted at the root
+// once the rate limits and authentication of each path have run
+router.use([
+  '/prepare-transaction',
+  '/prepare-transactions',
+  '/register-transaction',
+  '/broadcast-transaction',
+  '/broadcast-transactions'
+],
   generalRateLimit,
   timestampRateLimit,
   authMiddleware.requireApiKey,
-  transactionRoutes
+  authMiddleware.requireScope(SCOPES.TIMESTAMP_CREATE)
 );
 
-router.use('/register-transaction',
+router.use('/transaction',
   generalRateLimit,
-  timestampRateLimit,
+  verifyRateLimit,
   authMiddleware.requireApiKey,
-  transactionRoutes
+  authMiddleware.requireScope(SCOPES.VERIFY_READ)
 );
 
-router.use('/transaction',
+router.use('/wallet',
   generalRateLimit,
   verifyRateLimit,
   authMiddleware.requireApiKey,
-  transactionRoutes
+  authMiddleware.requireScope(SCOPES.VERIFY_READ)
+);
+
+router.use(transactionRoutes);
+
+// Usage and limits of the tenant of the key (any scope)
+router.use('/usage',
+  generalRateLimit,
+  authMiddleware.requireApiKey,
+  usageRoutes
+);
+
+// Administration (admin scope)
+router.use('/admin',
+  generalRateLimit,
+  authMiddleware.requireApiKey,
+  authMiddleware.requireScope(SCOPES.ADMIN),
+  adminRoutes
 );
 
 // API status endpoint (no auth required)
@@ -207,6 +269,11 @@ router.get('/docs', (req, res) => {
           type: 'apiKey',
           in: 'header',
           name: 'X-API-Key'
+        },
+        NativeAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'MultiversX Native Auth token signed by the wallet'
         }
       },
       schemas: {
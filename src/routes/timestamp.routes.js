@@ -1,7 +1,11 @@
 const express = require('express');
 const TimestampController = require('../controllers/timestamp.controller');
-const { validateCreateTimestamp, validateHashParam, validateTransactionHash, validateWebhookTest, validatePagination } = require('../middlewares/validation.middleware');
-const { logRequest } = require('../middlewares/auth.middleware');
+const { validateCreateTimestamp, validateCreateBatch, validateFileUpload, validateHashParam, validateTransactionHash, validateWebhookTest, validatePagination } = require('../middlewares/validation.middleware');
+const { hashUpload } = require('../middlewares/upload.middleware');
+const { logRequest, requireScope } = require('../middlewares/auth.middleware');
+const { SCOPES } = require('../services/apikey.service');
+const { meterQuota, countHashes } = require('../middlewares/quota.middleware');
+const { METRICS } = require('../services/quota.service');
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
 
@@ -38,34 +42,59 @@ router.use(logRequest);
 /**
  * @route POST /api/v1/timestamp
  * @desc Create a new timestamp on the blockchain
- * @access Private (API Key required)
+ * @access Private (API Key with timestamp:create scope)
  * @rateLimit 5 requests per minute
  */
 router.post('/',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
   createTimestampLimit,
   validateCreateTimestamp,
+  meterQuota(METRICS.TIMESTAMPS),
   TimestampController.createTimestamp
 );
 
+/**
+ * @route POST /api/v1/timestamp/file
+ * @desc Timestamp an uploaded file, hashed as a stream (multipart/form-data, field `file`)
+ * @access Private (API Key with timestamp:create scope)
+ * @rateLimit 5 requests per minute
+ * @body {string} algorithm - Digest algorithm, sent before the file part (optional)
+ * @body {string} metadata - JSON-encoded metadata (optional)
+ * @body {string} mode - 'single' (default) or 'aggregate'
+ * @body {string} priority - 'normal' (default) or 'high' (higher gas price, first in the calendar round)
+ */
+router.post('/file',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
+  createTimestampLimit,
+  hashUpload(),
+  validateFileUpload,
+  meterQuota(METRICS.TIMESTAMPS),
+  TimestampController.createFileTimestamp
+);
+
 /**
  * @route GET /api/v1/timestamp/estimate
  * @desc Estimate the cost of creating a timestamp
- * @access Private (API Key required)
+ * @access Private (API Key with timestamp:create scope)
  * @query {string} data - Data to estimate cost for (optional)
+ * @query {string} algorithm - Digest algorithm (optional)
+ * @query {string} priority - Transaction priority, normal or high (optional)
  */
 router.get('/estimate',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
   TimestampController.estimateCost
 );
 
 /**
  * @route GET /api/v1/timestamp/stats
  * @desc Get timestamp statistics
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {number} page - Page number for pagination (default: 1)
  * @query {number} limit - Number of items per page (default: 10, max: 100)
  * @query {string} period - Time period (24h, 7d, 30d, all)
  */
 router.get('/stats',
+  requireScope(SCOPES.VERIFY_READ),
   validatePagination,
   TimestampController.getStats
 );
@@ -73,10 +102,11 @@ router.get('/stats',
 /**
  * @route GET /api/v1/timestamp/transaction/:txHash
  * @desc Get transaction details by hash
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} txHash - Transaction hash
  */
 router.get('/transaction/:txHash',
+  requireScope(SCOPES.VERIFY_READ),
   validateTransactionHash,
   TimestampController.getTransaction
 );
@@ -84,10 +114,11 @@ router.get('/transaction/:txHash',
 /**
  * @route POST /api/v1/timestamp/webhook/test
  * @desc Test a webhook endpoint
- * @access Private (API Key required)
+ * @access Private (API Key with timestamp:create scope)
  * @rateLimit 10 requests per 5 minutes
  */
 router.post('/webhook/test',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
   webhookTestLimit,
   validateWebhookTest,
   TimestampController.testWebhook
@@ -96,7 +127,7 @@ router.post('/webhook/test',
 /**
  * @route GET /api/v1/timestamp/history
  * @desc Get timestamp history for the authenticated user
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {number} page - Page number for pagination (default: 1)
  * @query {number} limit - Number of items per page (default: 10, max: 100)
  * @query {string} status - Filter by status (pending, confirmed, failed)
@@ -104,6 +135,7 @@ router.post('/webhook/test',
  * @query {string} to - End date (ISO string)
  */
 router.get('/history',
+  requireScope(SCOPES.VERIFY_READ),
   validatePagination,
   TimestampController.getStats
 );
@@ -111,13 +143,14 @@ router.get('/history',
 /**
  * @route GET /api/v1/timestamp/search
  * @desc Search timestamps by hash or metadata
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {string} q - Search query
  * @query {string} type - Search type (hash, metadata, all)
  * @query {number} page - Page number for pagination (default: 1)
  * @query {number} limit - Number of items per page (default: 10, max: 50)
  */
 router.get('/search',
+  requireScope(SCOPES.VERIFY_READ),
   validatePagination,
   TimestampController.getStats
 );
@@ -125,19 +158,22 @@ router.get('/search',
 /**
  * @route DELETE /api/v1/timestamp/cache/:hash
  * @desc Clear cache for a specific hash (admin only)
- * @access Private (API Key required + Admin)
+ * @access Private (API Key with admin scope)
  * @param {string} hash - Hash to clear from cache
  */
 router.delete('/cache/:hash',
+  requireScope(SCOPES.ADMIN),
   validateHashParam,
   TimestampController.getTransaction
 );
 
 /**
  * @route POST /api/v1/timestamp/batch
- * @desc Create multiple timestamps in a batch
- * @access Private (API Key required)
+ * @desc Anchor multiple hashes with a single Merkle root transaction
+ * @access Private (API Key with timestamp:create scope)
  * @rateLimit 1 request per 5 minutes
+ * @body {array} hashes - SHA256 hashes (max BATCH_MAX_LEAVES)
+ * @returns Root transaction data and one inclusion proof per hash
  */
 const batchTimestampLimit = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -152,41 +188,69 @@ const batchTimestampLimit = rateLimit({
 });
 
 router.post('/batch',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
   batchTimestampLimit,
-  TimestampController.createTimestamp
+  validateCreateBatch,
+  meterQuota(METRICS.TIMESTAMPS, countHashes),
+  TimestampController.createBatch
+);
+
+/**
+ * @route GET /api/v1/timestamp/proof/:hash
+ * @desc Get the Merkle inclusion proof of a batched hash and the status of its root
+ * @access Private (API Key with verify:read scope)
+ * @param {string} hash - Batched hash
+ */
+router.get('/proof/:hash',
+  requireScope(SCOPES.VERIFY_READ),
+  validateHashParam,
+  TimestampController.getProof
+);
+
+/**
+ * @route GET /api/v1/timestamp/calendar
+ * @desc Get the aggregation calendar queue and the roots waiting for signature
+ * @access Private (API Key with verify:read scope)
+ */
+router.get('/calendar',
+  requireScope(SCOPES.VERIFY_READ),
+  TimestampController.getCalendar
 );
 
 /**
  * @route GET /api/v1/timestamp/export
  * @desc Export timestamp data
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {string} format - Export format (json, csv)
  * @query {string} from - Start date (ISO string)
  * @query {string} to - End date (ISO string)
  * @query {string} status - Filter by status
  */
 router.get('/export',
+  requireScope(SCOPES.VERIFY_READ),
   TimestampController.getStats
 );
 
 /**
  * @route GET /api/v1/timestamp/analytics
  * @desc Get analytics data for timestamps
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {string} period - Time period (24h, 7d, 30d, 90d)
  * @query {string} groupBy - Group by (hour, day, week, month)
  */
 router.get('/analytics',
+  requireScope(SCOPES.VERIFY_READ),
   TimestampController.getStats
 );
 
 /**
  * @route POST /api/v1/timestamp/retry/:txHash
  * @desc Retry a failed timestamp transaction
- * @access Private (API Key required)
+ * @access Private (API Key with timestamp:create scope)
  * @param {string} txHash - Original transaction hash
  */
 router.post('/retry/:txHash',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
   validateTransactionHash,
   TimestampController.getTransaction
 );
@@ -194,10 +258,11 @@ router.post('/retry/:txHash',
 /**
  * @route GET /api/v1/timestamp/status/:txHash
  * @desc Get detailed status of a timestamp transaction
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} txHash - Transaction hash
  */
 router.get('/status/:txHash',
+  requireScope(SCOPES.VERIFY_READ),
   validateTransactionHash,
   TimestampController.getTransaction
 );
@@ -205,22 +270,24 @@ router.get('/status/:txHash',
 /**
  * @route POST /api/v1/timestamp/webhook/retry/:webhookId
  * @desc Retry a failed webhook notification
- * @access Private (API Key required)
+ * @access Private (API Key with timestamp:create scope)
  * @param {string} webhookId - Webhook notification ID
  */
 router.post('/webhook/retry/:webhookId',
+  requireScope(SCOPES.TIMESTAMP_CREATE),
   TimestampController.testWebhook
 );
 
 /**
  * @route GET /api/v1/timestamp/webhook/logs
  * @desc Get webhook notification logs
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {number} page - Page number for pagination
  * @query {number} limit - Number of items per page
  * @query {string} status - Filter by status (success, failed, pending)
  */
 router.get('/webhook/logs',
+  requireScope(SCOPES.VERIFY_READ),
   validatePagination,
   TimestampController.getStats
 );
@@ -3,7 +3,10 @@ const rateLimit = require('express-rate-limit');
 const transactionController = require('../controllers/transaction.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 const validationMiddleware = require('../middlewares/validation.middleware');
+const { meterQuota, countDocuments } = require('../middlewares/quota.middleware');
+const { METRICS } = require('../services/quota.service');
 const Joi = require('joi');
+const HashUtils = require('../utils/hash');
 
 const router = express.Router();
 
@@ -30,7 +33,26 @@ const statusRateLimit = rateLimit({
   legacyHeaders: false
 });
 
+// Transactions prepared or broadcast in one call
+const MAX_BATCH_TRANSACTIONS = 100;
+
 // Validation schemas
+const metadataSchema = Joi.object({
+  userId: Joi.string().optional(),
+  documentType: Joi.string()
+    .valid('Contrat', 'Facture', 'Document', 'Photo', 'Autre')
+    .optional(),
+  description: Joi.string().max(500).optional(),
+  tags: Joi.array().items(Joi.string()).optional()
+});
+
+const algorithmSchema = Joi.string()
+  .valid(...Object.keys(HashUtils.HASH_ALGORITHMS))
+  .optional()
+  .messages({
+    'any.only': 'algorithm must be one of sha256, sha512, sha3-256, blake2b-512'
+  });
+
 const prepareTransactionSchema = Joi.object({
   userAddress: Joi.string()
     .pattern(/^erd1[a-z0-9]{58}$/)
@@ -48,14 +70,42 @@ const prepareTransactionSchema = Joi.object({
       'string.max': 'Data cannot exceed 10KB',
       'any.required': 'data is required'
     }),
-  metadata: Joi.object({
-    userId: Joi.string().optional(),
-    documentType: Joi.string()
-      .valid('Contrat', 'Facture', 'Document', 'Photo', 'Autre')
-      .optional(),
-    description: Joi.string().max(500).optional(),
-    tags: Joi.array().items(Joi.string()).optional()
-  }).optional()
+  metadata: metadataSchema.optional(),
+  algorithm: algorithmSchema,
+  relayed: Joi.boolean().optional()
+});
+
+const prepareTransactionsSchema = Joi.object({
+  userAddress: Joi.string()
+    .pattern(/^erd1[a-z0-9]{58}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid MultiversX address format',
+      'any.required': 'userAddress is required'
+    }),
+  documents: Joi.array()
+    .items(Joi.object({
+      data: Joi.string()
+        .min(1)
+        .max(10000)
+        .required()
+        .messages({
+          'string.min': 'Data cannot be empty',
+          'string.max': 'Data cannot exceed 10KB',
+          'any.required': 'data is required'
+        }),
+      metadata: metadataSchema.optional(),
+      algorithm: algorithmSchema
+    }))
+    .min(1)
+    .max(MAX_BATCH_TRANSACTIONS)
+    .required()
+    .messages({
+      'array.max': `No more than ${MAX_BATCH_TRANSACTIONS} documents per request`,
+      'any.required': 'documents is required'
+    }),
+  algorithm: algorithmSchema,
+  relayed: Joi.boolean().optional()
 });
 
 const registerTransactionSchema = Joi.object({
@@ -67,7 +117,7 @@ const registerTransactionSchema = Joi.object({
       'any.required': 'transactionHash is required'
     }),
   dataHash: Joi.string()
-    .pattern(/^[a-f0-9]{64}$/)
+    .pattern(HashUtils.DIGEST_PATTERN)
     .required()
     .messages({
       'string.pattern.base': 'Invalid data hash format',
@@ -81,7 +131,55 @@ const registerTransactionSchema = Joi.object({
       'any.required': 'userAddress is required'
     }),
   metadata: Joi.object().optional(),
-  signature: Joi.string().optional()
+  signature: Joi.string().optional(),
+  callbackUrl: Joi.string().uri().optional()
+});
+
+const signedTransactionSchema = Joi.object({
+    nonce: Joi.number().integer().min(0).required(),
+    value: Joi.string().pattern(/^\d+$/).required(),
+    receiver: Joi.string().pattern(/^erd1[a-z0-9]{58}$/).required(),
+    sender: Joi.string().pattern(/^erd1[a-z0-9]{58}$/).required(),
+    gasPrice: Joi.number().integer().min(0).required(),
+    gasLimit: Joi.number().integer().min(0).required(),
+    data: Joi.string().base64().allow('').optional(),
+    chainID: Joi.string().required(),
+    version: Joi.number().integer().min(1).required(),
+    options: Joi.number().integer().min(0).optional(),
+    guardian: Joi.string().pattern(/^erd1[a-z0-9]{58}$/).optional(),
+    guardianSignature: Joi.string().pattern(/^[a-f0-9]{128}$/).optional(),
+    relayer: Joi.string().pattern(/^erd1[a-z0-9]{58}$/).optional(),
+    signature: Joi.string()
+      .pattern(/^[a-f0-9]{128}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid signature format',
+        'any.required': 'signature is required'
+      })
+});
+
+const broadcastTransactionSchema = Joi.object({
+  transaction: signedTransactionSchema.required(),
+  dataHash: Joi.string()
+    .pattern(HashUtils.DIGEST_PATTERN)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid data hash format'
+    }),
+  callbackUrl: Joi.string().uri().optional()
+});
+
+const broadcastTransactionsSchema = Joi.object({
+  transactions: Joi.array()
+    .items(signedTransactionSchema)
+    .min(1)
+    .max(MAX_BATCH_TRANSACTIONS)
+    .required()
+    .messages({
+      'array.max': `No more than ${MAX_BATCH_TRANSACTIONS} transactions per request`,
+      'any.required': 'transactions is required'
+    }),
+  callbackUrl: Joi.string().uri().optional()
 });
 
 const transactionHashSchema = Joi.object({
@@ -94,6 +192,12 @@ const transactionHashSchema = Joi.object({
     })
 });
 
+const walletHistorySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('prepared', 'pending', 'confirmed', 'failed').optional()
+});
+
 /**
  * @swagger
  * /api/v1/prepare-transaction:
@@ -103,6 +207,7 @@ const transactionHashSchema = Joi.object({
  *     tags: [Transaction]
  *     security:
  *       - ApiKeyAuth: []
+ *         NativeAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -116,13 +221,20 @@ const transactionHashSchema = Joi.object({
  *               userAddress:
  *                 type: string
  *                 pattern: '^erd1[a-z0-9]{58}$'
- *                 description: MultiversX wallet address
+ *                 description: MultiversX wallet address (can be omitted with a Native Auth token, which it must match)
  *                 example: 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th'
  *               data:
  *                 type: string
  *                 maxLength: 10000
  *                 description: Data to timestamp
  *                 example: 'Contract signed on 2024-12-11'
+ *               algorithm:
+ *                 type: string
+ *                 enum: [sha256, sha512, sha3-256, blake2b-512]
+ *                 description: Digest algorithm (default sha256)
+ *               relayed:
+ *                 type: boolean
+ *                 description: Gasless transaction (relayed v3) whose fee is paid by the service wallet and charged to the API key budget
  *               metadata:
  *                 type: object
  *                 properties:
@@ -158,7 +270,13 @@ const transactionHashSchema = Joi.object({
  *                   description: Unsigned transaction ready for signing
  *                 dataHash:
  *                   type: string
- *                   description: SHA256 hash of the data
+ *                   description: Hex digest of the data
+ *                 algorithm:
+ *                   type: string
+ *                   description: Digest algorithm
+ *                 multihash:
+ *                   type: string
+ *                   description: Self-describing multihash of the digest (hex)
  *                 estimatedCost:
  *                   type: object
  *                   properties:
@@ -167,35 +285,145 @@ const transactionHashSchema = Joi.object({
  *                       description: Cost in EGLD
  *                     usd:
  *                       type: string
- *                       description: Estimated cost in USD
+ *                       description: Estimated cost in USD (null without a recent enough rate)
  *                     eur:
  *                       type: string
- *                       description: Estimated cost in EUR
+ *                       description: Estimated cost in EUR (null without a recent enough rate)
+ *                     pricing:
+ *                       type: object
+ *                       description: Price feed, rates and source timestamp used for the fiat amounts
+ *                     paidBy:
+ *                       type: string
+ *                       enum: [user, relayer]
+ *                       description: Account paying the fee
+ *                 relayerBudget:
+ *                   type: object
+ *                   description: Relayer budget of the API key for the current period (relayed transactions only)
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data, relayer disabled (RELAYER_DISABLED) or sender outside the relayer shard (RELAYER_SHARD_MISMATCH)
+ *       402:
+ *         description: Relayer budget of the API key exceeded (RELAYER_BUDGET_EXCEEDED)
  *       409:
  *         description: Data already timestamped
+ *       401:
+ *         description: Missing or invalid API key, or invalid Native Auth token (NATIVE_AUTH_*; required with NATIVE_AUTH_REQUIRED=true)
+ *       403:
+ *         description: userAddress is not the Native Auth wallet (ADDRESS_MISMATCH)
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or tenant timestamps quota exceeded (QUOTA_EXCEEDED)
  *       500:
  *         description: Internal server error
  */
 router.post('/prepare-transaction',
   transactionRateLimit,
-  authMiddleware.authenticateApiKey,
+  authMiddleware.authenticateWallet,
+  authMiddleware.bindWalletAddress,
   validationMiddleware.validate(prepareTransactionSchema),
+  meterQuota(METRICS.TIMESTAMPS),
   transactionController.prepareTransaction
 );
 
+/**
+ * @swagger
+ * /api/v1/prepare-transactions:
+ *   post:
+ *     summary: Prepare transactions for several documents
+ *     description: Creates one unsigned transaction per document for the same address, with consecutive nonces in the order of the documents, so a wallet supporting signTransactions can sign them all at once
+ *     tags: [Transaction]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         NativeAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userAddress
+ *               - documents
+ *             properties:
+ *               userAddress:
+ *                 type: string
+ *                 pattern: '^erd1[a-z0-9]{58}$'
+ *                 description: MultiversX wallet address (can be omitted with a Native Auth token, which it must match)
+ *               documents:
+ *                 type: array
+ *                 maxItems: 100
+ *                 description: Documents to timestamp, each with data and optional metadata and algorithm
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - data
+ *                   properties:
+ *                     data:
+ *                       type: string
+ *                       maxLength: 10000
+ *                     metadata:
+ *                       type: object
+ *                     algorithm:
+ *                       type: string
+ *                       enum: [sha256, sha512, sha3-256, blake2b-512]
+ *               algorithm:
+ *                 type: string
+ *                 enum: [sha256, sha512, sha3-256, blake2b-512]
+ *                 description: Default digest algorithm of the documents (default sha256)
+ *               relayed:
+ *                 type: boolean
+ *                 description: Gasless transactions (relayed v3) whose fees are paid by the service wallet and charged to the API key budget
+ *     responses:
+ *       200:
+ *         description: Transactions prepared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transactions:
+ *                   type: array
+ *                   description: Unsigned transaction, dataHash, algorithm, multihash and estimatedCost of each document, in order
+ *                 estimatedCost:
+ *                   type: object
+ *                   description: Total fee of the transactions (fee, egld, fiat amounts, pricing, paidBy)
+ *                 relayerBudget:
+ *                   type: object
+ *                   description: Relayer budget of the API key for the current period (relayed transactions only)
+ *       400:
+ *         description: Invalid request data, the same data twice (DUPLICATE_DATA), relayer disabled (RELAYER_DISABLED) or sender outside the relayer shard (RELAYER_SHARD_MISMATCH)
+ *       402:
+ *         description: Relayer budget of the API key does not cover every transaction (RELAYER_BUDGET_EXCEEDED)
+ *       409:
+ *         description: A document is already timestamped
+ *       401:
+ *         description: Missing or invalid API key, or invalid Native Auth token (NATIVE_AUTH_*; required with NATIVE_AUTH_REQUIRED=true)
+ *       403:
+ *         description: userAddress is not the Native Auth wallet (ADDRESS_MISMATCH)
+ *       413:
+ *         description: More documents than the batch size quota of the tenant (QUOTA_BATCH_TOO_LARGE)
+ *       429:
+ *         description: Rate limit or tenant timestamps quota exceeded (QUOTA_EXCEEDED)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/prepare-transactions',
+  transactionRateLimit,
+  authMiddleware.authenticateWallet,
+  authMiddleware.bindWalletAddress,
+  validationMiddleware.validate(prepareTransactionsSchema),
+  meterQuota(METRICS.TIMESTAMPS, countDocuments),
+  transactionController.prepareTransactions
+);
+
 /**
  * @swagger
  * /api/v1/register-transaction:
  *   post:
  *     summary: Register a signed transaction
- *     description: Register a transaction that was signed by the user's wallet
+ *     description: Register a transaction that was signed by the user's wallet. The transaction is fetched from the network and must carry the prepared payload.
  *     tags: [Transaction]
  *     security:
  *       - ApiKeyAuth: []
+ *         NativeAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -214,13 +442,13 @@ router.post('/prepare-transaction',
  *                 example: 'a1b2c3d4e5f6789012345678901234567890123456789012345678901234567890'
  *               dataHash:
  *                 type: string
- *                 pattern: '^[a-f0-9]{64}$'
+ *                 pattern: '^([a-f0-9]{64}|[a-f0-9]{128})$'
  *                 description: Hash of the original data
  *                 example: 'b2c3d4e5f6789012345678901234567890123456789012345678901234567890a1'
  *               userAddress:
  *                 type: string
  *                 pattern: '^erd1[a-z0-9]{58}$'
- *                 description: MultiversX wallet address
+ *                 description: MultiversX wallet address (can be omitted with a Native Auth token, which it must match)
  *                 example: 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th'
  *               metadata:
  *                 type: object
@@ -228,6 +456,9 @@ router.post('/prepare-transaction',
  *               signature:
  *                 type: string
  *                 description: Transaction signature
+ *               callbackUrl:
+ *                 type: string
+ *                 description: Webhook notified with timestamp.confirmed or timestamp.failed once the transaction is final
  *     responses:
  *       200:
  *         description: Transaction registered successfully
@@ -260,11 +491,17 @@ router.post('/prepare-transaction',
  *                   type: string
  *                   description: Blockchain explorer URL
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data, or relayed transaction to send through /broadcast-transaction (RELAYED_BROADCAST_REQUIRED)
+ *       401:
+ *         description: Missing or invalid API key, or invalid Native Auth token (NATIVE_AUTH_*; required with NATIVE_AUTH_REQUIRED=true)
  *       403:
- *         description: Transaction user mismatch
+ *         description: Transaction user mismatch, or userAddress is not the Native Auth wallet (ADDRESS_MISMATCH)
+ *       202:
+ *         description: Transaction not on the network yet, registered as pending and verified by the tracker once it appears
  *       404:
  *         description: Prepared transaction not found or expired
+ *       422:
+ *         description: On-chain transaction does not match the prepared transaction (TX_SENDER_MISMATCH, TX_RECEIVER_MISMATCH, TX_DATA_HASH_MISMATCH) or failed (TX_NOT_SUCCESSFUL)
  *       429:
  *         description: Rate limit exceeded
  *       500:
@@ -272,11 +509,144 @@ router.post('/prepare-transaction',
  */
 router.post('/register-transaction',
   transactionRateLimit,
-  authMiddleware.authenticateApiKey,
+  authMiddleware.authenticateWallet,
+  authMiddleware.bindWalletAddress,
     validationMiddleware.validate(registerTransactionSchema),
   transactionController.registerSignedTransaction
 );
 
+/**
+ * @swagger
+ * /api/v1/broadcast-transaction:
+ *   post:
+ *     summary: Broadcast a signed transaction
+ *     description: Check a transaction signed by the user's wallet against the prepared transaction, send it to the network and register it. Relayed transactions are co-signed by the service wallet, which pays the fee.
+ *     tags: [Transaction]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transaction
+ *             properties:
+ *               transaction:
+ *                 type: object
+ *                 description: Signed transaction as produced by the wallet (nonce, value, receiver, sender, gasPrice, gasLimit, data, chainID, version, relayer, signature)
+ *               dataHash:
+ *                 type: string
+ *                 pattern: '^([a-f0-9]{64}|[a-f0-9]{128})$'
+ *                 description: Hash of the original data (read from the transaction payload if omitted)
+ *               callbackUrl:
+ *                 type: string
+ *                 description: Webhook notified with timestamp.confirmed or timestamp.failed once the transaction is final
+ *     responses:
+ *       200:
+ *         description: Transaction broadcast and registered as pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 status:
+ *                   type: string
+ *                   example: pending
+ *                 transactionHash:
+ *                   type: string
+ *                   description: Transaction hash
+ *                 dataHash:
+ *                   type: string
+ *                   description: Data hash
+ *                 explorerUrl:
+ *                   type: string
+ *                   description: Blockchain explorer URL
+ *       400:
+ *         description: Invalid transaction, invalid signature or fields not matching the prepared transaction
+ *       403:
+ *         description: Transaction user mismatch
+ *       402:
+ *         description: Relayer budget of the API key (RELAYER_BUDGET_EXCEEDED) or relayed fees quota of the tenant (RELAYED_FEES_QUOTA_EXCEEDED) exceeded
+ *       404:
+ *         description: Prepared transaction not found or expired
+ *       429:
+ *         description: Rate limit exceeded
+ *       503:
+ *         description: Relayer budget store unavailable (RELAYER_UNAVAILABLE)
+ *       502:
+ *         description: The network rejected the transaction
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/broadcast-transaction',
+  transactionRateLimit,
+    validationMiddleware.validate(broadcastTransactionSchema),
+  transactionController.broadcastTransaction
+);
+
+/**
+ * @swagger
+ * /api/v1/broadcast-transactions:
+ *   post:
+ *     summary: Broadcast several signed transactions
+ *     description: Check transactions signed at once by the user's wallet (e.g. from /prepare-transactions) against their prepared transactions. Nothing is sent unless all of them match. They are then sent in nonce order, and sending stops at the first failure since later nonces could not be processed.
+ *     tags: [Transaction]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactions
+ *             properties:
+ *               transactions:
+ *                 type: array
+ *                 maxItems: 100
+ *                 description: Signed transactions as produced by the wallet, each carrying its timestamp payload
+ *               callbackUrl:
+ *                 type: string
+ *                 description: Webhook notified with timestamp.confirmed or timestamp.failed for each transaction
+ *     responses:
+ *       200:
+ *         description: Transactions sent (success false if sending stopped at a failed transaction)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                 sent:
+ *                   type: number
+ *                 notSent:
+ *                   type: number
+ *                 results:
+ *                   type: array
+ *                   description: Per transaction, in request order, the pending registration, or status failed (with its error) or not_sent
+ *                 relayerBudget:
+ *                   type: object
+ *                   description: Relayer budget of the API key after the relayed transactions
+ *       400:
+ *         description: Invalid request data, or some transactions rejected and none sent (BATCH_REJECTED, with the error of each)
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/broadcast-transactions',
+  transactionRateLimit,
+  validationMiddleware.validate(broadcastTransactionsSchema),
+  transactionController.broadcastTransactions
+);
+
 /**
  * @swagger
  * /api/v1/transaction/{txHash}/status:
@@ -336,9 +706,69 @@ router.post('/register-transaction',
  */
 router.get('/transaction/:txHash/status',
   statusRateLimit,
-  authMiddleware.authenticateApiKey,
     validationMiddleware.validate(transactionHashSchema, 'params'),
   transactionController.getTransactionStatus
 );
 
+/**
+ * @swagger
+ * /api/v1/wallet/history:
+ *   get:
+ *     summary: Get the timestamps of the authenticated wallet
+ *     description: Lists the transactions prepared or sent by the wallet proven by the Native Auth token, newest first
+ *     tags: [Transaction]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         NativeAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [prepared, pending, confirmed, failed]
+ *     responses:
+ *       200:
+ *         description: Timestamps of the wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   type: string
+ *                   description: Native Auth wallet
+ *                 total:
+ *                   type: number
+ *                 page:
+ *                   type: number
+ *                 limit:
+ *                   type: number
+ *                 timestamps:
+ *                   type: array
+ *                   description: Data hash, status, transaction hash, explorer URL, metadata and dates of each timestamp
+ *       401:
+ *         description: Missing or invalid API key, or missing or invalid Native Auth token (NATIVE_AUTH_*)
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/wallet/history',
+  statusRateLimit,
+  authMiddleware.requireNativeAuth,
+  validationMiddleware.validate(walletHistorySchema, 'query'),
+  transactionController.getWalletHistory
+);
+
 module.exports = router;
\ No newline at end of file
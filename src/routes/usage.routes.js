@@ -0,0 +1,23 @@
+const express = require('express');
+const UsageController = require('../controllers/usage.controller');
+const { validateUsageQuery } = require('../middlewares/validation.middleware');
+const { logRequest } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// Apply request logging to all routes
+router.use(logRequest);
+
+/**
+ * @route GET /api/v1/usage
+ * @desc Get the consumption of the tenant for the current day and month (or a past month), with its limits
+ * @access Private (any API Key; admin scope to read another tenant)
+ * @query {string} month - Past month to report, YYYY-MM (optional)
+ * @query {string} tenantId - Tenant to report (optional, admin scope)
+ */
+router.get('/',
+  validateUsageQuery,
+  UsageController.getUsage
+);
+
+module.exports = router;
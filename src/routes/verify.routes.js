@@ -1,7 +1,10 @@
 const express = require('express');
 const VerifyController = require('../controllers/verify.controller');
 const validationMiddleware = require('../middlewares/validation.middleware');
+const { hashUpload } = require('../middlewares/upload.middleware');
 const { logRequest } = require('../middlewares/auth.middleware');
+const { meterQuota, countHashes, countFiles } = require('../middlewares/quota.middleware');
+const { METRICS } = require('../services/quota.service');
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
 
@@ -38,43 +41,59 @@ router.use(logRequest);
 /**
  * @route POST /api/v1/verify/hash
  * @desc Verify a hash timestamp on the blockchain
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @rateLimit 20 requests per minute
  */
 router.post('/hash',
   singleVerifyLimit,
   validationMiddleware.validateHashParam,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyHashByGet
 );
 
 /**
  * @route POST /api/v1/verify/data
  * @desc Verify raw data timestamp (will hash the data first)
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @rateLimit 20 requests per minute
  */
 router.post('/data',
   singleVerifyLimit,
-  validationMiddleware.validateCreateTimestamp,
+  validationMiddleware.validateVerifyData,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyData
 );
 
 /**
  * @route POST /api/v1/verify/batch
  * @desc Verify multiple hashes in a batch
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @rateLimit 3 requests per 5 minutes
  */
 router.post('/batch',
   batchVerifyLimit,
   validationMiddleware.validateCreateTimestamp,
+  meterQuota(METRICS.VERIFICATIONS, countHashes),
   VerifyController.verifyBatch
 );
 
+/**
+ * @route POST /api/v1/verify/proof
+ * @desc Verify a Merkle inclusion proof returned by the batch endpoint
+ * @access Private (API Key with verify:read scope)
+ * @rateLimit 20 requests per minute
+ */
+router.post('/proof',
+  singleVerifyLimit,
+  validationMiddleware.validateVerifyProof,
+  meterQuota(METRICS.VERIFICATIONS),
+  VerifyController.verifyProof
+);
+
 /**
  * @route GET /api/v1/verify/stats
  * @desc Get verification statistics
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {number} page - Page number for pagination (default: 1)
  * @query {number} limit - Number of items per page (default: 10, max: 100)
  * @query {string} period - Time period (24h, 7d, 30d, all)
@@ -87,7 +106,7 @@ router.get('/stats',
 /**
  * @route GET /api/v1/verify/history
  * @desc Get verification history for the authenticated user
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {number} page - Page number for pagination (default: 1)
  * @query {number} limit - Number of items per page (default: 10, max: 100)
  * @query {string} result - Filter by result (verified, not_verified, error)
@@ -101,9 +120,11 @@ router.get('/history',
 
 /**
  * @route POST /api/v1/verify/file
- * @desc Verify a file timestamp by uploading the file
- * @access Private (API Key required)
+ * @desc Verify a file timestamp by uploading the file (multipart/form-data, field `file`)
+ * @access Private (API Key with verify:read scope)
  * @rateLimit 10 requests per 5 minutes
+ * @body {string} algorithm - Digest algorithm, sent before the file part (optional)
+ * @body {string} expectedHash - Digest the file is expected to match (optional)
  */
 const fileVerifyLimit = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -119,13 +140,16 @@ const fileVerifyLimit = rateLimit({
 
 router.post('/file',
   fileVerifyLimit,
-  VerifyController.verifyData
+  hashUpload(),
+  validationMiddleware.validateFileUpload,
+  meterQuota(METRICS.VERIFICATIONS),
+  VerifyController.verifyFile
 );
 
 /**
  * @route GET /api/v1/verify/search
  * @desc Search verification records
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {string} q - Search query (hash or partial hash)
  * @query {string} result - Filter by result (verified, not_verified, error)
  * @query {number} page - Page number for pagination (default: 1)
@@ -134,13 +158,14 @@ router.post('/file',
 router.get('/search',
   singleVerifyLimit,
   validationMiddleware.validatePagination,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyByHash
 );
 
 /**
  * @route GET /api/v1/verify/analytics
  * @desc Get analytics data for verifications
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {string} period - Time period (24h, 7d, 30d, 90d)
  * @query {string} groupBy - Group by (hour, day, week, month)
  */
@@ -152,9 +177,11 @@ router.get('/analytics',
 
 /**
  * @route POST /api/v1/verify/bulk-file
- * @desc Verify multiple files in a single request
- * @access Private (API Key required)
+ * @desc Verify multiple files, or the entries of ZIP archives, in a single request
+ *       (multipart/form-data, one part per file)
+ * @access Private (API Key with verify:read scope)
  * @rateLimit 1 request per 10 minutes
+ * @body {string} algorithm - Digest algorithm, sent before the file parts (optional)
  */
 const bulkFileVerifyLimit = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
@@ -170,13 +197,17 @@ const bulkFileVerifyLimit = rateLimit({
 
 router.post('/bulk-file',
   bulkFileVerifyLimit,
-  VerifyController.verifyBatch
+  hashUpload({ maxFiles: config.upload.maxBulkFiles, archives: true }),
+  validationMiddleware.validateFileUpload,
+  // Each file or archive entry counts as a verification
+  meterQuota(METRICS.VERIFICATIONS, countFiles),
+  VerifyController.verifyBulkFile
 );
 
 /**
  * @route GET /api/v1/verify/export
  * @desc Export verification data
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @query {string} format - Export format (json, csv)
  * @query {string} from - Start date (ISO string)
  * @query {string} to - End date (ISO string)
@@ -184,128 +215,142 @@ router.post('/bulk-file',
  */
 router.get('/export',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyByHash
 );
 
 /**
  * @route GET /api/v1/verify/certificate/:hash
  * @desc Generate a verification certificate for a hash
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} hash - Hash to generate certificate for
  * @query {string} format - Certificate format (pdf, json, html)
  */
 router.get('/certificate/:hash',
   singleVerifyLimit,
   validationMiddleware.validateHashParam,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyHashByGet
 );
 
 /**
  * @route POST /api/v1/verify/webhook
  * @desc Set up webhook for verification notifications
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  */
 router.post('/webhook',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyData
 );
 
 /**
  * @route DELETE /api/v1/verify/webhook
  * @desc Remove webhook for verification notifications
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  */
 router.delete('/webhook',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyByHash
 );
 
 /**
  * @route GET /api/v1/verify/webhook/test
  * @desc Test verification webhook endpoint
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  */
 router.get('/webhook/test',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyByHash
 );
 
 /**
  * @route POST /api/v1/verify/compare
  * @desc Compare two hashes or data sets
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  */
 router.post('/compare',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyData
 );
 
 /**
  * @route GET /api/v1/verify/timeline/:hash
  * @desc Get verification timeline for a specific hash
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} hash - Hash to get timeline for
  */
 router.get('/timeline/:hash',
   singleVerifyLimit,
   validationMiddleware.validateHashParam,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyHashByGet
 );
 
 /**
  * @route POST /api/v1/verify/advanced
  * @desc Advanced verification with additional metadata checks
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  */
 router.post('/advanced',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyData
 );
 
 /**
  * @route GET /api/v1/verify/integrity/:hash
  * @desc Check data integrity for a verified hash
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} hash - Hash to check integrity for
  */
 router.get('/integrity/:hash',
   singleVerifyLimit,
   validationMiddleware.validateHashParam,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyHashByGet
 );
 
 /**
  * @route POST /api/v1/verify/chain
  * @desc Verify a chain of related hashes
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  */
 router.post('/chain',
   singleVerifyLimit,
+  meterQuota(METRICS.VERIFICATIONS, countHashes),
   VerifyController.verifyBatch
 );
 
 /**
  * @route GET /api/v1/verify/report/:hash
  * @desc Generate a detailed verification report
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} hash - Hash to generate report for
  * @query {string} format - Report format (json, pdf, html)
  */
 router.get('/report/:hash',
   singleVerifyLimit,
   validationMiddleware.validateHashParam,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyHashByGet
 );
 
 /**
  * @route GET /api/v1/verify/:hash
  * @desc Verify timestamp by hash (Bubble compatible endpoint)
- * @access Private (API Key required)
+ * @access Private (API Key with verify:read scope)
  * @param {string} hash - Hash to verify
+ * @query {string} address - Sender/receiver address to search on-chain when the hash is not registered (optional)
  */
 router.get('/:hash',
   singleVerifyLimit,
   validationMiddleware.validateHashParam,
+  validationMiddleware.validateVerifyQuery,
+  meterQuota(METRICS.VERIFICATIONS),
   VerifyController.verifyHashByGet
 );
 
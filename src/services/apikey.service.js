@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const cacheService = require('./cache.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Redis hash of key records by key ID (never expires)
+const REGISTRY_KEY = 'apikeys';
+// Last use of each key, apart from the records so requests never rewrite them
+const USAGE_KEY = 'apikeys:usage';
+
+// Keys read `mvx_<id>_<secret>`: the ID locates the record, only the secret is hashed
+const KEY_PATTERN = /^mvx_([a-f0-9]{16})_([A-Za-z0-9_-]{32})$/;
+const KEY_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// Client-chosen nonce of a signed request, accepted once per key
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const SCOPES = {
+  TIMESTAMP_CREATE: 'timestamp:create',
+  VERIFY_READ: 'verify:read',
+  // Grants every scope, including key management
+  ADMIN: 'admin'
+};
+
+// Tenant of the operator keys from API_KEYS
+const DEFAULT_TENANT = 'default';
+
+/**
+ * API key registry: each key belongs to a tenant and carries scopes and an
+ * optional expiry. Only a salted hash of the key is stored, in Redis, so a
+ * key is shown once, when it is created or rotated. Rotation keeps the key ID
+ * and accepts the previous secret until the end of a grace period. The keys
+ * from API_KEYS remain valid as operator keys with every scope.
+ */
+class ApiKeyService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.initialized = true;
+      logger.info('✅ API key service initialized successfully', {
+        environmentKeys: config.server.apiKeys.length
+      });
+    } catch (error) {
+      logger.error('❌ Failed to initialize API key service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stable identifier of an operator key (budgets and logs never store the key itself)
+   * @param {string} apiKey - API key
+   * @returns {string} Key identifier
+   */
+  getEnvironmentKeyId(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Authenticated key of an operator key
+   * @param {string} apiKey - Operator key from API_KEYS
+   * @returns {object} Public key record
+   */
+  getEnvironmentApiKey(apiKey) {
+    return {
+      id: this.getEnvironmentKeyId(apiKey),
+      tenantId: DEFAULT_TENANT,
+      name: 'environment',
+      scopes: Object.values(SCOPES),
+      expiresAt: null
+    };
+  }
+
+  /**
+   * Hash a key secret with its salt
+   * @param {string} secret - Key secret
+   * @param {string} salt - Hex salt of the key
+   * @returns {string} Hex hash
+   */
+  hashSecret(secret, salt) {
+    return crypto.createHmac('sha256', Buffer.from(salt, 'hex')).update(secret).digest('hex');
+  }
+
+  /**
+   * Compare two strings in constant time
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} True if equal
+   */
+  safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(a).digest();
+    const digestB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+  }
+
+  /**
+   * Generate a key secret and its salted hash
+   * @returns {object} { secret, salt, hash }
+   */
+  generateSecret() {
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const salt = crypto.randomBytes(16).toString('hex');
+    return { secret, salt, hash: this.hashSecret(secret, salt) };
+  }
+
+  /**
+   * Whether the previous secret of a rotated key is still accepted
+   * @param {object} record - Stored key record
+   * @returns {boolean} True during the grace period
+   */
+  inGracePeriod(record) {
+    return !!record.previous && Date.parse(record.previous.expiresAt) > Date.now();
+  }
+
+  /**
+   * Why a key record cannot authenticate
+   * @param {object} record - Stored key record
+   * @returns {string} 'disabled' or 'expired', null if the key is usable
+   */
+  getRefusal(record) {
+    if (record.disabledAt) {
+      return 'disabled';
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return 'expired';
+    }
+    return null;
+  }
+
+  /**
+   * Record the last use of a key
+   * @param {string} id - Key ID
+   * @param {string} ip - Client IP address
+   * @returns {object} Last use
+   */
+  recordUse(id, ip) {
+    const usage = { lastUsedAt: new Date().toISOString(), lastUsedIp: ip || null };
+    // Not awaited: recording the use must not slow the request down
+    cacheService.setHashField(USAGE_KEY, id, usage);
+    return usage;
+  }
+
+  /**
+   * Whether tenant keys can sign requests (REQUEST_SIGNING_SECRET is set)
+   * @returns {boolean} True if signed requests are enabled
+   */
+  isSigningEnabled() {
+    return !!config.security.requestSigningSecret;
+  }
+
+  /**
+   * Signing secret of a tenant key, derived from the server secret and the key
+   * salt (never stored, and replaced when the key is rotated)
+   * @param {string} id - Key ID
+   * @param {string} salt - Hex salt of the key
+   * @returns {string} Signing secret
+   */
+  getSigningSecret(id, salt) {
+    return crypto.createHmac('sha256', config.security.requestSigningSecret)
+      .update(`${id}:${salt}`)
+      .digest('base64url');
+  }
+
+  /**
+   * String covered by a request signature: method, path with query string,
+   * timestamp, nonce and hex SHA-256 of the raw body, one per line
+   * @param {object} request - Signed request
+   * @returns {string} String to sign
+   */
+  getStringToSign({ method, path, timestamp, nonce, body }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+  }
+
+  /**
+   * Sign a request
+   * @param {string} secret - Signing secret (an operator key signs with the key itself)
+   * @param {object} request - { method, path, timestamp, nonce, body }
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  sign(secret, request) {
+    return crypto.createHmac('sha256', secret).update(this.getStringToSign(request)).digest('hex');
+  }
+
+  /**
+   * Key record without its salts and hashes
+   * @param {object} record - Stored key record
+   * @param {object} usage - Last use of the key (optional)
+   * @returns {object} Public key record
+   */
+  toPublic(record, usage = null) {
+    const { salt, hash, previous, ...publicRecord } = record;
+
+    return {
+      ...publicRecord,
+      status: this.getRefusal(record) || 'active',
+      previousKeyExpiresAt: this.inGracePeriod(record) ? previous.expiresAt : null,
+      lastUsedAt: usage ? usage.lastUsedAt : null,
+      lastUsedIp: usage ? usage.lastUsedIp : null
+    };
+  }
+
+  /**
+   * Read a stored key record
+   * @param {string} id - Key ID
+   * @returns {object} Stored key record or null
+   */
+  async getRecord(id) {
+    const record = await cacheService.getHashField(REGISTRY_KEY, id);
+    if (record === undefined) {
+      throw new Error('API key registry unavailable');
+    }
+    return record;
+  }
+
+  /**
+   * Write a stored key record
+   * @param {object} record - Stored key record
+   */
+  async saveRecord(record) {
+    if (!(await cacheService.setHashField(REGISTRY_KEY, record.id, record))) {
+      throw new Error('API key registry unavailable');
+    }
+  }
+
+  /**
+   * Create a key
+   * @param {object} params - Key parameters
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string} params.name - Display name
+   * @param {array} params.scopes - Granted scopes
+   * @param {string} params.expiresAt - Expiry date (ISO string, optional)
+   * @returns {object} { key, signingSecret, apiKey }: the key and signing secret (never stored) and the public record
+   */
+  async create({ tenantId, name, scopes, expiresAt = null }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const { secret, salt, hash } = this.generateSecret();
+
+    const record = {
+      id,
+      tenantId,
+      name,
+      scopes: [...new Set(scopes)],
+      prefix: `mvx_${id}`,
+      salt,
+      hash,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      disabledAt: null,
+      rotatedAt: null
+    };
+
+    await this.saveRecord(record);
+
+    logger.info('API key created', { id, tenantId, scopes: record.scopes, expiresAt });
+
+    return {
+      key: `mvx_${id}_${secret}`,
+      signingSecret: this.isSigningEnabled() ? this.getSigningSecret(id, salt) : null,
+      apiKey: this.toPublic(record)
+    };
+  }
+
+  /**
+   * Get a key record
+   * @param {string} id - Key ID
+   * @returns {object} Public key record or null
+   */
+  async get(id) {
+    const record = await this.getRecord(id);
+    if (!record) {
+      return null;
+    }
+    return this.toPublic(record, await cacheService.getHashField(USAGE_KEY, id));
+  }
+
+  /**
+   * List the key records, optionally of one tenant
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {array} Public key records, oldest first
+   */
+  async list(tenantId = null) {
+    const records = await cacheService.getHash(REGISTRY_KEY);
+    if (records === null) {
+      throw new Error('API key registry unavailable');
+    }
+    const usage = (await cacheService.getHash(USAGE_KEY)) || {};
+
+    return Object.values(records)
+      .filter(record => !tenantId || record.tenantId === tenantId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(record => this.toPublic(record, usage[record.id]));
+  }
+
+  /**
+   * Replace the secret of a key; the previous secret stays valid for a grace period
+   * @param {string} id - Key ID
+   * @param {number} gracePeriod - Seconds during which the previous secret is accepted
+   * @returns {object} { key, signingSecret, apiKey }, or null if the key does not exist
+   */
+  async rotate(id, gracePeriod) {
+    const record = await this.getRecord(id);
+    if (!record) {
+      return null;
+    }
+
+    const { secret, salt, hash } = this.generateSecret();
+    const rotatedAt = new Date();
+
+    // A secret still in its grace period from an earlier rotation is dropped
+    const rotated = {
+      ...record,
+      salt,
+      hash,
+      previous: gracePeriod > 0
+        ? {
+          salt: record.salt,
+          hash: record.hash,
+          expiresAt: new Date(rotatedAt.getTime() + gracePeriod * 1000).toISOString()
+        }
+        : null,
+      rotatedAt: rotatedAt.toISOString()
+    };
+
+    await this.saveRecord(rotated);
+    logger.info('API key rotated', { id, tenantId: record.tenantId, gracePeriod });
+
+    return {
+      key: `mvx_${id}_${secret}`,
+      signingSecret: this.isSigningEnabled() ? this.getSigningSecret(id, salt) : null,
+      apiKey: this.toPublic(rotated)
+    };
+  }
+
+  /**
+   * Disable or re-enable a key (a disabled key is kept but does not authenticate)
+   * @param {string} id - Key ID
+   * @param {boolean} disabled - True to disable
+   * @returns {object} Public key record, or null if the key does not exist
+   */
+  async setDisabled(id, disabled) {
+    const record = await this.getRecord(id);
+    if (!record) {
+      return null;
+    }
+
+    const updated = {
+      ...record,
+      disabledAt: disabled ? record.disabledAt || new Date().toISOString() : null
+    };
+
+    await this.saveRecord(updated);
+    logger.info(disabled ? 'API key disabled' : 'API key enabled', { id, tenantId: record.tenantId });
+
+    return this.toPublic(updated, await cacheService.getHashField(USAGE_KEY, id));
+  }
+
+  /**
+   * Delete a key (it stops authenticating immediately)
+   * @param {string} id - Key ID
+   * @returns {boolean} True if the key existed
+   */
+  async delete(id) {
+    const deleted = await cacheService.deleteHashField(REGISTRY_KEY, id);
+    if (deleted) {
+      await cacheService.deleteHashField(USAGE_KEY, id);
+      logger.info('API key deleted', { id });
+    }
+    return deleted;
+  }
+
+  /**
+   * Authenticate a key and record its use
+   * @param {string} apiKey - Key sent by the client
+   * @param {object} context - Request context
+   * @param {string} context.ip - Client IP address
+   * @returns {object} { status: 'valid', apiKey } or { status: 'invalid' | 'expired' | 'disabled' | 'unavailable' }
+   */
+  async authenticate(apiKey, context = {}) {
+    // Every operator key is compared, so the timing does not reveal which one matched
+    const environmentMatch = config.server.apiKeys
+      .map(environmentKey => this.safeEqual(apiKey, environmentKey))
+      .includes(true);
+    if (environmentMatch) {
+      return { status: 'valid', apiKey: this.getEnvironmentApiKey(apiKey) };
+    }
+
+    const match = KEY_PATTERN.exec(apiKey);
+    if (!match) {
+      return { status: 'invalid' };
+    }
+
+    const [, id, secret] = match;
+    const record = await cacheService.getHashField(REGISTRY_KEY, id);
+    if (record === undefined) {
+      return { status: 'unavailable' };
+    }
+    if (!record) {
+      return { status: 'invalid' };
+    }
+
+    // Both secrets are hashed, so the timing does not reveal a rotation
+    const currentMatch = this.safeEqual(this.hashSecret(secret, record.salt), record.hash);
+    const previousMatch = !!record.previous &&
+      this.safeEqual(this.hashSecret(secret, record.previous.salt), record.previous.hash);
+    if (!currentMatch && !(previousMatch && this.inGracePeriod(record))) {
+      return { status: 'invalid' };
+    }
+    const refusal = this.getRefusal(record);
+    if (refusal) {
+      return { status: refusal };
+    }
+
+    return { status: 'valid', apiKey: this.toPublic(record, this.recordUse(id, context.ip)) };
+  }
+
+  /**
+   * Authenticate a signed request and record the use of its key
+   * @param {object} request - Signed request
+   * @param {string} request.keyId - Key ID (X-Key-Id)
+   * @param {string} request.timestamp - Unix time in seconds (X-Timestamp)
+   * @param {string} request.nonce - Single-use nonce (X-Nonce)
+   * @param {string} request.signature - Hex HMAC-SHA256 (X-Signature)
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path with query string
+   * @param {Buffer} request.body - Raw body
+   * @param {object} context - Request context
+   * @param {string} context.ip - Client IP address
+   * @returns {object} { status: 'valid', apiKey } or { status } with 'signature_invalid', 'signature_expired',
+   * 'signature_replayed', 'signing_disabled', 'expired', 'disabled' or 'unavailable'
+   */
+  async authenticateSignature(request, context = {}) {
+    const { keyId, timestamp, nonce, signature } = request;
+    const maxSkew = config.security.signatureMaxSkew;
+
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkew) {
+      return { status: 'signature_expired' };
+    }
+    if (!NONCE_PATTERN.test(nonce) || !KEY_ID_PATTERN.test(keyId)) {
+      return { status: 'signature_invalid' };
+    }
+
+    // Operator keys sign with the key itself, tenant keys with their signing secret
+    let apiKey;
+    let record = null;
+    let secrets;
+    const environmentKey = config.server.apiKeys.find(key => this.getEnvironmentKeyId(key) === keyId);
+    if (environmentKey) {
+      apiKey = this.getEnvironmentApiKey(environmentKey);
+      secrets = [environmentKey];
+    } else {
+      if (!this.isSigningEnabled()) {
+        return { status: 'signing_disabled' };
+      }
+
+      record = await cacheService.getHashField(REGISTRY_KEY, keyId);
+      if (record === undefined) {
+        return { status: 'unavailable' };
+      }
+      if (!record) {
+        return { status: 'signature_invalid' };
+      }
+
+      secrets = [this.getSigningSecret(keyId, record.salt)];
+      if (this.inGracePeriod(record)) {
+        secrets.push(this.getSigningSecret(keyId, record.previous.salt));
+      }
+    }
+
+    const expected = secrets.map(secret => this.sign(secret, request));
+    if (!expected.map(value => this.safeEqual(value, signature.toLowerCase())).includes(true)) {
+      return { status: 'signature_invalid' };
+    }
+
+    const refusal = record ? this.getRefusal(record) : null;
+    if (refusal) {
+      return { status: refusal };
+    }
+
+    // Replay protection: a nonce is accepted once while its timestamp is within the skew
+    const fresh = await cacheService.setIfAbsent(`apikeys:nonce:${keyId}:${nonce}`, 1, 2 * maxSkew);
+    if (fresh === null) {
+      return { status: 'unavailable' };
+    }
+    if (!fresh) {
+      return { status: 'signature_replayed' };
+    }
+
+    return {
+      status: 'valid',
+      apiKey: record ? this.toPublic(record, this.recordUse(keyId, context.ip)) : apiKey
+    };
+  }
+
+  /**
+   * Whether an authenticated key grants a scope
+   * @param {object} apiKey - Authenticated key (req.apiKey)
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if the scope is granted
+   */
+  hasScope(apiKey, scope) {
+    const scopes = apiKey.scopes || [];
+    return scopes.includes(scope) || scopes.includes(SCOPES.ADMIN);
+  }
+}
+
+// Singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.SCOPES = SCOPES;
@@ -2,14 +2,56 @@ const { Transaction, TransactionPayload, Address, GasLimit, GasPrice } = require
 const { TransactionProcessor } = require('@multiversx/sdk-transaction-processor');
 const multiversXConfig = require('../config/multiversx');
 const cacheService = require('./cache.service');
+const registryService = require('./registry.service');
+const priceService = require('./price.service');
+const nonceService = require('./nonce.service');
 const HashUtils = require('../utils/hash');
 const logger = require('../utils/logger');
+const MerkleUtils = require('../utils/merkle');
 const config = require('../config');
 
+const USER_SIGNING_INSTRUCTIONS = {
+  step1: 'Copy the transaction data below',
+  step2: 'Open xPortal wallet',
+  step3: 'Create a new transaction to the provided receiver (your own address if none) with the provided data',
+  step4: 'Sign and send the transaction',
+  step5: 'The timestamp will be recorded on the blockchain'
+};
+
+/**
+ * How far a transaction has progressed towards irreversibility, in order
+ */
+const CONFIRMATION_LEVELS = {
+  // Accepted by the service or the network, not executed yet
+  SUBMITTED: 'submitted',
+  // Executed in its shard
+  EXECUTED: 'executed',
+  // Notarized by the metachain in a hyperblock
+  HYPERBLOCK: 'hyperblock',
+  // Notarizing hyperblock at or below the highest final metachain nonce
+  FINALIZED: 'finalized'
+};
+
+const CONFIRMATION_ORDER = Object.values(CONFIRMATION_LEVELS);
+
+// The final nonce is shared by every lookup made within a round
+const FINAL_NONCE_TTL = 6000;
+
+// Statuses of a record tied to a transaction, never reassigned to a batch
+const ANCHORED_STATUSES = [
+  registryService.STATUS.PREPARED,
+  registryService.STATUS.PENDING,
+  registryService.STATUS.CONFIRMED
+];
+
+// Lifetime of a prepared transaction waiting for the user signature (seconds)
+const PREPARED_TRANSACTION_TTL = 300;
+
 class BlockchainService {
   constructor() {
     this.initialized = false;
     this.transactionProcessor = null;
+    this.finalNonce = { value: null, fetchedAt: 0 };
   }
 
   async initialize() {
@@ -31,9 +73,41 @@ class BlockchainService {
    * Create a timestamp transaction on the blockchain
    * @param {string|object} data - Data to timestamp
    * @param {object} metadata - Additional metadata
+   * @param {object} options - Hashing options
+   * @param {string} options.algorithm - Digest algorithm (default: HASH_ALGORITHM)
+   * @param {string} options.callbackUrl - Webhook notified once the transaction is final
+   * @param {string} options.priority - Transaction priority ('normal' or 'high')
    * @returns {object} Transaction result
    */
-  async createTimestamp(data, metadata = {}) {
+  async createTimestamp(data, metadata = {}, options = {}) {
+    // Generate data hash
+    const hashScheme = config.hash.scheme;
+    const algorithm = options.algorithm || config.hash.algorithm;
+    const dataHash = HashUtils.hash(data, algorithm, hashScheme);
+    
+    return await this.createDigestTimestamp(dataHash, metadata, {
+      algorithm,
+      hashScheme,
+      callbackUrl: options.callbackUrl,
+      priority: options.priority
+    });
+  }
+
+  /**
+   * Create a timestamp transaction for an already computed digest (e.g. a streamed file)
+   * @param {string} dataHash - Hex digest of the data
+   * @param {object} metadata - Additional metadata
+   * @param {object} options - Digest options
+   * @param {string} options.algorithm - Digest algorithm
+   * @param {string} options.hashScheme - Hash scheme used to serialize the data (none for raw bytes)
+   * @param {object} options.file - Name, size and MIME type of an uploaded file (registry only)
+   * @param {string} options.callbackUrl - Webhook notified once the transaction is final
+   * @param {string} options.priority - Transaction priority ('normal' or 'high')
+   * @returns {object} Transaction result
+   */
+  async createDigestTimestamp(dataHash, metadata = {}, options = {}) {
+    const { algorithm = 'sha256', hashScheme, file, callbackUrl, priority } = options;
+    
     try {
       if (!this.initialized) {
         throw new Error('Blockchain service not initialized');
@@ -41,71 +115,100 @@ class BlockchainService {
 
       const startTime = Date.now();
       
-      // Generate data hash
-      const dataHash = HashUtils.sha256(data);
-      
-      // Check cache first
-      const cachedTimestamp = await cacheService.getCachedTimestamp(dataHash);
-      if (cachedTimestamp) {
-        logger.info('Returning cached timestamp', { dataHash });
-        return cachedTimestamp;
+      const custodial = multiversXConfig.isCustodial();
+
+      // Return the existing record if this data was already prepared or anchored
+      // (in custodial mode a transaction still waiting for a user signature is sent by
+      // the service, and a failed anchor is always prepared again)
+      const existingRecord = await registryService.findByDataHash(dataHash);
+      if (existingRecord && existingRecord.transactionData &&
+          existingRecord.status !== registryService.STATUS.FAILED &&
+          !(custodial && existingRecord.status === registryService.STATUS.PREPARED)) {
+        logger.info('Returning registered timestamp', { dataHash, status: existingRecord.status });
+        return {
+          success: true,
+          dataHash,
+          // Uploaded files are hashed as raw bytes, without a serialization scheme
+          hashScheme: existingRecord.file ? undefined : existingRecord.hashScheme || HashUtils.HASH_SCHEMES.LEGACY,
+          algorithm: existingRecord.algorithm || 'sha256',
+          file: existingRecord.file,
+          timestamp: existingRecord.createdAt,
+          status: existingRecord.status,
+          transactionHash: existingRecord.transactionHash,
+          transactionData: existingRecord.transactionData,
+          estimatedCost: existingRecord.estimatedCost,
+          explorerUrl: existingRecord.explorerUrl,
+          message: existingRecord.status === registryService.STATUS.PREPARED
+            ? 'Transaction prepared for user signing with xPortal'
+            : 'Data already timestamped'
+        };
       }
 
       // Prepare transaction data
-      const timestampData = {
-        dataHash,
-        timestamp: new Date().toISOString(),
-        metadata: {
-          service: 'multiversx-timestamp',
-          version: '1.0.0',
-          ...metadata
-        }
-      };
+      const timestampData = this.buildTimestampData(dataHash, metadata, { algorithm, hashScheme });
 
-      // Create transaction payload
-      const payload = new TransactionPayload(JSON.stringify(timestampData));
-      
-      // Get network config
-      const networkProvider = multiversXConfig.getNetworkProvider();
-      const gasConfig = multiversXConfig.getGasConfig();
-      const contractAddress = multiversXConfig.getContractAddress();
-      
-      // Since we're in user-signing mode with xPortal, we return transaction data
-      // for the user to sign instead of signing it ourselves
-      const transactionData = {
-        data: payload.toString(),
-        gasLimit: gasConfig.gasLimit,
-        gasPrice: gasConfig.gasPrice,
-        receiver: contractAddress,
-        value: '0',
-        chainID: multiversXConfig.getChainId()
-      };
-      
-      // Calculate estimated cost
-      const costInEGLD = (gasConfig.gasLimit * gasConfig.gasPrice) / Math.pow(10, 18);
-      
-      // Prepare result for user signing
+      const { transactionData, estimatedCost } = await this.prepareTimestampTransaction(timestampData, { priority });
+
+      if (custodial) {
+        const broadcast = await this.signAndBroadcast(transactionData);
+
+        await registryService.save(dataHash, {
+          status: registryService.STATUS.PENDING,
+          hashScheme,
+          algorithm,
+          file,
+          callbackUrl,
+          transactionData,
+          estimatedCost,
+          metadata: timestampData.metadata,
+          error: undefined,
+          ...broadcast
+        });
+
+        logger.logPerformance('createTimestamp', Date.now() - startTime, { dataHash, success: true });
+
+        return {
+          success: true,
+          dataHash,
+          hashScheme,
+          algorithm,
+          multihash: timestampData.multihash,
+          timestamp: timestampData.timestamp,
+          status: registryService.STATUS.PENDING,
+          ...broadcast,
+          estimatedCost,
+          message: 'Transaction signed and sent by the service wallet'
+        };
+      }
+
+      // In user-signing mode we return transaction data for the user to sign with xPortal
       const result = {
         success: true,
         dataHash,
+        hashScheme,
+        algorithm,
+        multihash: timestampData.multihash,
         timestamp: timestampData.timestamp,
         transactionData,
-        estimatedCost: {
-          egld: costInEGLD.toFixed(8),
-          usd: (costInEGLD * 50).toFixed(6) // Approximate USD value
-        },
+        estimatedCost,
         message: 'Transaction prepared for user signing with xPortal',
-        instructions: {
-          step1: 'Copy the transaction data below',
-          step2: 'Open xPortal wallet',
-          step3: 'Create a new transaction with the provided data',
-          step4: 'Sign and send the transaction',
-          step5: 'The timestamp will be recorded on the blockchain'
-        }
+        instructions: USER_SIGNING_INSTRUCTIONS
       };
 
-      // Cache the result
-      await cacheService.cacheTimestamp(dataHash, result);
+      // Record the prepared timestamp (also refreshes the cache)
+      await registryService.save(dataHash, {
+        status: registryService.STATUS.PREPARED,
+        hashScheme,
+        algorithm,
+        file,
+        callbackUrl,
+        transactionData,
+        estimatedCost,
+        metadata: timestampData.metadata,
+        // A failed anchor prepared again drops its previous transaction
+        transactionHash: undefined,
+        error: undefined
+      });
       
       // Log performance
       const duration = Date.now() - startTime;
@@ -116,17 +219,298 @@ class BlockchainService {
       
       return result;
     } catch (error) {
-      logger.logError(error, { operation: 'createTimestamp', data: typeof data });
+      logger.logError(error, { operation: 'createTimestamp', dataHash });
       throw new Error(`Failed to create timestamp: ${error.message}`);
     }
   }
 
   /**
-   * Verify a timestamp by checking the blockchain
+   * Anchor many data hashes with a single transaction carrying their Merkle root
+   * @param {array} hashes - Hex-encoded data hashes
+   * @param {object} metadata - Additional metadata
+   * @param {object} options - Batch options
+   * @param {string} options.algorithm - Digest algorithm of the hashes (kept from each leaf record if omitted)
+   * @param {string} options.callbackUrl - Webhook notified once the root transaction is final
+   * @param {string} options.priority - Root transaction priority ('normal' or 'high')
+   * @returns {object} Prepared root transaction and one inclusion proof per hash
+   */
+  async createBatchTimestamp(hashes, metadata = {}, options = {}) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Blockchain service not initialized');
+      }
+
+      const startTime = Date.now();
+      const { root, proofs } = MerkleUtils.createBatch(hashes);
+
+      // The root itself is a SHA-256 node, whatever the digest of the leaves
+      const timestampData = {
+        dataHash: root,
+        algorithm: 'sha256',
+        multihash: HashUtils.toMultihash(root, 'sha256'),
+        timestamp: new Date().toISOString(),
+        metadata: {
+          service: 'multiversx-timestamp',
+          version: '1.0.0',
+          type: 'merkle-batch',
+          leafCount: hashes.length,
+          ...metadata
+        }
+      };
+
+      const { transactionData, estimatedCost } = await this.prepareTimestampTransaction(timestampData, {
+        priority: options.priority
+      });
+      const costInEGLD = parseFloat(estimatedCost.egld);
+
+      // In custodial mode the service wallet sends the root transaction right away
+      const broadcast = multiversXConfig.isCustodial()
+        ? await this.signAndBroadcast(transactionData)
+        : null;
+      const status = broadcast ? registryService.STATUS.PENDING : registryService.STATUS.PREPARED;
+
+      await registryService.save(root, {
+        status,
+        transactionData,
+        estimatedCost,
+        metadata: timestampData.metadata,
+        batch: { leafCount: hashes.length },
+        callbackUrl: options.callbackUrl,
+        ...broadcast
+      });
+
+      // Each leaf resolves its anchor through the root record, unless it is already
+      // anchored or waiting for another transaction (its proof is still returned)
+      const entries = [];
+      const skipped = [];
+      for (const proof of proofs) {
+        const existing = await registryService.findByDataHash(proof.hash);
+        if (existing && ANCHORED_STATUSES.includes(existing.status)) {
+          skipped.push({ hash: proof.hash, status: existing.status });
+          continue;
+        }
+
+        entries.push({
+          dataHash: proof.hash,
+          changes: {
+            status,
+            ...(options.algorithm && { algorithm: options.algorithm }),
+            metadata: timestampData.metadata,
+            merkle: { root, leafIndex: proof.leafIndex, path: proof.path }
+          }
+        });
+      }
+
+      await registryService.saveMany(entries);
+
+      const duration = Date.now() - startTime;
+      logger.logPerformance('createBatchTimestamp', duration, { root, leafCount: hashes.length });
+
+      return {
+        success: true,
+        dataHash: root,
+        merkleRoot: root,
+        leafCount: hashes.length,
+        timestamp: timestampData.timestamp,
+        transactionData,
+        estimatedCost: {
+          ...estimatedCost,
+          perDocument: (costInEGLD / hashes.length).toFixed(12)
+        },
+        proofs,
+        skipped,
+        ...(broadcast
+          ? { status, ...broadcast, message: 'Merkle root transaction signed and sent by the service wallet' }
+          : { message: 'Merkle root transaction prepared for user signing with xPortal', instructions: USER_SIGNING_INSTRUCTIONS })
+      };
+    } catch (error) {
+      logger.logError(error, { operation: 'createBatchTimestamp', count: Array.isArray(hashes) ? hashes.length : 0 });
+      throw new Error(`Failed to create batch timestamp: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the timestamp payload stored on-chain for a digest
+   * @param {string} dataHash - Hex digest of the data
+   * @param {object} metadata - Additional metadata
+   * @param {object} options - Digest options (algorithm, hashScheme)
+   * @returns {object} Timestamp payload
+   */
+  buildTimestampData(dataHash, metadata = {}, options = {}) {
+    const { algorithm, hashScheme } = options;
+
+    return {
+      dataHash,
+      hashScheme,
+      algorithm,
+      multihash: HashUtils.toMultihash(dataHash, algorithm),
+      timestamp: new Date().toISOString(),
+      metadata: {
+        service: 'multiversx-timestamp',
+        version: '1.0.0',
+        ...metadata
+      }
+    };
+  }
+
+  /**
+   * Build the unsigned transaction data carrying a timestamp payload
+   * @param {object} timestampData - Payload stored on-chain
+   * @param {object} options - Gas options passed to computeGas (priority)
+   * @returns {object} Transaction data and estimated cost
+   */
+  async prepareTimestampTransaction(timestampData, options = {}) {
+    const payload = new TransactionPayload(JSON.stringify(timestampData));
+    const { gasLimit, gasPrice, estimatedCost } = await this.computeGas(payload.length(), options);
+
+    const transactionData = {
+      data: payload.toString(),
+      gasLimit,
+      gasPrice,
+      // Without a configured receiver, the user sends the transaction to their own address
+      receiver: multiversXConfig.getReceiver(multiversXConfig.getCustodialAddress()),
+      value: '0',
+      chainID: multiversXConfig.getChainId()
+    };
+
+    return { transactionData, estimatedCost };
+  }
+
+  /**
+   * Compute the gas of a data transaction from the network gas schedule: a
+   * transaction to a non-contract account only consumes move-balance gas
+   * (MinGasLimit plus GasPerDataByte for each byte of data)
+   * @param {number} dataLength - Size of the transaction data in bytes
+   * @param {object} options - Gas options
+   * @param {boolean} options.relayed - Add the gas paid by the relayer of a relayed v3 transaction
+   * @param {string} options.priority - Transaction priority ('normal' or 'high')
+   * @returns {object} Gas limit, gas price and estimated cost
+   */
+  async computeGas(dataLength, options = {}) {
+    const baseConfig = await multiversXConfig.getGasConfig();
+    const { gasPrice, multiplier } = this.getPriorityGasPrice(baseConfig.gasPrice, options.priority);
+    const gasConfig = { ...baseConfig, gasPrice };
+    const moveBalanceGas = gasConfig.minGasLimit + gasConfig.gasPerDataByte * dataLength +
+      (options.relayed ? gasConfig.minGasLimit : 0);
+
+    const estimatedCost = this.computeFee(moveBalanceGas, moveBalanceGas, gasConfig);
+
+    return {
+      gasLimit: moveBalanceGas,
+      gasPrice,
+      estimatedCost: {
+        ...estimatedCost,
+        priority: options.priority || 'normal',
+        gasPriceMultiplier: multiplier,
+        ...(await priceService.convert(parseFloat(estimatedCost.egld)))
+      }
+    };
+  }
+
+  /**
+   * Gas price of a priority: validators pick the transactions paying the most
+   * per gas unit first, so high priority multiplies the base price within
+   * PRIORITY_MAX_MULTIPLIER and PRIORITY_MAX_GAS_PRICE
+   * @param {number} baseGasPrice - Gas price of normal transactions
+   * @param {string} priority - Transaction priority ('normal' or 'high')
+   * @returns {object} Gas price and the multiplier actually applied
+   */
+  getPriorityGasPrice(baseGasPrice, priority = 'normal') {
+    if (priority !== 'high') {
+      return { gasPrice: baseGasPrice, multiplier: 1 };
+    }
+
+    const multiplier = Math.min(config.priority.highMultiplier, config.priority.maxMultiplier);
+    const cap = Math.max(config.priority.maxGasPrice, baseGasPrice);
+    const gasPrice = Math.min(Math.round(baseGasPrice * multiplier), cap);
+
+    return { gasPrice, multiplier: gasPrice / baseGasPrice };
+  }
+
+  /**
+   * Compute the fee of a transaction as charged by the protocol: move-balance gas
+   * at the gas price, gas above it at the price times GasPriceModifier (the rest
+   * of the gas limit is refunded)
+   * @param {number} gasLimit - Gas limit of the transaction
+   * @param {number} moveBalanceGas - Move-balance gas of the transaction
+   * @param {object} gasConfig - Gas configuration from multiversXConfig.getGasConfig
+   * @returns {object} Fee after refund and maximum fee (in wei), and fee in EGLD
+   */
+  computeFee(gasLimit, moveBalanceGas, gasConfig) {
+    const gasPrice = BigInt(gasConfig.gasPrice);
+    const processingGasPrice = BigInt(Math.floor(gasConfig.gasPrice * gasConfig.gasPriceModifier));
+    const extraGas = BigInt(Math.max(gasLimit - moveBalanceGas, 0));
+
+    const fee = BigInt(moveBalanceGas) * gasPrice + extraGas * processingGasPrice;
+    return {
+      gasLimit,
+      gasPrice: gasConfig.gasPrice,
+      fee: fee.toString(),
+      maxFee: (BigInt(gasLimit) * gasPrice).toString(),
+      egld: (Number(fee) / Math.pow(10, 18)).toFixed(8)
+    };
+  }
+
+  /**
+   * Sign prepared transaction data with the service wallet and send it (custodial mode)
+   * @param {object} transactionData - Unsigned transaction data from prepareTimestampTransaction
+   * @returns {object} Transaction hash, sender, nonce and explorer URL
+   */
+  async signAndBroadcast(transactionData) {
+    const signer = multiversXConfig.getSigner();
+    const networkProvider = multiversXConfig.getNetworkProvider();
+    const sender = signer.getAddress();
+
+    // Transactions sent in the same block are not reflected in the account nonce yet
+    const nonce = await nonceService.reserve(sender.bech32(), config.nonce.pendingTtl);
+
+    const transaction = new Transaction({
+      nonce,
+      value: transactionData.value,
+      sender,
+      receiver: transactionData.receiver ? Address.fromBech32(transactionData.receiver) : sender,
+      gasPrice: transactionData.gasPrice,
+      gasLimit: transactionData.gasLimit,
+      data: new TransactionPayload(transactionData.data),
+      chainID: transactionData.chainID
+    });
+
+    try {
+      // The signer applies the signature to the transaction
+      await signer.sign(transaction);
+      const transactionHash = await networkProvider.sendTransaction(transaction);
+      await nonceService.markSent(sender.bech32(), nonce);
+
+      logger.info('Transaction signed and sent by the service wallet', {
+        transactionHash,
+        sender: sender.bech32(),
+        nonce
+      });
+
+      return {
+        transactionHash,
+        userAddress: sender.bech32(),
+        nonce,
+        signingMode: 'custodial',
+        confirmationLevel: CONFIRMATION_LEVELS.SUBMITTED,
+        submittedAt: new Date().toISOString(),
+        explorerUrl: multiversXConfig.getExplorerUrl(transactionHash)
+      };
+    } catch (error) {
+      // Hand the nonce out again to the next transaction
+      await nonceService.release(sender.bech32(), nonce);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a timestamp by checking the registry, then the blockchain
    * @param {string} dataHash - Hash of the original data
+   * @param {object} options - Lookup options
+   * @param {string} options.address - Sender/receiver address to search on-chain
    * @returns {object} Verification result
    */
-  async verifyTimestamp(dataHash) {
+  async verifyTimestamp(dataHash, options = {}) {
     try {
       if (!this.initialized) {
         throw new Error('Blockchain service not initialized');
@@ -134,30 +518,74 @@ class BlockchainService {
 
       const startTime = Date.now();
       
-      // Check cache first
-      const cachedTimestamp = await cacheService.getCachedTimestamp(dataHash);
-      if (cachedTimestamp) {
-        logger.info('Returning cached verification', { dataHash });
+      // Look up the durable registry (Redis is used as a read-through cache)
+      const record = await registryService.findByDataHash(dataHash);
+      if (record && record.status === registryService.STATUS.CONFIRMED) {
+        logger.info('Returning registered verification', { dataHash });
+
+        const duration = Date.now() - startTime;
+        logger.logPerformance('verifyTimestamp', duration, { dataHash, found: true, source: 'registry' });
+
         return {
           verified: true,
-          timestamp: cachedTimestamp,
-          source: 'cache'
+          timestamp: await this.refreshConfirmation(record),
+          source: 'registry'
+        };
+      }
+
+      // Batched hash: anchored through the Merkle root of its batch
+      if (record && record.merkle) {
+        const inclusion = await this.verifyInclusion(dataHash, record.merkle, options);
+
+        if (inclusion.verified) {
+          inclusion.timestamp = await registryService.updateStatus(dataHash, registryService.STATUS.CONFIRMED, inclusion.timestamp);
+        }
+
+        const duration = Date.now() - startTime;
+        logger.logPerformance('verifyTimestamp', duration, { dataHash, found: inclusion.verified, source: 'merkle' });
+
+        return inclusion.verified ? inclusion : { ...inclusion, timestamp: record };
+      }
+
+      // Not confirmed locally: look for the anchoring transaction on-chain
+      const address = options.address || (record && record.userAddress);
+      let anchor;
+      try {
+        anchor = await this.findAnchorTransaction(dataHash, { address });
+      } catch (error) {
+        // The network is down or rate limiting: answer from the registry alone
+        logger.logError(error, { operation: 'findAnchorTransaction', dataHash, address });
+
+        return {
+          verified: false,
+          timestamp: record,
+          source: 'registry',
+          chainCheck: 'unavailable'
         };
       }
 
-      // If not in cache, we need to search the blockchain
-      // This is a simplified implementation - in production, you might want to
-      // maintain an index of all timestamps created by your service
-      
-      logger.warn('Timestamp not found in cache', { dataHash });
-      
       const duration = Date.now() - startTime;
-      logger.logPerformance('verifyTimestamp', duration, { dataHash, found: false });
+      logger.logPerformance('verifyTimestamp', duration, { dataHash, found: !!anchor, source: 'blockchain' });
+
+      if (anchor) {
+        const anchoredRecord = await registryService.updateStatus(dataHash, registryService.STATUS.CONFIRMED, {
+          ...anchor,
+          origin: 'chain-lookup'
+        });
+
+        return {
+          verified: true,
+          timestamp: anchoredRecord,
+          source: 'blockchain'
+        };
+      }
+
+      logger.warn('Timestamp not found in registry or on-chain', { dataHash, address });
       
       return {
         verified: false,
-        timestamp: null,
-        source: 'blockchain'
+        timestamp: record,
+        source: record ? 'registry' : 'blockchain'
       };
     } catch (error) {
       logger.logError(error, { operation: 'verifyTimestamp', dataHash });
@@ -165,6 +593,296 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Verify a Merkle inclusion proof and the anchoring of its root
+   * @param {string} dataHash - Hash of the original data (leaf)
+   * @param {object} proof - Inclusion proof
+   * @param {string} proof.root - Merkle root
+   * @param {array} proof.path - Sibling path from the leaf to the root
+   * @param {object} options - Lookup options passed to the root verification
+   * @returns {object} Verification result
+   */
+  async verifyInclusion(dataHash, proof, options = {}) {
+    if (!MerkleUtils.verifyProof(dataHash, proof.path, proof.root)) {
+      return {
+        verified: false,
+        proofValid: false,
+        timestamp: null,
+        source: 'merkle'
+      };
+    }
+
+    const rootVerification = await this.verifyTimestamp(proof.root, options);
+    if (!rootVerification.verified) {
+      return {
+        verified: false,
+        proofValid: true,
+        timestamp: null,
+        source: rootVerification.source,
+        chainCheck: rootVerification.chainCheck
+      };
+    }
+
+    const anchor = rootVerification.timestamp;
+
+    return {
+      verified: true,
+      proofValid: true,
+      timestamp: {
+        dataHash,
+        transactionHash: anchor.transactionHash,
+        blockNumber: anchor.blockNumber,
+        blockTimestamp: anchor.blockTimestamp,
+        explorerUrl: anchor.explorerUrl,
+        userAddress: anchor.userAddress,
+        metadata: anchor.metadata,
+        merkle: {
+          root: proof.root,
+          leafIndex: proof.leafIndex,
+          path: proof.path
+        }
+      },
+      source: rootVerification.source
+    };
+  }
+
+  /**
+   * Search the network for the transaction anchoring a data hash
+   * @param {string} dataHash - Hash of the original data
+   * @param {object} options - Search options
+   * @param {string} options.address - Sender/receiver address (defaults to the configured receiver,
+   * then to the service wallet in custodial mode)
+   * @returns {object} Anchor details or null if not found (or without an address to search)
+   */
+  async findAnchorTransaction(dataHash, options = {}) {
+    const address = options.address || multiversXConfig.getReceiver(multiversXConfig.getCustodialAddress());
+    if (!address) {
+      return null;
+    }
+
+    const missKey = `anchor-miss:${address}:${dataHash}`;
+
+    // Avoid rescanning the same account for a hash that was just not found
+    if (await cacheService.exists(missKey)) {
+      return null;
+    }
+
+    const networkProvider = multiversXConfig.getNetworkProvider();
+    const scanLimit = config.multiversx.verifyScanLimit;
+    const pageSize = 50;
+
+    for (let from = 0; from < scanLimit; from += pageSize) {
+      const transactions = await networkProvider.doGetGeneric(
+        `accounts/${address}/transactions?from=${from}&size=${pageSize}&status=success`
+      );
+
+      const match = transactions.find(tx => {
+        const payload = this.decodeTimestampPayload(tx.data);
+        return payload && payload.dataHash === dataHash;
+      });
+
+      if (match) {
+        const transaction = await networkProvider.getTransaction(match.txHash);
+        const payload = this.decodeTimestampPayload(transaction.data);
+
+        logger.info('Anchoring transaction found on-chain', { dataHash, transactionHash: match.txHash });
+
+        return {
+          transactionHash: match.txHash,
+          blockNumber: transaction.blockNonce,
+          blockTimestamp: new Date(transaction.timestamp * 1000).toISOString(),
+          ...(await this.getConfirmation(transaction)),
+          explorerUrl: multiversXConfig.getExplorerUrl(match.txHash),
+          userAddress: transaction.sender.bech32(),
+          receiver: transaction.receiver.bech32(),
+          anchoredAt: payload.timestamp,
+          hashScheme: payload.hashScheme,
+          algorithm: payload.algorithm,
+          metadata: payload.metadata
+        };
+      }
+
+      if (transactions.length < pageSize) {
+        break;
+      }
+    }
+
+    await cacheService.set(missKey, true, 60);
+    return null;
+  }
+
+  /**
+   * Decode the timestamp payload stored in a transaction data field
+   * @param {Buffer|string} data - Raw data (Buffer) or base64-encoded data (API)
+   * @returns {object} Payload with a normalized dataHash, or null if not a timestamp transaction
+   */
+  decodeTimestampPayload(data) {
+    if (!data) {
+      return null;
+    }
+
+    try {
+      const decoded = Buffer.isBuffer(data) ? data.toString('utf8') : Buffer.from(data, 'base64').toString('utf8');
+      const payload = JSON.parse(decoded);
+
+      // prepareUnsignedTransaction stores the hash as `hash`, the other flows as `dataHash`
+      const dataHash = payload.dataHash || payload.hash;
+      if (!dataHash || !payload.metadata || payload.metadata.service !== 'multiversx-timestamp') {
+        return null;
+      }
+
+      // Payloads anchored before hash schemes were recorded used the legacy scheme
+      return {
+        ...payload,
+        dataHash,
+        hashScheme: payload.hashScheme || HashUtils.HASH_SCHEMES.LEGACY,
+        algorithm: payload.algorithm || 'sha256'
+      };
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  /**
+   * Map a network transaction status to a registry status
+   * @param {TransactionStatus} networkStatus - Status of a transaction on the network
+   * @returns {string} Registry status
+   */
+  toRegistryStatus(networkStatus) {
+    if (networkStatus.isSuccessful()) {
+      return registryService.STATUS.CONFIRMED;
+    }
+    if (networkStatus.isFailed() || networkStatus.isInvalid()) {
+      return registryService.STATUS.FAILED;
+    }
+    return registryService.STATUS.PENDING;
+  }
+
+  /**
+   * Check that a transaction on the network anchors the expected timestamp
+   * @param {TransactionOnNetwork} transactionOnNetwork - Transaction fetched from the network
+   * @param {object} expected - Expected sender, receiver and dataHash
+   * @returns {object} First mismatch as { code, message, expected, actual }, or null if it matches
+   */
+  checkAnchorTransaction(transactionOnNetwork, expected) {
+    const sender = transactionOnNetwork.sender.bech32();
+    if (sender !== expected.sender) {
+      return { code: 'TX_SENDER_MISMATCH', message: 'Transaction sender does not match the prepared transaction', expected: expected.sender, actual: sender };
+    }
+
+    const receiver = transactionOnNetwork.receiver.bech32();
+    if (receiver !== expected.receiver) {
+      return { code: 'TX_RECEIVER_MISMATCH', message: 'Transaction receiver does not match the prepared transaction', expected: expected.receiver, actual: receiver };
+    }
+
+    const payload = this.decodeTimestampPayload(transactionOnNetwork.data);
+    const dataHash = payload ? payload.dataHash : null;
+    if (!dataHash || dataHash.toLowerCase() !== expected.dataHash.toLowerCase()) {
+      return { code: 'TX_DATA_HASH_MISMATCH', message: 'Transaction data does not carry the prepared data hash', expected: expected.dataHash, actual: dataHash };
+    }
+
+    if (this.toRegistryStatus(transactionOnNetwork.status) === registryService.STATUS.FAILED) {
+      return { code: 'TX_NOT_SUCCESSFUL', message: 'Transaction failed on the network', expected: 'success', actual: transactionOnNetwork.status.toString() };
+    }
+
+    return null;
+  }
+
+  /**
+   * Highest final metachain nonce, shared for a round between lookups
+   * @returns {number} Final nonce, or null if the network status is unavailable
+   */
+  async getFinalNonce() {
+    if (Date.now() - this.finalNonce.fetchedAt < FINAL_NONCE_TTL) {
+      return this.finalNonce.value;
+    }
+
+    const networkStatus = await multiversXConfig.getNetworkStatus();
+    if (!networkStatus.connected) {
+      logger.warn('Final nonce unavailable', { error: networkStatus.error });
+      return null;
+    }
+
+    this.finalNonce = { value: networkStatus.lastBlock, fetchedAt: Date.now() };
+    return this.finalNonce.value;
+  }
+
+  /**
+   * Confirmation level of a transaction
+   * @param {TransactionOnNetwork} transactionOnNetwork - Transaction fetched from the network
+   * @param {number} finalNonce - Highest final metachain nonce (null if unknown)
+   * @returns {string} Confirmation level
+   */
+  getConfirmationLevel(transactionOnNetwork, finalNonce) {
+    if (transactionOnNetwork.status.isPending()) {
+      return CONFIRMATION_LEVELS.SUBMITTED;
+    }
+
+    if (!transactionOnNetwork.hyperblockNonce) {
+      return CONFIRMATION_LEVELS.EXECUTED;
+    }
+
+    return finalNonce !== null && transactionOnNetwork.hyperblockNonce <= finalNonce
+      ? CONFIRMATION_LEVELS.FINALIZED
+      : CONFIRMATION_LEVELS.HYPERBLOCK;
+  }
+
+  /**
+   * Confirmation fields recorded with a timestamp and its proof
+   * @param {TransactionOnNetwork} transactionOnNetwork - Transaction fetched from the network
+   * @returns {object} Confirmation level and notarizing hyperblock
+   */
+  async getConfirmation(transactionOnNetwork) {
+    const finalNonce = await this.getFinalNonce();
+    const confirmationLevel = this.getConfirmationLevel(transactionOnNetwork, finalNonce);
+
+    return {
+      confirmationLevel,
+      hyperblockNonce: transactionOnNetwork.hyperblockNonce || null,
+      hyperblockHash: transactionOnNetwork.hyperblockHash || null,
+      ...(confirmationLevel === CONFIRMATION_LEVELS.FINALIZED && { finalNonce })
+    };
+  }
+
+  /**
+   * Whether a confirmation level has been reached
+   * @param {string} level - Current level
+   * @param {string} target - Level to reach
+   * @returns {boolean} True if level is at or past target
+   */
+  hasReachedLevel(level, target) {
+    return CONFIRMATION_ORDER.indexOf(level) >= CONFIRMATION_ORDER.indexOf(target);
+  }
+
+  /**
+   * Bring the confirmation level of a confirmed record up to date (until it is finalized)
+   * @param {object} record - Registry record
+   * @returns {object} Up to date record
+   */
+  async refreshConfirmation(record) {
+    if (!record.transactionHash || record.confirmationLevel === CONFIRMATION_LEVELS.FINALIZED) {
+      return record;
+    }
+
+    try {
+      const transactionOnNetwork = await multiversXConfig.getNetworkProvider().getTransaction(record.transactionHash);
+      const confirmation = await this.getConfirmation(transactionOnNetwork);
+
+      if (confirmation.confirmationLevel === record.confirmationLevel) {
+        return record;
+      }
+
+      return await registryService.updateStatus(record.dataHash, record.status, confirmation);
+    } catch (error) {
+      logger.warn('Failed to refresh confirmation level', {
+        dataHash: record.dataHash,
+        transactionHash: record.transactionHash,
+        error: error.message
+      });
+      return record;
+    }
+  }
+
   /**
    * Get transaction details by hash
    * @param {string} transactionHash - Transaction hash
@@ -193,7 +911,8 @@ class BlockchainService {
         transactionHash,
         blockNumber: transaction.blockNonce,
         blockTimestamp: new Date(transaction.timestamp * 1000).toISOString(),
-        status: transaction.status,
+        status: transaction.status.toString(),
+        ...(await this.getConfirmation(transaction)),
         gasUsed: transaction.gasUsed,
         explorerUrl: multiversXConfig.getExplorerUrl(transactionHash)
       };
@@ -209,8 +928,10 @@ class BlockchainService {
         }
       }
 
-      // Cache the result
-      await cacheService.cacheVerification(transactionHash, result);
+      // Cache the result once it can no longer change
+      if (result.confirmationLevel === CONFIRMATION_LEVELS.FINALIZED) {
+        await cacheService.cacheVerification(transactionHash, result);
+      }
       
       return result;
     } catch (error) {
@@ -256,7 +977,6 @@ class BlockchainService {
       }
 
       const networkProvider = multiversXConfig.getNetworkProvider();
-      const account = await networkProvider.getAccount(userAddress);
       
       // Prepare transaction payload
       const timestampData = {
@@ -269,19 +989,23 @@ class BlockchainService {
         }
       };
 
-      const transactionData = Buffer.from(JSON.stringify(timestampData)).toString('base64');
+      const payload = Buffer.from(JSON.stringify(timestampData));
       
       // Get network configuration
       const networkConfig = await networkProvider.getNetworkConfig();
+      const { gasLimit, gasPrice, estimatedCost } = await this.computeGas(payload.length);
       
+      // Reserved for as long as the caller keeps the transaction prepared
+      const nonce = await nonceService.reserve(userAddress, PREPARED_TRANSACTION_TTL);
+
       const transaction = {
-        nonce: account.nonce,
+        nonce,
         value: '0',
-        receiver: multiversXConfig.getContractAddress(),
+        receiver: multiversXConfig.getReceiver(userAddress),
         sender: userAddress,
-        gasPrice: networkConfig.MinGasPrice,
-        gasLimit: 70000, // Standard gas limit for data transactions
-        data: transactionData,
+        gasPrice,
+        gasLimit,
+        data: payload.toString('base64'),
         chainID: networkConfig.ChainID,
         version: 1
       };
@@ -297,9 +1021,8 @@ class BlockchainService {
         transaction,
         dataHash,
         estimatedCost: {
-          gasLimit: transaction.gasLimit,
-          gasPrice: transaction.gasPrice,
-          totalCost: (transaction.gasLimit * transaction.gasPrice).toString()
+          ...estimatedCost,
+          totalCost: estimatedCost.fee
         }
       };
     } catch (error) {
@@ -333,7 +1056,8 @@ class BlockchainService {
         }
 
         const status = {
-          status: transaction.status.toLowerCase(),
+          status: transaction.status.toString().toLowerCase(),
+          ...(await this.getConfirmation(transaction)),
           transactionHash,
           blockNumber: transaction.blockNonce,
           blockHash: transaction.blockHash,
@@ -360,6 +1084,7 @@ class BlockchainService {
         // Transaction might be pending or not yet propagated
         return {
           status: 'pending',
+          confirmationLevel: CONFIRMATION_LEVELS.SUBMITTED,
           transactionHash,
           message: 'Transaction is pending or not yet confirmed'
         };
@@ -371,35 +1096,48 @@ class BlockchainService {
   }
 
   /**
-   * Wait for transaction confirmation
+   * Wait for a transaction to reach a confirmation level
    * @param {string} transactionHash - Transaction hash
    * @param {number} timeoutMs - Timeout in milliseconds
+   * @param {string} level - Confirmation level to wait for (default: finalized)
    * @returns {object} Transaction result
    */
-  async waitForTransactionCompletion(transactionHash, timeoutMs = 60000) {
+  async waitForTransactionCompletion(transactionHash, timeoutMs = 60000, level = CONFIRMATION_LEVELS.FINALIZED) {
     try {
       if (!this.transactionProcessor) {
         throw new Error('Transaction processor not initialized');
       }
 
-      logger.info('Waiting for transaction completion', { transactionHash, timeoutMs });
+      logger.info('Waiting for transaction completion', { transactionHash, timeoutMs, level });
+      
+      const networkProvider = multiversXConfig.getNetworkProvider();
       
       // Poll for transaction status
       const startTime = Date.now();
       while (Date.now() - startTime < timeoutMs) {
-        const transaction = await this.getTransaction(transactionHash);
-        if (transaction && transaction.status === 'success') {
-          return {
-            completed: true,
-            transactionHash,
-            status: transaction.status,
-            blockNumber: transaction.blockNonce,
-            timestamp: new Date().toISOString()
-          };
+        let transaction = null;
+        try {
+          transaction = await networkProvider.getTransaction(transactionHash);
+        } catch (networkError) {
+          // Not propagated yet
         }
         
-        if (transaction && transaction.status === 'fail') {
-          throw new Error(`Transaction failed: ${transaction.status}`);
+        if (transaction && this.toRegistryStatus(transaction.status) === registryService.STATUS.FAILED) {
+          throw new Error(`Transaction failed: ${transaction.status.toString()}`);
+        }
+        
+        if (transaction) {
+          const confirmation = await this.getConfirmation(transaction);
+          if (this.hasReachedLevel(confirmation.confirmationLevel, level)) {
+            return {
+              completed: true,
+              transactionHash,
+              status: transaction.status.toString(),
+              ...confirmation,
+              blockNumber: transaction.blockNonce,
+              timestamp: new Date().toISOString()
+            };
+          }
         }
         
         // Wait 2 seconds before next poll
@@ -415,7 +1153,7 @@ class BlockchainService {
           completed: false,
           transactionHash,
           status: 'timeout',
-          message: 'Transaction confirmation timeout'
+          message: `Transaction did not reach the ${level} level in time`
         };
       }
       
@@ -426,21 +1164,26 @@ class BlockchainService {
   /**
    * Estimate transaction cost
    * @param {string|object} data - Data to timestamp
+   * @param {object} metadata - Metadata stored with the timestamp
+   * @param {object} options - Hashing options
+   * @param {string} options.algorithm - Digest algorithm (default: HASH_ALGORITHM)
+   * @param {string} options.priority - Transaction priority ('normal' or 'high')
    * @returns {object} Cost estimation
    */
-  estimateCost(data) {
+  async estimateCost(data, metadata = {}, options = {}) {
     try {
-      const gasConfig = multiversXConfig.getGasConfig();
-      const dataSize = JSON.stringify(data).length;
-      
-      // Base gas + data size factor
-      const estimatedGas = gasConfig.gasLimit + (dataSize * 10);
-      const costInEGLD = (estimatedGas * gasConfig.gasPrice) / Math.pow(10, 18);
+      const hashScheme = config.hash.scheme;
+      const algorithm = options.algorithm || config.hash.algorithm;
+      const dataHash = HashUtils.hash(data, algorithm, hashScheme);
+
+      // The fee depends on the size of the on-chain payload, not of the data
+      const payload = new TransactionPayload(JSON.stringify(this.buildTimestampData(dataHash, metadata, { algorithm, hashScheme })));
+      const { gasLimit, estimatedCost } = await this.computeGas(payload.length(), { priority: options.priority });
       
       return {
-        estimatedGas,
-        egld: costInEGLD.toFixed(8),
-        usd: (costInEGLD * 50).toFixed(6) // Approximate USD value
+        estimatedGas: gasLimit,
+        payloadSize: payload.length(),
+        ...estimatedCost
       };
     } catch (error) {
       logger.logError(error, { operation: 'estimateCost' });
@@ -452,4 +1195,6 @@ class BlockchainService {
 // Singleton instance
 const blockchainService = new BlockchainService();
 
-module.exports = blockchainService;
\ No newline at end of file
+module.exports = blockchainService;
+module.exports.CONFIRMATION_LEVELS = CONFIRMATION_LEVELS;
+module.exports.PREPARED_TRANSACTION_TTL = PREPARED_TRANSACTION_TTL;
\ No newline at end of file
@@ -3,6 +3,14 @@ const { promisify } = require('util');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+// DECRBY on a missing key would create it without a TTL
+const DECREMENT_EXISTING_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('DECRBY', KEYS[1], ARGV[1])
+end
+return false
+`;
+
 class CacheService {
   constructor() {
     this.client = null;
@@ -67,6 +75,16 @@ class CacheService {
       this.expireAsync = promisify(this.client.expire).bind(this.client);
       this.infoAsync = promisify(this.client.info).bind(this.client);
       this.dbsizeAsync = promisify(this.client.dbsize).bind(this.client);
+      this.rpushAsync = promisify(this.client.rpush).bind(this.client);
+      this.llenAsync = promisify(this.client.llen).bind(this.client);
+      this.incrbyAsync = promisify(this.client.incrby).bind(this.client);
+      this.evalAsync = promisify(this.client.eval).bind(this.client);
+      this.zaddAsync = promisify(this.client.zadd).bind(this.client);
+      this.zremAsync = promisify(this.client.zrem).bind(this.client);
+      this.hsetAsync = promisify(this.client.hset).bind(this.client);
+      this.hgetAsync = promisify(this.client.hget).bind(this.client);
+      this.hgetallAsync = promisify(this.client.hgetall).bind(this.client);
+      this.hdelAsync = promisify(this.client.hdel).bind(this.client);
       
       logger.info('✅ Cache service initialized successfully');
     } catch (error) {
@@ -101,6 +119,28 @@ class CacheService {
     }
   }
 
+  /**
+   * Set a value only if the key does not exist yet
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {number} ttl - Time to live in seconds
+   * @returns {boolean} True if set, false if the key exists, null if not connected
+   */
+  async setIfAbsent(key, value, ttl) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping set-if-absent operation');
+        return null;
+      }
+
+      const result = await this.setAsync(key, JSON.stringify(value), 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Cache set-if-absent error:', error);
+      return null;
+    }
+  }
+
   /**
    * Get a value from cache
    * @param {string} key - Cache key
@@ -187,6 +227,269 @@ class CacheService {
     }
   }
 
+  /**
+   * Atomically increment an integer counter
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add (negative to decrement)
+   * @param {number} ttl - Time to live in seconds, set when the counter is created (optional)
+   * @returns {number} New counter value or null if not connected
+   */
+  async increment(key, amount = 1, ttl = null) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping increment');
+        return null;
+      }
+
+      const value = await this.incrbyAsync(key, amount);
+      if (ttl && value === amount) {
+        await this.expireAsync(key, ttl);
+      }
+
+      return value;
+    } catch (error) {
+      logger.error('Cache increment error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Atomically decrement a counter, only if it exists (an expired counter is
+   * not recreated)
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to subtract
+   * @returns {number} New counter value, or null if the counter does not exist or not connected
+   */
+  async decrementExisting(key, amount = 1) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping decrement');
+        return null;
+      }
+
+      return await this.evalAsync(DECREMENT_EXISTING_SCRIPT, 1, key, amount);
+    } catch (error) {
+      logger.error('Cache decrement error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Append a value to a list
+   * @param {string} key - List key
+   * @param {any} value - Value to append
+   * @returns {number} List length or null if not connected
+   */
+  async pushToList(key, value) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping list push');
+        return null;
+      }
+
+      return await this.rpushAsync(key, JSON.stringify(value));
+    } catch (error) {
+      logger.error('Cache list push error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the length of a list
+   * @param {string} key - List key
+   * @returns {number} List length
+   */
+  async getListLength(key) {
+    try {
+      if (!this.connected) {
+        return 0;
+      }
+
+      return await this.llenAsync(key);
+    } catch (error) {
+      logger.error('Cache list length error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Atomically read and remove every value of a list
+   * @param {string} key - List key
+   * @returns {array} List values (empty if not connected)
+   */
+  async drainList(key) {
+    try {
+      if (!this.connected) {
+        return [];
+      }
+
+      const multi = this.client.multi().lrange(key, 0, -1).del(key);
+      const [values] = await promisify(multi.exec).bind(multi)();
+
+      return values.map(value => JSON.parse(value));
+    } catch (error) {
+      logger.error('Cache list drain error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Set a field of a hash (hashes never expire)
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   * @param {any} value - Value to store
+   * @returns {boolean} Success status
+   */
+  async setHashField(key, field, value) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping hash set');
+        return false;
+      }
+
+      await this.hsetAsync(key, field, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      logger.error('Cache hash set error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a field of a hash
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   * @returns {any} Stored value, null if missing, undefined if not connected
+   */
+  async getHashField(key, field) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping hash get');
+        return undefined;
+      }
+
+      const value = await this.hgetAsync(key, field);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Cache hash get error:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get every field of a hash
+   * @param {string} key - Hash key
+   * @returns {object} Values by field, null if not connected
+   */
+  async getHash(key) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping hash read');
+        return null;
+      }
+
+      const values = (await this.hgetallAsync(key)) || {};
+      const hash = {};
+      for (const [field, value] of Object.entries(values)) {
+        hash[field] = JSON.parse(value);
+      }
+
+      return hash;
+    } catch (error) {
+      logger.error('Cache hash read error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a field of a hash
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   * @returns {boolean} True if the field existed
+   */
+  async deleteHashField(key, field) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping hash delete');
+        return false;
+      }
+
+      return (await this.hdelAsync(key, field)) > 0;
+    } catch (error) {
+      logger.error('Cache hash delete error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Run a Lua script atomically
+   * @param {string} script - Lua script
+   * @param {array} keys - Keys used by the script
+   * @param {array} args - Script arguments
+   * @returns {any} Script result or null if not connected
+   */
+  async runScript(script, keys = [], args = []) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping script');
+        return null;
+      }
+
+      return await this.evalAsync(script, keys.length, ...keys, ...args);
+    } catch (error) {
+      logger.error('Cache script error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a member to a sorted set, or update its score
+   * @param {string} key - Sorted set key
+   * @param {number} score - Member score
+   * @param {string} member - Member
+   * @param {number} ttl - Time to live of the set in seconds (optional)
+   * @returns {boolean} Success status
+   */
+  async addToSortedSet(key, score, member, ttl = null) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping sorted set add');
+        return false;
+      }
+
+      await this.zaddAsync(key, score, member);
+      if (ttl) {
+        await this.expireAsync(key, ttl);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Cache sorted set add error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from a sorted set
+   * @param {string} key - Sorted set key
+   * @param {string} member - Member
+   * @returns {boolean} Success status
+   */
+  async removeFromSortedSet(key, member) {
+    try {
+      if (!this.connected) {
+        logger.warn('Cache not connected, skipping sorted set remove');
+        return false;
+      }
+
+      await this.zremAsync(key, member);
+      return true;
+    } catch (error) {
+      logger.error('Cache sorted set remove error:', error);
+      return false;
+    }
+  }
+
   /**
    * Get cache statistics
    * @returns {object} Cache statistics
@@ -0,0 +1,261 @@
+const multiversXConfig = require('../config/multiversx');
+const blockchainService = require('./blockchain.service');
+const cacheService = require('./cache.service');
+const registryService = require('./registry.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const QUEUE_KEY = 'calendar:queue';
+
+/**
+ * Aggregation calendar: hashes submitted with `options.mode: 'aggregate'` are
+ * queued in Redis (shared by every PM2 worker) and flushed on a fixed interval
+ * into a single Merkle root transaction.
+ */
+class CalendarService {
+  constructor() {
+    this.timer = null;
+    this.flushing = false;
+    this.intervalMs = null;
+    this.nextFlushAt = null;
+    this.lastRound = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.intervalMs = await this.getIntervalMs();
+
+      this.initialized = true;
+      logger.info('✅ Calendar service initialized successfully', { intervalMs: this.intervalMs });
+    } catch (error) {
+      logger.error('❌ Failed to initialize calendar service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the flush timer (only on the first PM2 instance)
+   */
+  start() {
+    if (!config.calendar.enabled) {
+      logger.info('Aggregation calendar disabled (set CALENDAR_ENABLED=true to enable)');
+      return;
+    }
+
+    if (process.env.INSTANCE_ID && process.env.INSTANCE_ID !== '0') {
+      logger.info('Calendar flushes run on instance 0 only', { instance: process.env.INSTANCE_ID });
+      return;
+    }
+
+    this.nextFlushAt = Date.now() + this.intervalMs;
+    this.timer = setInterval(() => {
+      this.nextFlushAt = Date.now() + this.intervalMs;
+      this.flush();
+    }, this.intervalMs);
+
+    logger.info('Aggregation calendar started', { intervalMs: this.intervalMs });
+
+    // Only the service wallet signs and sends roots by itself
+    if (!multiversXConfig.isCustodial()) {
+      logger.warn('Calendar roots will wait for a manual signature (user-signing mode): sign the roots listed by GET /api/v1/timestamp/calendar');
+    }
+  }
+
+  /**
+   * Stop the flush timer (queued hashes stay in Redis for the next start)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Aggregation calendar stopped');
+    }
+  }
+
+  /**
+   * Flush interval, from seconds or from a number of blocks
+   * @returns {number} Interval in milliseconds
+   */
+  async getIntervalMs() {
+    if (!config.calendar.intervalBlocks) {
+      return config.calendar.interval * 1000;
+    }
+
+    const networkConfig = await multiversXConfig.getNetworkProvider().getNetworkConfig();
+    return config.calendar.intervalBlocks * networkConfig.RoundDuration;
+  }
+
+  /**
+   * Queue a hash for the next calendar round
+   * @param {string} dataHash - Hash of the original data
+   * @param {object} metadata - Additional metadata
+   * @param {object} options - Submission options
+   * @param {string} options.callbackUrl - Webhook URL of the submitter
+   * @param {string} options.hashScheme - Hash scheme used to compute dataHash
+   * @param {string} options.algorithm - Digest algorithm of dataHash
+   * @param {object} options.file - Name, size and MIME type of an uploaded file
+   * @param {string} options.priority - 'high' hashes are placed in the first root of the next round
+   * @returns {object} Pending receipt
+   */
+  async enqueue(dataHash, metadata = {}, options = {}) {
+    const existing = await registryService.findByDataHash(dataHash);
+    if (existing && existing.status !== registryService.STATUS.FAILED) {
+      return this.toReceipt(existing);
+    }
+
+    const queuedAt = new Date().toISOString();
+    const priority = options.priority || 'normal';
+    const length = await cacheService.pushToList(QUEUE_KEY, { dataHash, queuedAt, priority });
+    if (length === null) {
+      throw new Error('Calendar queue unavailable');
+    }
+
+    const record = await registryService.save(dataHash, {
+      status: registryService.STATUS.QUEUED,
+      hashScheme: options.hashScheme,
+      algorithm: options.algorithm,
+      file: options.file,
+      metadata: {
+        service: 'multiversx-timestamp',
+        version: '1.0.0',
+        ...metadata
+      },
+      calendar: { queuedAt, priority },
+      callbackUrl: options.callbackUrl
+    });
+
+    logger.info('Hash queued for aggregation', { dataHash, priority, queueLength: length });
+    return this.toReceipt(record);
+  }
+
+  /**
+   * Anchor every queued hash under one Merkle root per round. High-priority
+   * hashes come first, and a root containing any of them is sent at the
+   * high-priority gas price.
+   * @returns {array} Prepared rounds
+   */
+  async flush() {
+    if (this.flushing) {
+      return [];
+    }
+
+    this.flushing = true;
+    const rounds = [];
+    let entries = [];
+
+    try {
+      entries = await cacheService.drainList(QUEUE_KEY);
+
+      // Stable sort: queue order is kept within each priority
+      const ordered = [
+        ...entries.filter(entry => entry.priority === 'high'),
+        ...entries.filter(entry => entry.priority !== 'high')
+      ];
+      const hashes = [...new Set(ordered.map(entry => entry.dataHash))];
+      const highPriority = new Set(entries.filter(entry => entry.priority === 'high').map(entry => entry.dataHash));
+
+      for (let i = 0; i < hashes.length; i += config.batch.maxLeaves) {
+        const chunk = hashes.slice(i, i + config.batch.maxLeaves);
+        const priority = chunk.some(hash => highPriority.has(hash)) ? 'high' : 'normal';
+        const batch = await blockchainService.createBatchTimestamp(chunk, { type: 'calendar' }, { priority });
+
+        rounds.push({
+          merkleRoot: batch.merkleRoot,
+          leafCount: batch.leafCount,
+          priority,
+          transactionData: batch.transactionData,
+          estimatedCost: batch.estimatedCost,
+          flushedAt: new Date().toISOString()
+        });
+      }
+
+      if (rounds.length > 0) {
+        this.lastRound = rounds[rounds.length - 1];
+        logger.info('Calendar flushed', { rounds: rounds.length, hashes: hashes.length });
+      }
+
+      return rounds;
+    } catch (error) {
+      logger.logError(error, { operation: 'calendarFlush', queued: entries.length });
+
+      // Put back the hashes that were not anchored in a round
+      const anchored = new Set();
+      for (const round of rounds) {
+        const record = await registryService.findByDataHash(round.merkleRoot);
+        if (record) {
+          anchored.add(round.merkleRoot);
+        }
+      }
+      for (const entry of entries) {
+        const record = await registryService.findByDataHash(entry.dataHash);
+        if (!record || !record.merkle || !anchored.has(record.merkle.root)) {
+          await cacheService.pushToList(QUEUE_KEY, entry);
+        }
+      }
+
+      return rounds;
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Build the receipt returned to a submitter
+   * @param {object} record - Registry record
+   * @returns {object} Receipt
+   */
+  toReceipt(record) {
+    return {
+      dataHash: record.dataHash,
+      status: record.status,
+      queuedAt: record.calendar ? record.calendar.queuedAt : record.createdAt,
+      priority: record.calendar && record.calendar.priority ? record.calendar.priority : 'normal',
+      nextFlushAt: this.nextFlushAt ? new Date(this.nextFlushAt).toISOString() : null,
+      merkleRoot: record.merkle ? record.merkle.root : null,
+      transactionHash: record.transactionHash || null,
+      proofUrl: `/api/v1/timestamp/proof/${record.dataHash}`
+    };
+  }
+
+  /**
+   * List the calendar roots still waiting to be signed and broadcast
+   * @returns {array} Prepared rounds
+   */
+  async getPendingRounds() {
+    const records = await registryService.findAll(record => (
+      record.batch &&
+      record.metadata && record.metadata.type === 'calendar' &&
+      record.status === registryService.STATUS.PREPARED
+    ));
+
+    return records.map(record => ({
+      merkleRoot: record.dataHash,
+      leafCount: record.batch.leafCount,
+      transactionData: record.transactionData,
+      createdAt: record.createdAt
+    }));
+  }
+
+  /**
+   * Get calendar statistics
+   * @returns {object} Calendar statistics (autoBroadcast is false when roots are left for a manual signature)
+   */
+  async getStats() {
+    return {
+      enabled: config.calendar.enabled,
+      active: !!this.timer,
+      autoBroadcast: multiversXConfig.isCustodial(),
+      awaitingSignature: (await this.getPendingRounds()).length,
+      intervalMs: this.intervalMs,
+      queued: await cacheService.getListLength(QUEUE_KEY),
+      nextFlushAt: this.nextFlushAt ? new Date(this.nextFlushAt).toISOString() : null,
+      lastRound: this.lastRound
+    };
+  }
+}
+
+// Singleton instance
+const calendarService = new CalendarService();
+
+module.exports = calendarService;
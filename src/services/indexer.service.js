@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const multiversXConfig = require('../config/multiversx');
+const blockchainService = require('./blockchain.service');
+const registryService = require('./registry.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Safety cap on the pages fetched per address and per run
+const MAX_PAGES_PER_RUN = 20;
+
+class IndexerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.checkpoints = {};
+    this.checkpointPath = null;
+    this.backfillMarkerPath = null;
+    this.backfills = new Map();
+    this.initialized = false;
+    this.stats = {
+      runs: 0,
+      ingested: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+  }
+
+  async initialize() {
+    try {
+      this.checkpointPath = path.join(config.registry.path, 'indexer-checkpoints.json');
+      this.backfillMarkerPath = path.join(config.registry.path, 'indexer-backfill.json');
+      await this.loadCheckpoints();
+
+      this.initialized = true;
+      logger.info('✅ Indexer service initialized successfully', {
+        addresses: Object.keys(this.checkpoints).length
+      });
+    } catch (error) {
+      logger.error('❌ Failed to initialize indexer service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling the network (only on the first PM2 instance)
+   */
+  start() {
+    if (!config.indexer.enabled) {
+      logger.info('Indexer disabled (set INDEXER_ENABLED=true to enable)');
+      return;
+    }
+
+    if (process.env.INSTANCE_ID && process.env.INSTANCE_ID !== '0') {
+      logger.info('Indexer runs on instance 0 only', { instance: process.env.INSTANCE_ID });
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), config.indexer.interval);
+    setImmediate(async () => {
+      if (config.indexer.backfill) {
+        await this.resetCheckpoints().catch(error => logger.logError(error, { operation: 'indexerBackfill' }));
+      }
+      this.run();
+    });
+
+    logger.info('Indexer started', { interval: config.indexer.interval });
+  }
+
+  /**
+   * Stop polling the network
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Indexer stopped');
+    }
+  }
+
+  /**
+   * Addresses followed by the indexer: the configured receiver (or the service
+   * wallet in custodial mode) and every user that sends self-transactions
+   * prepared by the service
+   * @returns {array} Addresses to index
+   */
+  async getWatchedAddresses() {
+    const userAddresses = await registryService.getUserAddresses();
+    const receiver = multiversXConfig.getReceiver(multiversXConfig.getCustodialAddress());
+    return [...new Set([...(receiver ? [receiver] : []), ...userAddresses])];
+  }
+
+  /**
+   * Process new transactions of every watched address
+   */
+  async run() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+
+    try {
+      const addresses = await this.getWatchedAddresses();
+      let ingested = 0;
+
+      for (const address of addresses) {
+        ingested += await this.indexAddress(address);
+      }
+
+      this.stats.runs++;
+      this.stats.ingested += ingested;
+      this.stats.lastRunAt = new Date().toISOString();
+      this.stats.lastError = null;
+
+      logger.logPerformance('indexerRun', Date.now() - startTime, { addresses: addresses.length, ingested });
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.logError(error, { operation: 'indexerRun' });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Rescan history from INDEXER_START_TIMESTAMP (INDEXER_BACKFILL), once per
+   * start timestamp: the rescan is recorded next to the checkpoints so that
+   * restarts resume from them instead of starting over
+   */
+  async resetCheckpoints() {
+    const from = config.indexer.startTimestamp;
+
+    try {
+      const marker = JSON.parse(await fs.promises.readFile(this.backfillMarkerPath, 'utf8'));
+      if (marker.startTimestamp === from) {
+        logger.info('Indexer backfill already done, resuming from checkpoints', { from, requestedAt: marker.requestedAt });
+        return;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.logError(error, { operation: 'indexerBackfillMarker' });
+        return;
+      }
+    }
+
+    this.checkpoints = {};
+    await this.saveCheckpoints();
+    await fs.promises.writeFile(this.backfillMarkerPath, JSON.stringify({
+      startTimestamp: from,
+      requestedAt: new Date().toISOString()
+    }, null, 2), 'utf8');
+
+    logger.info('Indexer backfill requested', { from });
+  }
+
+  /**
+   * Rescan an address from a given point in time up to now. The polling
+   * checkpoint of the address is left alone, the rescan keeps its own.
+   * @param {string} address - Address to backfill
+   * @param {number} fromTimestamp - Unix timestamp (seconds) to start from
+   * @returns {number} Number of timestamps ingested
+   */
+  async backfill(address, fromTimestamp = config.indexer.startTimestamp) {
+    const checkpoint = {
+      lastTimestamp: fromTimestamp,
+      lastNonce: null,
+      lastTransactionHash: null,
+      seenAtLastTimestamp: 0
+    };
+
+    let total = 0;
+    do {
+      total += await this.scanAddress(address, checkpoint);
+    } while (checkpoint.hasMore);
+
+    logger.info('Indexer backfill completed', { address, fromTimestamp, ingested: total });
+    return total;
+  }
+
+  /**
+   * Start a backfill in the background (one at a time per address)
+   * @param {string} address - Address to backfill
+   * @param {number} fromTimestamp - Unix timestamp (seconds) to start from
+   * @returns {object} { started, backfill }: started is false if the address is already being backfilled
+   */
+  startBackfill(address, fromTimestamp = config.indexer.startTimestamp) {
+    if (this.backfills.has(address)) {
+      return { started: false, backfill: this.backfills.get(address) };
+    }
+
+    const backfill = { address, fromTimestamp, startedAt: new Date().toISOString() };
+    this.backfills.set(address, backfill);
+
+    this.backfill(address, fromTimestamp)
+      .catch(error => logger.logError(error, { operation: 'indexerBackfill', address, fromTimestamp }))
+      .finally(() => this.backfills.delete(address));
+
+    logger.info('Indexer backfill started', backfill);
+    return { started: true, backfill };
+  }
+
+  /**
+   * Ingest the transactions of an address since its checkpoint
+   * @param {string} address - Address to index
+   * @returns {number} Number of timestamps ingested
+   */
+  async indexAddress(address) {
+    const checkpoint = this.checkpoints[address] || {
+      lastTimestamp: config.indexer.startTimestamp,
+      lastNonce: null,
+      lastTransactionHash: null,
+      seenAtLastTimestamp: 0
+    };
+
+    const ingested = await this.scanAddress(address, checkpoint);
+
+    checkpoint.updatedAt = new Date().toISOString();
+    this.checkpoints[address] = checkpoint;
+    await this.saveCheckpoints();
+
+    return ingested;
+  }
+
+  /**
+   * Ingest the transactions of an address after a checkpoint, moving it forward
+   * @param {string} address - Address to scan
+   * @param {object} checkpoint - Last processed transaction (updated in place)
+   * @returns {number} Number of timestamps ingested
+   */
+  async scanAddress(address, checkpoint) {
+    const networkProvider = multiversXConfig.getNetworkProvider();
+    const contractAddress = multiversXConfig.getContractAddress();
+    const pageSize = config.indexer.pageSize;
+
+    // `after` is inclusive: the transactions already processed at the checkpoint
+    // timestamp are skipped, so a run of them longer than a scan cannot stall it
+    const after = checkpoint.lastTimestamp;
+    const offset = checkpoint.seenAtLastTimestamp || 0;
+    let ingested = 0;
+    let page = 0;
+    let transactions;
+
+    do {
+      transactions = await networkProvider.doGetGeneric(
+        `accounts/${address}/transactions?after=${after}&order=asc` +
+        `&from=${offset + page * pageSize}&size=${pageSize}&status=success`
+      );
+
+      for (const tx of transactions) {
+        const isTimestampTransaction = (contractAddress && tx.receiver === contractAddress) || tx.sender === tx.receiver;
+        if (isTimestampTransaction && await this.ingest(tx)) {
+          ingested++;
+        }
+
+        checkpoint.seenAtLastTimestamp = tx.timestamp === checkpoint.lastTimestamp
+          ? (checkpoint.seenAtLastTimestamp || 0) + 1
+          : 1;
+        checkpoint.lastTimestamp = tx.timestamp;
+        checkpoint.lastNonce = tx.nonce;
+        checkpoint.lastTransactionHash = tx.txHash;
+      }
+
+      page++;
+    } while (transactions.length === pageSize && page < MAX_PAGES_PER_RUN);
+
+    checkpoint.hasMore = transactions.length === pageSize;
+
+    return ingested;
+  }
+
+  /**
+   * Store a timestamp transaction in the registry
+   * @param {object} tx - Transaction from the API account listing
+   * @returns {boolean} True if the registry was updated
+   */
+  async ingest(tx) {
+    const payload = blockchainService.decodeTimestampPayload(tx.data);
+    if (!payload) {
+      return false;
+    }
+
+    const existing = await registryService.findByDataHash(payload.dataHash);
+    if (existing && existing.status === registryService.STATUS.CONFIRMED) {
+      // Keep the earliest anchor of a hash
+      if (existing.transactionHash === tx.txHash || existing.blockTimestamp <= new Date(tx.timestamp * 1000).toISOString()) {
+        return false;
+      }
+    }
+
+    const transaction = await multiversXConfig.getNetworkProvider().getTransaction(tx.txHash);
+
+    await registryService.updateStatus(payload.dataHash, registryService.STATUS.CONFIRMED, {
+      transactionHash: tx.txHash,
+      blockNumber: transaction.blockNonce,
+      blockTimestamp: new Date(tx.timestamp * 1000).toISOString(),
+      ...(await blockchainService.getConfirmation(transaction)),
+      explorerUrl: multiversXConfig.getExplorerUrl(tx.txHash),
+      userAddress: tx.sender,
+      receiver: tx.receiver,
+      anchoredAt: payload.timestamp,
+      hashScheme: payload.hashScheme,
+      algorithm: payload.algorithm,
+      metadata: payload.metadata,
+      origin: 'indexer'
+    });
+
+    logger.info('Indexed timestamp transaction', { dataHash: payload.dataHash, transactionHash: tx.txHash });
+    return true;
+  }
+
+  /**
+   * Load the per-address checkpoints from disk
+   */
+  async loadCheckpoints() {
+    try {
+      const content = await fs.promises.readFile(this.checkpointPath, 'utf8');
+      this.checkpoints = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.checkpoints = {};
+    }
+  }
+
+  /**
+   * Persist the per-address checkpoints (write then rename, so a crash never
+   * leaves a truncated file)
+   */
+  async saveCheckpoints() {
+    const tmpPath = `${this.checkpointPath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.checkpoints, null, 2), 'utf8');
+    await fs.promises.rename(tmpPath, this.checkpointPath);
+  }
+
+  /**
+   * Get indexer statistics
+   * @returns {object} Indexer statistics
+   */
+  getStats() {
+    return {
+      enabled: config.indexer.enabled,
+      active: !!this.timer,
+      ...this.stats,
+      backfills: [...this.backfills.values()],
+      checkpoints: this.checkpoints
+    };
+  }
+}
+
+// Singleton instance
+const indexerService = new IndexerService();
+
+module.exports = indexerService;
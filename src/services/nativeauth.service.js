@@ -0,0 +1,203 @@
+const { Address, SignableMessage } = require('@multiversx/sdk-core');
+const { UserPublicKey } = require('@multiversx/sdk-wallet');
+const multiversXConfig = require('../config/multiversx');
+const cacheService = require('./cache.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Block timestamps are cached for as long as a token can live
+const BLOCK_KEY_PREFIX = 'nativeauth:block:';
+
+/**
+ * MultiversX Native Auth: the wallet signs a token bound to an origin and to a
+ * recent block hash, which dates the token. A valid token proves the address
+ * of the caller until the block timestamp plus the token TTL.
+ *
+ * Token: base64url(address).base64url(body).hex(signature), where body is
+ * base64url(origin).blockHash.ttl.base64url(JSON extra info), and the
+ * signature covers `${address}${body}` as a signed message.
+ */
+class NativeAuthService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.initialized = true;
+      logger.info('✅ Native Auth service initialized successfully', {
+        acceptedOrigins: config.nativeAuth.acceptedOrigins,
+        required: config.nativeAuth.required
+      });
+    } catch (error) {
+      logger.error('❌ Failed to initialize Native Auth service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether Native Auth tokens are accepted (NATIVE_AUTH_ACCEPTED_ORIGINS is set)
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return config.nativeAuth.acceptedOrigins.length > 0;
+  }
+
+  /**
+   * Decode a token without checking it
+   * @param {string} token - Native Auth token
+   * @returns {object} Token parts, or null if the token is malformed
+   */
+  decode(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [encodedAddress, encodedBody, signature] = parts;
+    const address = Buffer.from(encodedAddress, 'base64url').toString('utf8');
+    const body = Buffer.from(encodedBody, 'base64url').toString('utf8');
+
+    const bodyParts = body.split('.');
+    if (bodyParts.length !== 4 || !/^[a-f0-9]+$/i.test(signature)) {
+      return null;
+    }
+
+    const [encodedOrigin, blockHash, ttl, encodedExtraInfo] = bodyParts;
+    if (!/^[a-f0-9]{64}$/i.test(blockHash) || !/^\d+$/.test(ttl)) {
+      return null;
+    }
+
+    let extraInfo;
+    try {
+      extraInfo = JSON.parse(Buffer.from(encodedExtraInfo, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      address,
+      body,
+      origin: Buffer.from(encodedOrigin, 'base64url').toString('utf8'),
+      blockHash,
+      ttl: Number(ttl),
+      extraInfo,
+      signature
+    };
+  }
+
+  /**
+   * Check the wallet signature of a token
+   * @param {object} decoded - Decoded token
+   * @returns {boolean} True if the address signed the token
+   */
+  verifySignature(decoded) {
+    let publicKey;
+    try {
+      publicKey = new UserPublicKey(Address.fromBech32(decoded.address).pubkey());
+    } catch (error) {
+      return false;
+    }
+
+    const signature = Buffer.from(decoded.signature, 'hex');
+    // Older wallets signed the body followed by an empty JSON object
+    return [`${decoded.address}${decoded.body}`, `${decoded.address}${decoded.body}{}`].some(message => {
+      const signableMessage = new SignableMessage({ message: Buffer.from(message, 'utf8') });
+      return publicKey.verify(signableMessage.serializeForSigning(), signature);
+    });
+  }
+
+  /**
+   * Timestamp of the block a token was issued at
+   * @param {string} blockHash - Block hash
+   * @returns {number} Unix time in seconds, or null if the block is unknown
+   */
+  async getBlockTimestamp(blockHash) {
+    const key = `${BLOCK_KEY_PREFIX}${blockHash}`;
+    const cached = await cacheService.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    let block;
+    try {
+      block = await multiversXConfig.getNetworkProvider().doGetGeneric(`blocks/${blockHash}`);
+    } catch (error) {
+      // The provider wraps the axios error, which carries the HTTP status
+      const response = error.inner && error.inner.response;
+      if (response && response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!block || !block.timestamp) {
+      return null;
+    }
+
+    await cacheService.set(key, block.timestamp, config.nativeAuth.maxExpiry);
+    return block.timestamp;
+  }
+
+  /**
+   * Validate a token
+   * @param {string} token - Native Auth token
+   * @returns {object} { status: 'valid', session } or { status } with 'disabled', 'invalid',
+   * 'origin_not_accepted', 'ttl_too_long', 'expired' or 'unavailable'
+   */
+  async validate(token) {
+    if (!this.isEnabled()) {
+      return { status: 'disabled' };
+    }
+
+    const decoded = this.decode(token);
+    if (!decoded) {
+      return { status: 'invalid' };
+    }
+
+    if (!config.nativeAuth.acceptedOrigins.includes(decoded.origin)) {
+      return { status: 'origin_not_accepted' };
+    }
+
+    if (decoded.ttl > config.nativeAuth.maxExpiry) {
+      return { status: 'ttl_too_long' };
+    }
+
+    if (!this.verifySignature(decoded)) {
+      return { status: 'invalid' };
+    }
+
+    let issuedAt;
+    try {
+      issuedAt = await this.getBlockTimestamp(decoded.blockHash);
+    } catch (error) {
+      logger.logError(error, { operation: 'nativeAuthBlockTimestamp', blockHash: decoded.blockHash });
+      return { status: 'unavailable' };
+    }
+
+    if (!issuedAt) {
+      return { status: 'invalid' };
+    }
+
+    const expiresAt = issuedAt + decoded.ttl;
+    if (expiresAt <= Date.now() / 1000) {
+      return { status: 'expired' };
+    }
+
+    return {
+      status: 'valid',
+      session: {
+        address: decoded.address,
+        origin: decoded.origin,
+        issuedAt: new Date(issuedAt * 1000).toISOString(),
+        expiresAt: new Date(expiresAt * 1000).toISOString(),
+        extraInfo: decoded.extraInfo
+      }
+    };
+  }
+}
+
+// Singleton instance
+const nativeAuthService = new NativeAuthService();
+
+module.exports = nativeAuthService;
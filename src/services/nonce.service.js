@@ -0,0 +1,142 @@
+const { Address } = require('@multiversx/sdk-core');
+const multiversXConfig = require('../config/multiversx');
+const cacheService = require('./cache.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Drop expired and consumed reservations, then reserve the lowest run of
+// ARGV[5] free consecutive nonces from the account nonce (released nonces are
+// handed out again first)
+const RESERVE_SCRIPT = `
+local key = KEYS[1]
+local accountNonce = tonumber(ARGV[1])
+local count = tonumber(ARGV[5])
+redis.call('ZREMRANGEBYSCORE', key, '-inf', ARGV[2])
+for _, member in ipairs(redis.call('ZRANGE', key, 0, -1)) do
+  if tonumber(member) < accountNonce then
+    redis.call('ZREM', key, member)
+  end
+end
+local nonce = accountNonce
+local offset = 0
+while offset < count do
+  if redis.call('ZSCORE', key, tostring(nonce + offset)) then
+    nonce = nonce + offset + 1
+    offset = 0
+  else
+    offset = offset + 1
+  end
+end
+for i = 0, count - 1 do
+  redis.call('ZADD', key, ARGV[3], tostring(nonce + i))
+end
+redis.call('EXPIRE', key, ARGV[4])
+return nonce
+`;
+
+/**
+ * Nonce reservations per address, shared by every PM2 worker through Redis.
+ * Each prepared or sent transaction holds its nonce until it expires or the
+ * account nonce on the network passes it, so concurrent preparations get
+ * sequential nonces. Reservations are resynced with the account nonce on
+ * every call.
+ */
+class NonceService {
+  constructor() {
+    // Next nonce per address when Redis is unavailable (this worker only)
+    this.localNonces = new Map();
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.initialized = true;
+      logger.info('✅ Nonce service initialized successfully', { pendingTtl: config.nonce.pendingTtl });
+    } catch (error) {
+      logger.error('❌ Failed to initialize nonce service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reservations key of an address
+   * @param {string} address - Bech32 address
+   * @returns {string} Sorted set key (nonce members scored by expiry)
+   */
+  getKey(address) {
+    return `nonce:reserved:${address}`;
+  }
+
+  /**
+   * Get the account nonce of an address from the network
+   * @param {string} address - Bech32 address
+   * @returns {number} Account nonce
+   */
+  async getAccountNonce(address) {
+    const account = await multiversXConfig.getNetworkProvider().getAccount(Address.fromBech32(address));
+    return Number(account.nonce.valueOf());
+  }
+
+  /**
+   * Reserve the next nonce, or the next run of consecutive nonces, of an address
+   * @param {string} address - Bech32 address
+   * @param {number} ttl - Reservation lifetime in seconds (the lifetime of the prepared transaction)
+   * @param {number} count - Number of consecutive nonces
+   * @returns {number} First reserved nonce
+   */
+  async reserve(address, ttl, count = 1) {
+    const accountNonce = await this.getAccountNonce(address);
+    const now = Date.now();
+
+    const nonce = await cacheService.runScript(RESERVE_SCRIPT, [this.getKey(address)], [
+      accountNonce,
+      now,
+      now + ttl * 1000,
+      Math.max(ttl, config.nonce.pendingTtl),
+      count
+    ]);
+
+    if (nonce !== null) {
+      logger.debug('Nonce reserved', { address, nonce, count, accountNonce });
+      return nonce;
+    }
+
+    // Without Redis, only the transactions of this worker are accounted for
+    const localNonce = Math.max(accountNonce, this.localNonces.get(address) || 0);
+    this.localNonces.set(address, localNonce + count);
+    logger.warn('Nonce store unavailable, reserving from this worker only', { address, nonce: localNonce });
+
+    return localNonce;
+  }
+
+  /**
+   * Keep the nonce of a sent transaction reserved until the account nonce passes it
+   * @param {string} address - Bech32 address
+   * @param {number} nonce - Nonce of the sent transaction
+   */
+  async markSent(address, nonce) {
+    await cacheService.addToSortedSet(
+      this.getKey(address),
+      Date.now() + config.nonce.pendingTtl * 1000,
+      String(nonce),
+      config.nonce.pendingTtl
+    );
+  }
+
+  /**
+   * Release a nonce that will not be used, so it is handed out again
+   * @param {string} address - Bech32 address
+   * @param {number} nonce - Reserved nonce
+   */
+  async release(address, nonce) {
+    await cacheService.removeFromSortedSet(this.getKey(address), String(nonce));
+
+    // Resync with the account nonce on the next local reservation
+    this.localNonces.delete(address);
+  }
+}
+
+// Singleton instance
+const nonceService = new NonceService();
+
+module.exports = nonceService;
@@ -0,0 +1,226 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const COINGECKO_URL = 'https://api.coingecko.com/api/v3/simple/price';
+const COINGECKO_EGLD_ID = 'elrond-erd-2';
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Parse rates written as `usd=50,eur=45`
+ * @param {string} value - Rates
+ * @returns {object} Price per currency
+ */
+const parseRates = (value) => {
+  const rates = {};
+  for (const entry of (value || '').split(',')) {
+    const [currency, rate] = entry.split('=').map(part => part.trim());
+    if (currency && !isNaN(parseFloat(rate))) {
+      rates[currency.toLowerCase()] = parseFloat(rate);
+    }
+  }
+  return rates;
+};
+
+/**
+ * EGLD price providers. `fetchRates(currencies)` resolves
+ * { rates: { currency: price }, sourceTimestamp }; offline providers never go stale.
+ */
+const PROVIDERS = {
+  // Fixed rates from PRICE_STATIC_RATES, for tests and offline deployments
+  static: {
+    offline: true,
+    async fetchRates(currencies) {
+      const configured = parseRates(config.price.staticRates);
+      const rates = {};
+      for (const currency of currencies.filter(currency => configured[currency] !== undefined)) {
+        rates[currency] = configured[currency];
+      }
+      return { rates, sourceTimestamp: null };
+    }
+  },
+
+  coingecko: {
+    async fetchRates(currencies) {
+      const response = await axios.get(COINGECKO_URL, {
+        params: {
+          ids: COINGECKO_EGLD_ID,
+          vs_currencies: currencies.join(','),
+          include_last_updated_at: true
+        },
+        timeout: REQUEST_TIMEOUT
+      });
+
+      const quote = response.data[COINGECKO_EGLD_ID];
+      if (!quote) {
+        throw new Error('EGLD price missing from the CoinGecko response');
+      }
+
+      const rates = {};
+      for (const currency of currencies.filter(currency => typeof quote[currency] === 'number')) {
+        rates[currency] = quote[currency];
+      }
+      return { rates, sourceTimestamp: new Date(quote.last_updated_at * 1000).toISOString() };
+    }
+  },
+
+  // Economics of the MultiversX API (USD only)
+  multiversx: {
+    async fetchRates(currencies) {
+      const response = await axios.get(`${config.multiversx.apiUrl}/economics`, { timeout: REQUEST_TIMEOUT });
+
+      const rates = {};
+      if (currencies.includes('usd') && typeof response.data.price === 'number') {
+        rates.usd = response.data.price;
+      }
+      return { rates, sourceTimestamp: new Date().toISOString() };
+    }
+  }
+};
+
+/**
+ * Fiat pricing of EGLD amounts for cost estimates. Rates are cached for
+ * PRICE_CACHE_TTL; when the provider fails, the last rates are used until
+ * they are older than PRICE_MAX_AGE, then fiat amounts are omitted rather
+ * than estimated from an outdated price.
+ */
+class PriceService {
+  constructor() {
+    this.providers = { ...PROVIDERS };
+    // Last fetched quote: { provider, rates, sourceTimestamp, fetchedAt }
+    this.quote = null;
+    // Last provider failure: { provider, failedAt }, no new request is made for PRICE_CACHE_TTL
+    this.failure = null;
+    this.fetching = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.getProvider();
+      this.initialized = true;
+      logger.info('✅ Price service initialized successfully', {
+        provider: config.price.provider,
+        currencies: config.price.currencies
+      });
+    } catch (error) {
+      logger.error('❌ Failed to initialize price service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a price provider, selected with PRICE_PROVIDER
+   * @param {string} name - Provider name
+   * @param {object} provider - { fetchRates(currencies), offline }
+   */
+  registerProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  /**
+   * Get the configured price provider
+   * @returns {object} Price provider
+   */
+  getProvider() {
+    const provider = this.providers[config.price.provider];
+    if (!provider) {
+      throw new Error(`Unknown price provider: ${config.price.provider}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Whether a quote is too old to price an estimate
+   * @param {object} quote - Quote
+   * @returns {boolean} True if the quote must not be used
+   */
+  isStale(quote) {
+    if (this.getProvider().offline) {
+      return false;
+    }
+    const sourceTime = Date.parse(quote.sourceTimestamp || quote.fetchedAt);
+    return Date.now() - sourceTime > config.price.maxAge;
+  }
+
+  /**
+   * Get the current EGLD rates, from the cache or the provider
+   * @returns {object} Quote, or null if no fresh enough rates are available
+   */
+  async getQuote() {
+    const cached = this.quote && this.quote.provider === config.price.provider ? this.quote : null;
+    const failing = this.failure && this.failure.provider === config.price.provider &&
+      Date.now() - this.failure.failedAt <= config.price.cacheTtl;
+
+    if (!failing && (!cached || Date.now() - Date.parse(cached.fetchedAt) > config.price.cacheTtl)) {
+      // Concurrent estimates share a single provider request
+      if (!this.fetching) {
+        this.fetching = this.fetchQuote().finally(() => { this.fetching = null; });
+      }
+      await this.fetching;
+    }
+
+    const quote = this.quote && this.quote.provider === config.price.provider ? this.quote : null;
+    return quote && !this.isStale(quote) ? quote : null;
+  }
+
+  /**
+   * Fetch the rates from the provider (the previous quote is kept on failure,
+   * and the failure is remembered so an unreachable provider is not retried
+   * by every estimate)
+   */
+  async fetchQuote() {
+    try {
+      const { rates, sourceTimestamp } = await this.getProvider().fetchRates(config.price.currencies);
+      this.quote = {
+        provider: config.price.provider,
+        rates,
+        sourceTimestamp,
+        fetchedAt: new Date().toISOString()
+      };
+      this.failure = null;
+    } catch (error) {
+      this.failure = { provider: config.price.provider, failedAt: Date.now() };
+      logger.warn('Failed to fetch EGLD price', {
+        provider: config.price.provider,
+        error: error.message,
+        lastFetchedAt: this.quote ? this.quote.fetchedAt : null
+      });
+    }
+  }
+
+  /**
+   * Convert an EGLD amount to the configured currencies
+   * @param {number} egld - Amount in EGLD
+   * @returns {object} Amount per currency (null without a usable rate) and the pricing used
+   */
+  async convert(egld) {
+    const quote = await this.getQuote();
+    const amounts = {};
+
+    for (const currency of config.price.currencies) {
+      const rate = quote ? quote.rates[currency] : undefined;
+      amounts[currency] = rate === undefined ? null : (egld * rate).toFixed(6);
+    }
+
+    return {
+      ...amounts,
+      pricing: quote
+        ? {
+          provider: quote.provider,
+          rates: quote.rates,
+          sourceTimestamp: quote.sourceTimestamp,
+          fetchedAt: quote.fetchedAt
+        }
+        : {
+          provider: config.price.provider,
+          error: 'No EGLD price available within PRICE_MAX_AGE'
+        }
+    };
+  }
+}
+
+// Singleton instance
+const priceService = new PriceService();
+
+module.exports = priceService;
@@ -0,0 +1,275 @@
+const cacheService = require('./cache.service');
+const { GWEI_PER_EGLD } = require('./relayer.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Redis hash of quota overrides by tenant ID (never expires)
+const LIMITS_KEY = 'quotas:tenants';
+
+const METRICS = {
+  // Hashes timestamped, batched or prepared for signature
+  TIMESTAMPS: 'timestamps',
+  VERIFICATIONS: 'verifications',
+  // Relayed fees paid by the service wallet, counted in gwei and shown in EGLD
+  RELAYED_FEES: 'relayedFees'
+};
+
+const PERIODS = ['daily', 'monthly'];
+
+// Counters outlive their period so the previous month can still be billed
+const USAGE_RETENTION = 62 * 24 * 60 * 60;
+
+// Tenant of the operator keys, metered but only limited by its overrides
+const DEFAULT_TENANT = 'default';
+
+/**
+ * Quotas and usage metering per tenant. Every timestamp, verification and
+ * relayed fee is counted in Redis for the current UTC day and month, shared
+ * by every PM2 worker. Limits default to the QUOTA_* settings and can be
+ * overridden per tenant. Without Redis requests are served unmetered.
+ */
+class QuotaService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.initialized = true;
+      logger.info('✅ Quota service initialized successfully', { defaults: this.getDefaultLimits() });
+    } catch (error) {
+      logger.error('❌ Failed to initialize quota service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the counting window of a period
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {Date} date - Date within the window (now if omitted)
+   * @returns {object} Window ID, reset date and counter TTL in seconds
+   */
+  getWindow(period, date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const resetsAt = period === 'daily'
+      ? new Date(Date.UTC(year, month, date.getUTCDate() + 1))
+      : new Date(Date.UTC(year, month + 1, 1));
+
+    return {
+      id: date.toISOString().substring(0, period === 'daily' ? 10 : 7),
+      resetsAt: resetsAt.toISOString(),
+      ttl: Math.ceil((resetsAt.getTime() - Date.now()) / 1000) + USAGE_RETENTION
+    };
+  }
+
+  /**
+   * Get the usage counter key of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} metric - Metric name
+   * @param {string} windowId - Day (YYYY-MM-DD) or month (YYYY-MM)
+   * @returns {string} Counter key
+   */
+  getCounterKey(tenantId, metric, windowId) {
+    return `usage:${tenantId}:${metric}:${windowId}`;
+  }
+
+  /**
+   * Default limits of tenant keys (null: unlimited)
+   * @returns {object} Limits per metric and period, and maxBatchSize
+   */
+  getDefaultLimits() {
+    const quotas = config.quotas;
+
+    return {
+      [METRICS.TIMESTAMPS]: { daily: quotas.timestampsDaily, monthly: quotas.timestampsMonthly },
+      [METRICS.VERIFICATIONS]: { daily: quotas.verificationsDaily, monthly: quotas.verificationsMonthly },
+      [METRICS.RELAYED_FEES]: { daily: quotas.relayedFeesDaily, monthly: quotas.relayedFeesMonthly },
+      maxBatchSize: quotas.maxBatchSize
+    };
+  }
+
+  /**
+   * Get the limits of a tenant: its overrides on top of the defaults
+   * @param {string} tenantId - Tenant ID
+   * @returns {object} Limits per metric and period (relayed fees in EGLD), and maxBatchSize
+   */
+  async getLimits(tenantId) {
+    const defaults = tenantId === DEFAULT_TENANT
+      ? { [METRICS.TIMESTAMPS]: {}, [METRICS.VERIFICATIONS]: {}, [METRICS.RELAYED_FEES]: {}, maxBatchSize: null }
+      : this.getDefaultLimits();
+    const overrides = (await cacheService.getHashField(LIMITS_KEY, tenantId)) || {};
+
+    const limits = { maxBatchSize: overrides.maxBatchSize !== undefined ? overrides.maxBatchSize : defaults.maxBatchSize };
+    for (const metric of Object.values(METRICS)) {
+      limits[metric] = {};
+      for (const period of PERIODS) {
+        const override = overrides[metric] && overrides[metric][period];
+        limits[metric][period] = override !== undefined ? override : (defaults[metric][period] || null);
+      }
+    }
+
+    return limits;
+  }
+
+  /**
+   * Override the limits of a tenant (omitted limits keep their default, null is unlimited)
+   * @param {string} tenantId - Tenant ID
+   * @param {object} overrides - Limits per metric and period, and maxBatchSize
+   * @returns {object} Resulting limits
+   */
+  async setLimits(tenantId, overrides) {
+    const stored = await cacheService.setHashField(LIMITS_KEY, tenantId, overrides);
+    if (!stored) {
+      throw new Error('Quota store unavailable');
+    }
+
+    logger.info('Tenant quotas updated', { tenantId, overrides });
+    return this.getLimits(tenantId);
+  }
+
+  /**
+   * Drop the overrides of a tenant, back to the default limits
+   * @param {string} tenantId - Tenant ID
+   * @returns {object} Resulting limits
+   */
+  async resetLimits(tenantId) {
+    const deleted = await cacheService.deleteHashField(LIMITS_KEY, tenantId);
+    if (!deleted) {
+      throw new Error('Quota store unavailable');
+    }
+
+    logger.info('Tenant quotas reset', { tenantId });
+    return this.getLimits(tenantId);
+  }
+
+  /**
+   * Convert a limit to counter units (gwei for relayed fees)
+   * @param {string} metric - Metric name
+   * @param {number} limit - Limit
+   * @returns {number} Limit in counter units
+   */
+  toUnits(metric, limit) {
+    return metric === METRICS.RELAYED_FEES ? Math.round(limit * GWEI_PER_EGLD) : limit;
+  }
+
+  /**
+   * Describe the state of a window
+   * @param {string} metric - Metric name
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {number} limit - Limit (null: unlimited)
+   * @param {number} used - Consumption in counter units
+   * @param {string} resetsAt - End of the window
+   * @returns {object} Quota (relayed fees in EGLD)
+   */
+  toQuota(metric, period, limit, used, resetsAt) {
+    const remaining = limit === null ? null : Math.max(this.toUnits(metric, limit) - used, 0);
+    const format = value => (
+      metric === METRICS.RELAYED_FEES && value !== null ? (value / GWEI_PER_EGLD).toFixed(9) : value
+    );
+
+    return {
+      metric,
+      period,
+      limit: metric === METRICS.RELAYED_FEES && limit !== null ? limit.toFixed(9) : limit,
+      used: format(used),
+      remaining: format(remaining),
+      resetsAt
+    };
+  }
+
+  /**
+   * Consume quota of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} metric - Metric name
+   * @param {number} amount - Units consumed (hashes, verifications, or gwei of relayed fees)
+   * @returns {object} { status, quota }: status 'allowed', 'exceeded' (quota is the exceeded window)
+   * or 'batch_too_large' (with maxBatchSize); on 'allowed', quota is the window closest to its
+   * limit (null when Redis is unavailable)
+   */
+  async consume(tenantId, metric, amount) {
+    const limits = await this.getLimits(tenantId);
+
+    if (metric !== METRICS.RELAYED_FEES && limits.maxBatchSize && amount > limits.maxBatchSize) {
+      return { status: 'batch_too_large', maxBatchSize: limits.maxBatchSize };
+    }
+
+    const windows = [];
+    for (const period of PERIODS) {
+      const window = this.getWindow(period);
+      const used = await cacheService.increment(this.getCounterKey(tenantId, metric, window.id), amount, window.ttl);
+      if (used === null) {
+        // Fail open: metering must not take the service down with Redis
+        await this.release(tenantId, metric, amount, windows.map(counted => counted.period));
+        logger.warn('Quota store unavailable, request not metered', { tenantId, metric, amount });
+        return { status: 'allowed', quota: null };
+      }
+      windows.push({ period, used, limit: limits[metric][period], resetsAt: window.resetsAt });
+    }
+
+    const exceeded = windows.find(window => window.limit !== null && window.used > this.toUnits(metric, window.limit));
+    if (exceeded) {
+      await this.release(tenantId, metric, amount);
+      logger.warn('Tenant quota exceeded', { tenantId, metric, period: exceeded.period, limit: exceeded.limit });
+      return {
+        status: 'exceeded',
+        quota: this.toQuota(metric, exceeded.period, exceeded.limit, exceeded.used - amount, exceeded.resetsAt)
+      };
+    }
+
+    // Report the limited window with the least remaining, or the month when unlimited
+    const limited = windows.filter(window => window.limit !== null);
+    const closest = limited.length > 0
+      ? limited.reduce((a, b) => (
+        this.toUnits(metric, b.limit) - b.used < this.toUnits(metric, a.limit) - a.used ? b : a
+      ))
+      : windows[windows.length - 1];
+
+    return { status: 'allowed', quota: this.toQuota(metric, closest.period, closest.limit, closest.used, closest.resetsAt) };
+  }
+
+  /**
+   * Give back consumed quota (e.g. when the request failed). Counters that
+   * expired or were never created are left alone
+   * @param {string} tenantId - Tenant ID
+   * @param {string} metric - Metric name
+   * @param {number} amount - Units to give back
+   * @param {array} periods - Periods to give back to (all if omitted)
+   */
+  async release(tenantId, metric, amount, periods = PERIODS) {
+    for (const period of periods) {
+      const window = this.getWindow(period);
+      await cacheService.decrementExisting(this.getCounterKey(tenantId, metric, window.id), amount);
+    }
+  }
+
+  /**
+   * Get the consumption of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} month - Past month to report (YYYY-MM), current day and month if omitted
+   * @returns {object} Quotas per metric and period, and maxBatchSize
+   */
+  async getUsage(tenantId, month = null) {
+    const limits = await this.getLimits(tenantId);
+    const periods = month ? ['monthly'] : PERIODS;
+    const date = month ? new Date(`${month}-01T00:00:00Z`) : new Date();
+
+    const usage = { tenantId, month: date.toISOString().substring(0, 7), maxBatchSize: limits.maxBatchSize, metrics: {} };
+    for (const metric of Object.values(METRICS)) {
+      usage.metrics[metric] = {};
+      for (const period of periods) {
+        const window = this.getWindow(period, date);
+        const used = await cacheService.get(this.getCounterKey(tenantId, metric, window.id));
+        usage.metrics[metric][period] = this.toQuota(metric, period, limits[metric][period], Math.max(used || 0, 0), window.resetsAt);
+      }
+    }
+
+    return usage;
+  }
+}
+
+// Singleton instance
+const quotaService = new QuotaService();
+
+module.exports = quotaService;
+module.exports.METRICS = METRICS;
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const cacheService = require('./cache.service');
+const logger = require('../utils/logger');
+
+/**
+ * Lifecycle of a timestamp record
+ */
+const STATUS = {
+  QUEUED: 'queued',
+  PREPARED: 'prepared',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Durable timestamp registry.
+ *
+ * Records are appended as JSON lines to a log file (last write wins per dataHash),
+ * so proofs survive the Redis TTL. Redis is only used as a read-through cache.
+ * Every PM2 worker appends to the same file and picks up the lines written by the
+ * other workers on its next lookup.
+ */
+class RegistryService {
+  constructor() {
+    this.records = new Map();
+    this.transactionIndex = new Map();
+    this.filePath = null;
+    this.offset = 0;
+    this.pending = '';
+    // Reads and appends run one at a time: they share the offset and the pending line
+    this.queue = Promise.resolve();
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      await fs.promises.mkdir(config.registry.path, { recursive: true });
+      this.filePath = path.join(config.registry.path, 'timestamps.jsonl');
+
+      await this.refresh();
+
+      this.initialized = true;
+      logger.info('✅ Registry service initialized successfully', {
+        file: this.filePath,
+        records: this.records.size
+      });
+    } catch (error) {
+      logger.error('❌ Failed to initialize registry service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a task once the reads and appends already queued are done
+   * @param {function} task - Async task
+   * @returns {Promise} Result of the task
+   */
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the lines appended to the registry file since the last read
+   */
+  refresh() {
+    return this.serialize(() => this.readNewLines());
+  }
+
+  /**
+   * Read and index the lines appended since the last read (run through refresh only)
+   */
+  async readNewLines() {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    if (stats.size <= this.offset) {
+      return;
+    }
+
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const length = stats.size - this.offset;
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, this.offset);
+      this.offset = stats.size;
+
+      const lines = (this.pending + buffer.toString('utf8')).split('\n');
+      // Keep an incomplete trailing line until the writer finishes it
+      this.pending = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          this.index(JSON.parse(line));
+        } catch (parseError) {
+          logger.warn('Skipping corrupted registry line', { error: parseError.message });
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Add a record to the in-memory indexes
+   * @param {object} record - Registry record
+   */
+  index(record) {
+    this.records.set(record.dataHash, record);
+    if (record.transactionHash) {
+      this.transactionIndex.set(record.transactionHash, record.dataHash);
+    }
+  }
+
+  /**
+   * Create or update a timestamp record
+   * @param {string} dataHash - Data hash
+   * @param {object} changes - Fields to set on the record
+   * @returns {object} Stored record
+   */
+  async save(dataHash, changes = {}) {
+    const [record] = await this.saveMany([{ dataHash, changes }]);
+
+    logger.debug('Registry record saved', { dataHash, status: record.status });
+    return record;
+  }
+
+  /**
+   * Create or update several records with a single append (e.g. the leaves of a batch)
+   * @param {array} entries - { dataHash, changes } of each record
+   * @returns {array} Stored records
+   */
+  async saveMany(entries) {
+    if (!this.initialized) {
+      throw new Error('Registry service not initialized');
+    }
+
+    // Reading, merging and appending run as one task, so concurrent saves of a
+    // record each merge on top of the previous one
+    const records = await this.serialize(async () => {
+      await this.readNewLines();
+
+      const now = new Date().toISOString();
+      // Entries of the same record merge on top of each other
+      const latest = new Map();
+      const merged = entries.map(({ dataHash, changes = {} }) => {
+        const existing = latest.get(dataHash) || this.records.get(dataHash);
+        const record = {
+          ...(existing || { dataHash, createdAt: now, history: [] }),
+          ...changes,
+          dataHash,
+          updatedAt: now
+        };
+
+        if (changes.metadata && existing && existing.metadata) {
+          record.metadata = { ...existing.metadata, ...changes.metadata };
+        }
+
+        if (changes.status && (!existing || existing.status !== changes.status)) {
+          record.history = [...record.history, { status: changes.status, at: now }];
+        }
+
+        latest.set(dataHash, record);
+        return record;
+      });
+
+      await this.append(merged);
+      merged.forEach(record => this.index(record));
+      return merged;
+    });
+
+    await Promise.all(records.map(record => cacheService.cacheTimestamp(record.dataHash, record)));
+
+    return records;
+  }
+
+  /**
+   * Update the status of an existing record
+   * @param {string} dataHash - Data hash
+   * @param {string} status - New status
+   * @param {object} changes - Additional fields to set
+   * @returns {object} Stored record
+   */
+  async updateStatus(dataHash, status, changes = {}) {
+    return await this.save(dataHash, { ...changes, status });
+  }
+
+  /**
+   * Append records to the registry file, one line each (run through saveMany only)
+   * @param {array} records - Records to persist
+   */
+  async append(records) {
+    const lines = records.map(record => JSON.stringify(record) + '\n').join('');
+    await fs.promises.appendFile(this.filePath, lines, 'utf8');
+    // Our own lines are already indexed, skip them on the next refresh
+    if (this.pending === '') {
+      const stats = await fs.promises.stat(this.filePath);
+      if (stats.size === this.offset + Buffer.byteLength(lines)) {
+        this.offset = stats.size;
+      }
+    }
+  }
+
+  /**
+   * Find a record by data hash (Redis first, then the registry file)
+   * @param {string} dataHash - Data hash
+   * @returns {object} Record or null
+   */
+  async findByDataHash(dataHash) {
+    if (!this.initialized) {
+      throw new Error('Registry service not initialized');
+    }
+
+    const cached = await cacheService.getCachedTimestamp(dataHash);
+    if (cached && cached.status) {
+      return cached;
+    }
+
+    await this.refresh();
+
+    const record = this.records.get(dataHash) || null;
+    if (record) {
+      await cacheService.cacheTimestamp(dataHash, record);
+    }
+
+    return record;
+  }
+
+  /**
+   * Find a record by anchoring transaction hash
+   * @param {string} transactionHash - Transaction hash
+   * @returns {object} Record or null
+   */
+  async findByTransactionHash(transactionHash) {
+    if (!this.initialized) {
+      throw new Error('Registry service not initialized');
+    }
+
+    await this.refresh();
+
+    const dataHash = this.transactionIndex.get(transactionHash);
+    return dataHash ? this.findByDataHash(dataHash) : null;
+  }
+
+  /**
+   * List the wallet addresses that prepared or sent timestamp transactions
+   * @returns {array} Unique user addresses
+   */
+  async getUserAddresses() {
+    if (!this.initialized) {
+      throw new Error('Registry service not initialized');
+    }
+
+    await this.refresh();
+
+    const addresses = new Set();
+    for (const record of this.records.values()) {
+      if (record.userAddress) {
+        addresses.add(record.userAddress);
+      }
+    }
+
+    return [...addresses];
+  }
+
+  /**
+   * List the records matching a predicate
+   * @param {function} predicate - Filter applied to each record
+   * @returns {array} Matching records
+   */
+  async findAll(predicate) {
+    if (!this.initialized) {
+      throw new Error('Registry service not initialized');
+    }
+
+    await this.refresh();
+
+    return [...this.records.values()].filter(predicate);
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {object} Record counts per status
+   */
+  async getStats() {
+    if (!this.initialized) {
+      return { initialized: false, total: 0 };
+    }
+
+    await this.refresh();
+
+    const byStatus = {};
+    for (const record of this.records.values()) {
+      byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+    }
+
+    return {
+      initialized: true,
+      total: this.records.size,
+      byStatus
+    };
+  }
+
+  /**
+   * Wait for pending writes to reach the disk
+   */
+  async close() {
+    await this.queue;
+    logger.debug('Registry writes flushed');
+  }
+}
+
+// Singleton instance
+const registryService = new RegistryService();
+
+module.exports = registryService;
+module.exports.STATUS = STATUS;
@@ -0,0 +1,235 @@
+const multiversXConfig = require('../config/multiversx');
+const cacheService = require('./cache.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const RELAYED_V3_MIN_VERSION = 2;
+// Shards of the public networks (the relayer must be in the sender's shard)
+const NUM_SHARDS = 3;
+// Budgets are counted in gwei so Redis integer counters cannot overflow
+const GWEI_PER_EGLD = 1000000000;
+const WEI_PER_GWEI = BigInt(1000000000);
+
+/**
+ * Relayer for gasless transactions (MultiversX relayed transactions v3):
+ * the user signs a transaction naming the service wallet as relayer, the
+ * service co-signs it and pays the fee. Fees are charged to a budget per
+ * API key and period, stored in Redis.
+ */
+class RelayerService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      if (this.isEnabled()) {
+        logger.info('✅ Relayer service initialized successfully', {
+          relayer: this.getAddress(),
+          budget: config.relayer.budget,
+          budgetPeriod: config.relayer.budgetPeriod
+        });
+      } else {
+        logger.info('✅ Relayer service initialized successfully (disabled)');
+      }
+
+      this.initialized = true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize relayer service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the service relays (and pays for) user transactions
+   * @returns {boolean} True if relaying is enabled
+   */
+  isEnabled() {
+    return config.relayer.enabled;
+  }
+
+  /**
+   * Get the relayer address (the service wallet)
+   * @returns {string} Relayer bech32 address
+   */
+  getAddress() {
+    return multiversXConfig.getSigner().getAddress().bech32();
+  }
+
+  /**
+   * Compute the shard of an address
+   * @param {Address} address - Account address
+   * @returns {number} Shard ID
+   */
+  getShard(address) {
+    const pubkey = address.pubkey();
+    const lastByte = pubkey[pubkey.length - 1];
+    const shard = lastByte & 0b11;
+    return shard > NUM_SHARDS - 1 ? lastByte & 0b01 : shard;
+  }
+
+  /**
+   * Whether the relayer can relay the transactions of a sender
+   * @param {Address} sender - Sender address
+   * @returns {boolean} True if the sender is in the relayer shard
+   */
+  canRelay(sender) {
+    return this.getShard(sender) === this.getShard(multiversXConfig.getSigner().getAddress());
+  }
+
+  /**
+   * Turn an unsigned transaction into a relayed v3 transaction paid by the service
+   * @param {object} transaction - Unsigned plain transaction, its gas computed with the relayed option
+   * @returns {object} Transaction with the relayer set
+   */
+  toRelayed(transaction) {
+    return {
+      ...transaction,
+      version: Math.max(transaction.version, RELAYED_V3_MIN_VERSION),
+      relayer: this.getAddress()
+    };
+  }
+
+  /**
+   * Serialize a relayed transaction for signing (signed alike by the sender and the relayer)
+   * @param {Transaction} transaction - Transaction without the relayer field
+   * @param {string} relayer - Relayer bech32 address
+   * @returns {Buffer} Bytes to sign
+   */
+  serializeForSigning(transaction, relayer) {
+    const plain = transaction.toPlainObject();
+    delete plain.signature;
+    delete plain.guardianSignature;
+    plain.relayer = relayer;
+    return Buffer.from(JSON.stringify(plain));
+  }
+
+  /**
+   * Co-sign a user-signed transaction as relayer and send it
+   * @param {Transaction} transaction - Transaction signed by the sender
+   * @returns {string} Transaction hash
+   */
+  async broadcast(transaction) {
+    const relayer = this.getAddress();
+    const bytes = this.serializeForSigning(transaction, relayer);
+
+    let relayerSignature = null;
+    await multiversXConfig.getSigner().sign({
+      serializeForSigning: () => bytes,
+      applySignature: signature => { relayerSignature = signature.hex(); }
+    });
+
+    const networkProvider = multiversXConfig.getNetworkProvider();
+    const response = await networkProvider.doPostGeneric('transactions', {
+      ...transaction.toPlainObject(),
+      relayer,
+      relayerSignature
+    });
+
+    return response.txHash;
+  }
+
+  /**
+   * Maximum fee of a transaction, in gwei
+   * @param {object} transaction - Plain transaction
+   * @returns {number} Fee in gwei (rounded up)
+   */
+  getFee(transaction) {
+    const fee = BigInt(transaction.gasLimit) * BigInt(transaction.gasPrice);
+    return Number((fee + WEI_PER_GWEI - BigInt(1)) / WEI_PER_GWEI);
+  }
+
+  /**
+   * Get the budget counter of an API key for the current period
+   * @param {string} apiKeyId - API key identifier
+   * @returns {object} Counter key, TTL in seconds and reset date
+   */
+  getBudgetWindow(apiKeyId) {
+    const period = config.relayer.budgetPeriod;
+    const window = Math.floor(Date.now() / 1000 / period);
+
+    return {
+      key: `relayer:budget:${apiKeyId}:${window}`,
+      ttl: period,
+      resetsAt: new Date((window + 1) * period * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Get the budget of an API key for the current period
+   * @param {string} apiKeyId - API key identifier
+   * @param {number} spent - Spent amount in gwei (read from Redis if omitted)
+   * @returns {object} Limit, spent and remaining amounts in EGLD
+   */
+  async getBudget(apiKeyId, spent = null) {
+    const { key, resetsAt } = this.getBudgetWindow(apiKeyId);
+    const limit = Math.round(parseFloat(config.relayer.budget) * GWEI_PER_EGLD);
+    const used = spent === null ? (await cacheService.get(key)) || 0 : spent;
+
+    return {
+      limit: (limit / GWEI_PER_EGLD).toFixed(9),
+      spent: (used / GWEI_PER_EGLD).toFixed(9),
+      remaining: (Math.max(limit - used, 0) / GWEI_PER_EGLD).toFixed(9),
+      period: config.relayer.budgetPeriod,
+      resetsAt
+    };
+  }
+
+  /**
+   * Whether the remaining budget of an API key covers one or several transactions
+   * @param {string} apiKeyId - API key identifier
+   * @param {object|array} transactions - Plain transaction(s)
+   * @returns {object} { allowed, budget }
+   */
+  async checkBudget(apiKeyId, transactions) {
+    const budget = await this.getBudget(apiKeyId);
+    const remaining = Math.round(parseFloat(budget.remaining) * GWEI_PER_EGLD);
+    const fee = [].concat(transactions).reduce((total, transaction) => total + this.getFee(transaction), 0);
+
+    return { allowed: remaining >= fee, budget };
+  }
+
+  /**
+   * Charge the maximum fee of a transaction to the budget of an API key
+   * @param {string} apiKeyId - API key identifier
+   * @param {object} transaction - Plain transaction
+   * @returns {object} { charged, budget }, nothing is charged when the budget is exceeded
+   */
+  async charge(apiKeyId, transaction) {
+    const { key, ttl } = this.getBudgetWindow(apiKeyId);
+    const fee = this.getFee(transaction);
+    const limit = Math.round(parseFloat(config.relayer.budget) * GWEI_PER_EGLD);
+
+    // Fail closed: without Redis the spend could not be limited
+    const spent = await cacheService.increment(key, fee, ttl);
+    if (spent === null) {
+      throw new Error('Relayer budget store unavailable');
+    }
+
+    if (spent > limit) {
+      // An expired counter is not recreated without a TTL
+      const restored = await cacheService.decrementExisting(key, fee);
+      return { charged: false, budget: await this.getBudget(apiKeyId, restored === null ? spent - fee : restored) };
+    }
+
+    logger.info('Relayer budget charged', { apiKeyId, fee, spent });
+
+    return { charged: true, budget: await this.getBudget(apiKeyId, spent) };
+  }
+
+  /**
+   * Give back a charged fee (e.g. when the transaction could not be sent)
+   * @param {string} apiKeyId - API key identifier
+   * @param {object} transaction - Plain transaction
+   */
+  async refund(apiKeyId, transaction) {
+    const { key } = this.getBudgetWindow(apiKeyId);
+    await cacheService.decrementExisting(key, this.getFee(transaction));
+  }
+}
+
+// Singleton instance
+const relayerService = new RelayerService();
+
+module.exports = relayerService;
+module.exports.GWEI_PER_EGLD = GWEI_PER_EGLD;
@@ -0,0 +1,366 @@
+const multiversXConfig = require('../config/multiversx');
+const blockchainService = require('./blockchain.service');
+const registryService = require('./registry.service');
+const nonceService = require('./nonce.service');
+const webhookService = require('./webhook.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const { CONFIRMATION_LEVELS } = blockchainService;
+
+/**
+ * Confirmation tracker: registry records carrying a transaction hash are polled
+ * with exponential backoff until the transaction fails or is finalized.
+ * The registry is shared by every PM2 worker, so transactions registered on
+ * any instance are picked up by the tracker of instance 0.
+ */
+class TrackerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    // Polling state per data hash: { transactionHash, attempts, nextCheckAt }
+    this.schedule = new Map();
+    this.initialized = false;
+    this.stats = {
+      confirmed: 0,
+      finalized: 0,
+      failed: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+  }
+
+  async initialize() {
+    try {
+      this.initialized = true;
+      logger.info('✅ Tracker service initialized successfully', {
+        interval: config.tracker.interval,
+        maxBackoff: config.tracker.maxBackoff
+      });
+    } catch (error) {
+      logger.error('❌ Failed to initialize tracker service:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling tracked transactions (only on the first PM2 instance)
+   */
+  start() {
+    if (!config.tracker.enabled) {
+      logger.info('Confirmation tracker disabled (set TRACKER_ENABLED=true to enable)');
+      return;
+    }
+
+    if (process.env.INSTANCE_ID && process.env.INSTANCE_ID !== '0') {
+      logger.info('Confirmation tracker runs on instance 0 only', { instance: process.env.INSTANCE_ID });
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), config.tracker.interval);
+    setImmediate(() => this.run());
+
+    logger.info('Confirmation tracker started', { interval: config.tracker.interval });
+  }
+
+  /**
+   * Stop polling (tracked records are picked up again on the next start)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Confirmation tracker stopped');
+    }
+  }
+
+  /**
+   * Delay before the next poll of a transaction
+   * @param {number} attempts - Polls already made
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoff(attempts) {
+    return Math.min(config.tracker.interval * Math.pow(2, attempts), config.tracker.maxBackoff);
+  }
+
+  /**
+   * Poll every tracked transaction that is due
+   */
+  async run() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+
+    try {
+      const pending = await registryService.findAll(record => this.isTracked(record));
+
+      // Forget transactions resolved elsewhere (e.g. by a verification or the indexer)
+      const pendingHashes = new Set(pending.map(record => record.dataHash));
+      for (const dataHash of this.schedule.keys()) {
+        if (!pendingHashes.has(dataHash)) {
+          this.schedule.delete(dataHash);
+        }
+      }
+
+      let checked = 0;
+      for (const record of pending) {
+        const transactionHash = this.getTrackedHash(record);
+        let entry = this.schedule.get(record.dataHash);
+        // A new transaction hash (e.g. re-sent after a failure) restarts the backoff
+        if (!entry || entry.transactionHash !== transactionHash) {
+          entry = { transactionHash, attempts: 0, nextCheckAt: 0 };
+          this.schedule.set(record.dataHash, entry);
+        }
+
+        if (entry.nextCheckAt > Date.now()) {
+          continue;
+        }
+
+        const resolved = await this.check(record);
+        checked++;
+
+        if (resolved) {
+          this.schedule.delete(record.dataHash);
+        } else {
+          entry.attempts++;
+          entry.nextCheckAt = Date.now() + this.getBackoff(entry.attempts);
+        }
+      }
+
+      this.stats.lastRunAt = new Date().toISOString();
+      this.stats.lastError = null;
+
+      if (checked > 0) {
+        logger.logPerformance('trackerRun', Date.now() - startTime, { pending: pending.length, checked });
+      }
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.logError(error, { operation: 'trackerRun' });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Hash of the transaction polled for a record: the registered one while it
+   * is not verified yet, then the anchoring transaction
+   * @param {object} record - Registry record
+   * @returns {string} Transaction hash
+   */
+  getTrackedHash(record) {
+    return (record.pendingVerification && record.pendingVerification.transactionHash) || record.transactionHash;
+  }
+
+  /**
+   * Whether a record is followed by the tracker: registrations waiting for
+   * their transaction, pending transactions, and confirmed ones until they
+   * are finalized (batch leaves follow their root)
+   * @param {object} record - Registry record
+   * @returns {boolean} True if the record is tracked
+   */
+  isTracked(record) {
+    if (record.pendingVerification) {
+      return true;
+    }
+
+    if (!record.transactionHash) {
+      return false;
+    }
+
+    if (record.status === registryService.STATUS.PENDING) {
+      return true;
+    }
+
+    return record.status === registryService.STATUS.CONFIRMED &&
+      !record.merkle &&
+      !!record.confirmationLevel &&
+      record.confirmationLevel !== CONFIRMATION_LEVELS.FINALIZED;
+  }
+
+  /**
+   * Poll the transaction of a tracked record and record its progress
+   * @param {object} record - Tracked registry record
+   * @returns {boolean} True once the transaction is finalized or failed
+   */
+  async check(record) {
+    const { dataHash } = record;
+    const transactionHash = this.getTrackedHash(record);
+    const networkProvider = multiversXConfig.getNetworkProvider();
+
+    let transactionOnNetwork = null;
+    try {
+      transactionOnNetwork = await networkProvider.getTransaction(transactionHash);
+    } catch (networkError) {
+      logger.debug('Tracked transaction not found on network yet', { transactionHash, error: networkError.message });
+    }
+
+    const verification = record.pendingVerification;
+
+    if (!transactionOnNetwork) {
+      const submittedAt = Date.parse((verification && verification.submittedAt) || record.submittedAt || record.updatedAt);
+      if ((verification || record.status === registryService.STATUS.PENDING) && Date.now() - submittedAt > config.tracker.maxAge) {
+        await this.resolve(record, registryService.STATUS.FAILED, {
+          ...(verification && { transactionHash, callbackUrl: verification.callbackUrl }),
+          error: { code: 'TX_NOT_FOUND', message: 'Transaction never reached the network' },
+          pendingVerification: undefined
+        }, 'failed');
+        return true;
+      }
+      return false;
+    }
+
+    // Registrations accepted before the transaction reached the network are checked now
+    if (verification) {
+      const mismatch = blockchainService.checkAnchorTransaction(transactionOnNetwork, {
+        sender: verification.sender,
+        receiver: verification.receiver,
+        dataHash
+      });
+      if (mismatch) {
+        await this.resolve(record, registryService.STATUS.FAILED, {
+          ...(verification.transactionHash && { transactionHash, callbackUrl: verification.callbackUrl }),
+          networkStatus: transactionOnNetwork.status.toString(),
+          error: mismatch,
+          pendingVerification: undefined
+        }, 'failed');
+        return true;
+      }
+
+      if (verification.transactionHash) {
+        // The wallet sent the transaction: its nonce stays reserved until the account nonce passes it
+        await nonceService.markSent(verification.sender, transactionOnNetwork.nonce);
+
+        record = await registryService.updateStatus(dataHash, registryService.STATUS.PENDING, {
+          transactionHash,
+          userAddress: verification.sender,
+          callbackUrl: verification.callbackUrl,
+          submittedAt: verification.submittedAt,
+          confirmationLevel: CONFIRMATION_LEVELS.SUBMITTED,
+          pendingVerification: undefined
+        });
+      }
+    }
+
+    const status = blockchainService.toRegistryStatus(transactionOnNetwork.status);
+    if (status === registryService.STATUS.PENDING) {
+      return false;
+    }
+
+    const changes = {
+      blockNumber: transactionOnNetwork.blockNonce,
+      blockTimestamp: new Date(transactionOnNetwork.timestamp * 1000).toISOString(),
+      explorerUrl: multiversXConfig.getExplorerUrl(transactionHash),
+      networkStatus: transactionOnNetwork.status.toString(),
+      pendingVerification: undefined,
+      ...(await blockchainService.getConfirmation(transactionOnNetwork))
+    };
+
+    if (status === registryService.STATUS.FAILED) {
+      await this.resolve(record, status, {
+        ...changes,
+        error: { code: 'TX_NOT_SUCCESSFUL', message: 'Transaction failed on the network' }
+      }, 'failed');
+      return true;
+    }
+
+    const finalized = changes.confirmationLevel === CONFIRMATION_LEVELS.FINALIZED;
+
+    if (record.status === registryService.STATUS.PENDING) {
+      await this.resolve(record, status, changes, 'confirmed');
+    } else if (changes.confirmationLevel !== record.confirmationLevel) {
+      await this.resolve(record, status, changes, finalized ? 'finalized' : null);
+    }
+
+    return finalized;
+  }
+
+  /**
+   * Record the progress of a transaction, propagate it to the leaves of a
+   * Merkle root and notify the submitters
+   * @param {object} record - Tracked registry record
+   * @param {string} status - New registry status
+   * @param {object} changes - Fields to record
+   * @param {string} event - Webhook to send (confirmed, finalized, failed), none if null
+   */
+  async resolve(record, status, changes, event) {
+    const updated = await registryService.updateStatus(record.dataHash, status, changes);
+    const notified = [updated];
+
+    if (record.batch) {
+      // Leaves anchored by another transaction keep their own anchor
+      const leaves = await registryService.findAll(
+        leaf => leaf.merkle && leaf.merkle.root === record.dataHash &&
+          (leaf.status !== registryService.STATUS.CONFIRMED || leaf.transactionHash === updated.transactionHash)
+      );
+      for (const leaf of leaves) {
+        notified.push(await registryService.updateStatus(leaf.dataHash, status, {
+          transactionHash: updated.transactionHash,
+          blockNumber: updated.blockNumber,
+          blockTimestamp: updated.blockTimestamp,
+          explorerUrl: updated.explorerUrl,
+          confirmationLevel: updated.confirmationLevel,
+          hyperblockNonce: updated.hyperblockNonce,
+          hyperblockHash: updated.hyperblockHash,
+          finalNonce: updated.finalNonce,
+          error: updated.error
+        }));
+      }
+    }
+
+    if (event) {
+      this.stats[event]++;
+    }
+
+    logger.info('Tracked transaction updated', {
+      dataHash: record.dataHash,
+      transactionHash: record.transactionHash,
+      status,
+      confirmationLevel: updated.confirmationLevel,
+      leaves: notified.length - 1
+    });
+
+    if (!event) {
+      return;
+    }
+
+    for (const resolved of notified.filter(item => item.callbackUrl)) {
+      try {
+        if (event === 'confirmed') {
+          await webhookService.notifyTimestampConfirmed(resolved.callbackUrl, resolved);
+        } else if (event === 'finalized') {
+          await webhookService.notifyTimestampFinalized(resolved.callbackUrl, resolved);
+        } else {
+          await webhookService.notifyTimestampFailed(resolved.callbackUrl, resolved);
+        }
+      } catch (webhookError) {
+        logger.error('Tracker webhook notification failed', {
+          callbackUrl: resolved.callbackUrl,
+          dataHash: resolved.dataHash,
+          event,
+          error: webhookError.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Get tracker statistics
+   * @returns {object} Tracked transactions and outcomes
+   */
+  getStats() {
+    return {
+      enabled: config.tracker.enabled,
+      running: !!this.timer,
+      tracked: this.schedule.size,
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+const trackerService = new TrackerService();
+
+module.exports = trackerService;
@@ -81,6 +81,81 @@ class WebhookService {
     return await this.sendWebhook(webhookUrl, data);
   }
 
+  /**
+   * Send timestamp confirmed notification (transaction successful on-chain)
+   * @param {string} webhookUrl - Webhook URL
+   * @param {object} record - Registry record of the timestamp
+   */
+  async notifyTimestampConfirmed(webhookUrl, record) {
+    const data = {
+      event: 'timestamp.confirmed',
+      data: {
+        dataHash: record.dataHash,
+        transactionHash: record.transactionHash,
+        status: record.status,
+        blockNumber: record.blockNumber,
+        blockTimestamp: record.blockTimestamp,
+        confirmationLevel: record.confirmationLevel,
+        hyperblockNonce: record.hyperblockNonce,
+        hyperblockHash: record.hyperblockHash,
+        explorerUrl: record.explorerUrl,
+        merkleRoot: record.merkle ? record.merkle.root : undefined,
+        metadata: record.metadata
+      }
+    };
+
+    return await this.sendWebhook(webhookUrl, data);
+  }
+
+  /**
+   * Send timestamp finalized notification (notarizing hyperblock is final)
+   * @param {string} webhookUrl - Webhook URL
+   * @param {object} record - Registry record of the timestamp
+   */
+  async notifyTimestampFinalized(webhookUrl, record) {
+    const data = {
+      event: 'timestamp.finalized',
+      data: {
+        dataHash: record.dataHash,
+        transactionHash: record.transactionHash,
+        status: record.status,
+        blockNumber: record.blockNumber,
+        blockTimestamp: record.blockTimestamp,
+        confirmationLevel: record.confirmationLevel,
+        hyperblockNonce: record.hyperblockNonce,
+        hyperblockHash: record.hyperblockHash,
+        finalNonce: record.finalNonce,
+        explorerUrl: record.explorerUrl,
+        merkleRoot: record.merkle ? record.merkle.root : undefined,
+        metadata: record.metadata
+      }
+    };
+
+    return await this.sendWebhook(webhookUrl, data);
+  }
+
+  /**
+   * Send timestamp failed notification (transaction failed, rejected or dropped)
+   * @param {string} webhookUrl - Webhook URL
+   * @param {object} record - Registry record of the timestamp
+   */
+  async notifyTimestampFailed(webhookUrl, record) {
+    const data = {
+      event: 'timestamp.failed',
+      data: {
+        dataHash: record.dataHash,
+        transactionHash: record.transactionHash,
+        status: record.status,
+        error: record.error,
+        explorerUrl: record.explorerUrl,
+        merkleRoot: record.merkle ? record.merkle.root : undefined,
+        metadata: record.metadata
+      }
+    };
+
+    return await this.sendWebhook(webhookUrl, data);
+  }
+
   /**
    * Send verification completed notification
    * @param {string} webhookUrl - Webhook URL
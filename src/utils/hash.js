@@ -1,22 +1,227 @@
 const crypto = require('crypto');
 
+/**
+ * Versioned serialization of objects before hashing, recorded with each proof
+ */
+const HASH_SCHEMES = {
+  // JSON.stringify with the sorted top-level keys as replacer (drops nested fields)
+  LEGACY: 'v1',
+  // RFC 8785 JSON Canonicalization Scheme
+  JCS: 'v2'
+};
+
+/**
+ * Supported digest algorithms, keyed by multihash name
+ * (code: multicodec identifier, length: digest size in bytes)
+ */
+const HASH_ALGORITHMS = {
+  'sha256': { nodeName: 'sha256', code: 0x12, length: 32 },
+  'sha512': { nodeName: 'sha512', code: 0x13, length: 64 },
+  'sha3-256': { nodeName: 'sha3-256', code: 0x16, length: 32 },
+  'blake2b-512': { nodeName: 'blake2b512', code: 0xb240, length: 64 }
+};
+
+// Hex digest of any supported algorithm
+const DIGEST_LENGTHS = [...new Set(Object.values(HASH_ALGORITHMS).map(algorithm => algorithm.length * 2))];
+const DIGEST_PATTERN = new RegExp(`^(${DIGEST_LENGTHS.map(length => `[a-f0-9]{${length}}`).join('|')})$`, 'i');
+
 class HashUtils {
   /**
    * Generate SHA256 hash of data
    * @param {string|object} data - Data to hash
+   * @param {string} scheme - Hash scheme used to serialize objects (default: legacy)
    * @returns {string} SHA256 hash
    */
-  static sha256(data) {
-    let dataString;
+  static sha256(data, scheme = HASH_SCHEMES.LEGACY) {
+    return this.hash(data, 'sha256', scheme);
+  }
+
+  /**
+   * Generate the digest of data with a supported algorithm
+   * @param {string|object} data - Data to hash
+   * @param {string} algorithm - Algorithm name (sha256, sha512, sha3-256, blake2b-512)
+   * @param {string} scheme - Hash scheme used to serialize objects (default: legacy)
+   * @returns {string} Hex digest
+   */
+  static hash(data, algorithm = 'sha256', scheme = HASH_SCHEMES.LEGACY) {
+    const { nodeName } = this.getAlgorithm(algorithm);
+    const dataString = this.serialize(data, scheme);
     
-    if (typeof data === 'object') {
-      // Sort object keys for consistent hashing
-      dataString = JSON.stringify(data, Object.keys(data).sort());
-    } else {
-      dataString = String(data);
+    return crypto.createHash(nodeName).update(dataString, 'utf8').digest('hex');
+  }
+
+  /**
+   * Get the definition of a supported algorithm
+   * @param {string} algorithm - Algorithm name
+   * @returns {object} Algorithm definition
+   */
+  static getAlgorithm(algorithm) {
+    const definition = HASH_ALGORITHMS[algorithm];
+    if (!definition) {
+      throw new Error(`Unsupported hash algorithm: ${algorithm}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Encode a digest as a self-describing multihash (<code><length><digest>)
+   * @param {string} digest - Hex digest
+   * @param {string} algorithm - Algorithm name
+   * @returns {string} Hex-encoded multihash
+   */
+  static toMultihash(digest, algorithm = 'sha256') {
+    const { code, length } = this.getAlgorithm(algorithm);
+    const bytes = Buffer.from(digest, 'hex');
+    
+    if (bytes.length !== length) {
+      throw new Error(`Invalid ${algorithm} digest length: ${bytes.length} bytes`);
+    }
+    
+    return Buffer.concat([this.encodeVarint(code), this.encodeVarint(length), bytes]).toString('hex');
+  }
+
+  /**
+   * Decode a hex-encoded multihash
+   * @param {string} multihash - Hex-encoded multihash
+   * @returns {object} Algorithm name and hex digest
+   */
+  static fromMultihash(multihash) {
+    const bytes = Buffer.from(multihash, 'hex');
+    const code = this.decodeVarint(bytes, 0);
+    const length = this.decodeVarint(bytes, code.next);
+    const digest = bytes.slice(length.next);
+    
+    const algorithm = Object.keys(HASH_ALGORITHMS).find(name => HASH_ALGORITHMS[name].code === code.value);
+    if (!algorithm) {
+      throw new Error(`Unsupported multihash code: 0x${code.value.toString(16)}`);
+    }
+    if (digest.length !== length.value || length.value !== HASH_ALGORITHMS[algorithm].length) {
+      throw new Error('Invalid multihash digest length');
+    }
+    
+    return { algorithm, digest: digest.toString('hex') };
+  }
+
+  /**
+   * Encode an unsigned integer as an unsigned varint (LEB128)
+   * @param {number} value - Integer to encode
+   * @returns {Buffer} Encoded bytes
+   */
+  static encodeVarint(value) {
+    const bytes = [];
+    let remaining = value;
+    
+    do {
+      let byte = remaining & 0x7f;
+      remaining >>>= 7;
+      if (remaining > 0) {
+        byte |= 0x80;
+      }
+      bytes.push(byte);
+    } while (remaining > 0);
+    
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Decode an unsigned varint (LEB128)
+   * @param {Buffer} bytes - Encoded bytes
+   * @param {number} offset - Position of the first byte
+   * @returns {object} Decoded value and the position following it
+   */
+  static decodeVarint(bytes, offset) {
+    let value = 0;
+    let shift = 0;
+    let position = offset;
+    
+    while (position < bytes.length) {
+      const byte = bytes[position++];
+      value += (byte & 0x7f) * Math.pow(2, shift);
+      if ((byte & 0x80) === 0) {
+        return { value, next: position };
+      }
+      shift += 7;
+    }
+    
+    throw new Error('Truncated varint');
+  }
+
+  /**
+   * Serialize data the way a hash scheme hashes it
+   * @param {string|object} data - Data to serialize
+   * @param {string} scheme - Hash scheme
+   * @returns {string} Serialized data
+   */
+  static serialize(data, scheme = HASH_SCHEMES.LEGACY) {
+    if (typeof data !== 'object') {
+      return String(data);
     }
     
-    return crypto.createHash('sha256').update(dataString, 'utf8').digest('hex');
+    switch (scheme) {
+      case HASH_SCHEMES.JCS:
+        return this.canonicalize(data);
+      case HASH_SCHEMES.LEGACY:
+        // Sort object keys for consistent hashing
+        return JSON.stringify(data, Object.keys(data).sort());
+      default:
+        throw new Error(`Unsupported hash scheme: ${scheme}`);
+    }
+  }
+
+  /**
+   * Canonical JSON serialization (RFC 8785): keys sorted by UTF-16 code units
+   * at every level, no whitespace, ECMAScript number and string formatting
+   * @param {*} value - JSON value
+   * @returns {string} Canonical JSON
+   */
+  static canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      if (typeof value === 'number' && !Number.isFinite(value)) {
+        throw new Error('Cannot canonicalize a non-finite number');
+      }
+      return JSON.stringify(value);
+    }
+    
+    if (typeof value.toJSON === 'function') {
+      return this.canonicalize(value.toJSON());
+    }
+    
+    if (Array.isArray(value)) {
+      const items = value.map(item => (
+        item === undefined || typeof item === 'function' ? 'null' : this.canonicalize(item)
+      ));
+      return `[${items.join(',')}]`;
+    }
+    
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+    
+    return `{${members.join(',')}}`;
+  }
+
+  /**
+   * Compute the hash of data under each hash scheme (objects only differ between
+   * schemes) and algorithm, so data timestamped with an older scheme stays verifiable
+   * @param {string|object} data - Data to hash
+   * @param {array} schemes - Hash schemes, in order of preference
+   * @param {array} algorithms - Algorithm names, in order of preference
+   * @returns {array} Unique { hashScheme, algorithm, dataHash } candidates
+   */
+  static hashCandidates(data, schemes = Object.values(HASH_SCHEMES), algorithms = ['sha256']) {
+    const candidates = [];
+    
+    for (const algorithm of new Set(algorithms)) {
+      for (const hashScheme of new Set(schemes)) {
+        const dataHash = this.hash(data, algorithm, hashScheme);
+        if (!candidates.some(candidate => candidate.dataHash === dataHash)) {
+          candidates.push({ hashScheme, algorithm, dataHash });
+        }
+      }
+    }
+    
+    return candidates;
   }
 
   /**
@@ -102,6 +307,21 @@ class HashUtils {
     return /^[a-f0-9]{64}$/i.test(hash);
   }
 
+  /**
+   * Validate if a string is a hex digest of a supported algorithm
+   * @param {string} hash - Hash to validate
+   * @param {string} algorithm - Expected algorithm (any supported length if omitted)
+   * @returns {boolean} True if valid digest
+   */
+  static isValidDigest(hash, algorithm = null) {
+    if (!algorithm) {
+      return DIGEST_PATTERN.test(hash);
+    }
+    
+    const definition = HASH_ALGORITHMS[algorithm];
+    return !!definition && new RegExp(`^[a-f0-9]{${definition.length * 2}}$`, 'i').test(hash);
+  }
+
   /**
    * Validate if a string is a valid transaction hash (MultiversX format)
    * @param {string} hash - Transaction hash to validate
@@ -112,4 +332,7 @@ class HashUtils {
   }
 }
 
-module.exports = HashUtils;
\ No newline at end of file
+module.exports = HashUtils;
+module.exports.HASH_SCHEMES = HASH_SCHEMES;
+module.exports.HASH_ALGORITHMS = HASH_ALGORITHMS;
+module.exports.DIGEST_PATTERN = DIGEST_PATTERN;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+// Domain separation prefixes (RFC 6962) so a leaf can never be passed off as an inner node
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+class MerkleUtils {
+  /**
+   * Hash a leaf (hex digest) of the tree
+   * @param {string} leaf - Hex-encoded data hash
+   * @returns {string} Hex-encoded leaf hash
+   */
+  static hashLeaf(leaf) {
+    return crypto.createHash('sha256')
+      .update(Buffer.concat([LEAF_PREFIX, Buffer.from(leaf, 'hex')]))
+      .digest('hex');
+  }
+
+  /**
+   * Hash two child nodes
+   * @param {string} left - Hex-encoded left node
+   * @param {string} right - Hex-encoded right node
+   * @returns {string} Hex-encoded parent node
+   */
+  static hashNode(left, right) {
+    return crypto.createHash('sha256')
+      .update(Buffer.concat([NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]))
+      .digest('hex');
+  }
+
+  /**
+   * Build a Merkle tree from a list of data hashes
+   * An unpaired node is promoted to the next level unchanged.
+   * @param {array} leaves - Hex-encoded data hashes
+   * @returns {object} Tree with root and levels (levels[0] holds the hashed leaves)
+   */
+  static buildTree(leaves) {
+    if (!Array.isArray(leaves) || leaves.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const levels = [leaves.map(leaf => this.hashLeaf(leaf.toLowerCase()))];
+
+    while (levels[levels.length - 1].length > 1) {
+      const current = levels[levels.length - 1];
+      const next = [];
+
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length ? this.hashNode(current[i], current[i + 1]) : current[i]);
+      }
+
+      levels.push(next);
+    }
+
+    return {
+      root: levels[levels.length - 1][0],
+      levels
+    };
+  }
+
+  /**
+   * Get the inclusion proof (sibling path) of a leaf
+   * @param {array} levels - Tree levels returned by buildTree
+   * @param {number} index - Leaf index
+   * @returns {array} Sibling path from the leaf up to the root
+   */
+  static getProof(levels, index) {
+    const path = [];
+    let position = index;
+
+    for (let level = 0; level < levels.length - 1; level++) {
+      const nodes = levels[level];
+      const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+
+      if (siblingIndex < nodes.length) {
+        path.push({
+          position: position % 2 === 0 ? 'right' : 'left',
+          hash: nodes[siblingIndex]
+        });
+      }
+
+      position = Math.floor(position / 2);
+    }
+
+    return path;
+  }
+
+  /**
+   * Build a tree and the inclusion proof of every leaf
+   * @param {array} leaves - Hex-encoded data hashes
+   * @returns {object} Root and one proof per leaf
+   */
+  static createBatch(leaves) {
+    const { root, levels } = this.buildTree(leaves);
+
+    return {
+      root,
+      proofs: leaves.map((leaf, leafIndex) => ({
+        hash: leaf.toLowerCase(),
+        leafIndex,
+        path: this.getProof(levels, leafIndex)
+      }))
+    };
+  }
+
+  /**
+   * Verify that a data hash is included under a Merkle root
+   * @param {string} leaf - Hex-encoded data hash
+   * @param {array} path - Sibling path returned by getProof
+   * @param {string} root - Expected hex-encoded root
+   * @returns {boolean} True if the proof is valid
+   */
+  static verifyProof(leaf, path, root) {
+    try {
+      const computed = path.reduce((node, sibling) => (
+        sibling.position === 'left'
+          ? this.hashNode(sibling.hash, node)
+          : this.hashNode(node, sibling.hash)
+      ), this.hashLeaf(leaf.toLowerCase()));
+
+      return computed === root.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = MerkleUtils;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  getHashField: jest.fn(),
+  setHashField: jest.fn(),
+  setIfAbsent: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const config = require('../../src/config');
+const apiKeyService = require('../../src/services/apikey.service');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('ApiKeyService request signatures', () => {
+  const operatorKey = 'operator-key-for-signature-tests';
+  const tenantId = '0123456789abcdef';
+  const body = Buffer.from('{"data":"Hello"}');
+  let request;
+
+  const signed = (secret, changes = {}) => {
+    const unsigned = { ...request, ...changes };
+    return { ...unsigned, signature: apiKeyService.sign(secret, unsigned) };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.server.apiKeys = [operatorKey];
+    config.security.requestSigningSecret = 'server-signing-secret';
+    config.security.signatureMaxSkew = 300;
+    cacheService.setIfAbsent.mockResolvedValue(true);
+    request = {
+      keyId: apiKeyService.getEnvironmentKeyId(operatorKey),
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      nonce: 'b1946ac92492d2347c6235b4d2611184',
+      method: 'post',
+      path: '/api/v1/timestamp?mode=direct',
+      body
+    };
+  });
+
+  it('signs the method, path, timestamp, nonce and body hash joined with newlines', () => {
+    expect(apiKeyService.getStringToSign(request)).toBe(
+      `POST\n/api/v1/timestamp?mode=direct\n${request.timestamp}\n${request.nonce}\n${sha256(body)}`
+    );
+    expect(apiKeyService.getStringToSign({ ...request, body: undefined }).split('\n')[4]).toBe(sha256(''));
+    expect(apiKeyService.sign('secret', request)).toBe(
+      crypto.createHmac('sha256', 'secret').update(apiKeyService.getStringToSign(request)).digest('hex')
+    );
+  });
+
+  it('accepts a request signed with an operator key once', async () => {
+    const result = await apiKeyService.authenticateSignature(signed(operatorKey));
+
+    expect(result.status).toBe('valid');
+    expect(result.apiKey.tenantId).toBe('default');
+    expect(cacheService.setIfAbsent).toHaveBeenCalledWith(`apikeys:nonce:${request.keyId}:${request.nonce}`, 1, 600);
+
+    cacheService.setIfAbsent.mockResolvedValue(false);
+    expect((await apiKeyService.authenticateSignature(signed(operatorKey))).status).toBe('signature_replayed');
+  });
+
+  it('accepts upper-case hex signatures', async () => {
+    const upper = signed(operatorKey);
+    upper.signature = upper.signature.toUpperCase();
+
+    expect((await apiKeyService.authenticateSignature(upper)).status).toBe('valid');
+  });
+
+  it('rejects a signature over another body, path or key', async () => {
+    const tampered = { ...signed(operatorKey), body: Buffer.from('{"data":"Bye"}') };
+    expect((await apiKeyService.authenticateSignature(tampered)).status).toBe('signature_invalid');
+
+    const moved = { ...signed(operatorKey), path: '/api/v1/timestamp' };
+    expect((await apiKeyService.authenticateSignature(moved)).status).toBe('signature_invalid');
+
+    expect((await apiKeyService.authenticateSignature(signed('another-key'))).status).toBe('signature_invalid');
+    expect(cacheService.setIfAbsent).not.toHaveBeenCalled();
+  });
+
+  it('rejects timestamps outside SIGNATURE_MAX_SKEW and malformed nonces', async () => {
+    const old = String(Math.floor(Date.now() / 1000) - 301);
+    expect((await apiKeyService.authenticateSignature(signed(operatorKey, { timestamp: old }))).status).toBe('signature_expired');
+    expect((await apiKeyService.authenticateSignature(signed(operatorKey, { timestamp: '1e9' }))).status).toBe('signature_expired');
+    expect((await apiKeyService.authenticateSignature(signed(operatorKey, { nonce: 'short' }))).status).toBe('signature_invalid');
+  });
+
+  it('accepts the signing secret of a tenant key and the previous one during the grace period', async () => {
+    const record = {
+      id: tenantId,
+      tenantId: 'acme',
+      scopes: ['timestamp:create'],
+      salt: 'aa'.repeat(16),
+      previous: { salt: 'bb'.repeat(16), expiresAt: new Date(Date.now() + 60000).toISOString() }
+    };
+    cacheService.getHashField.mockResolvedValue(record);
+
+    const current = signed(apiKeyService.getSigningSecret(tenantId, record.salt), { keyId: tenantId });
+    expect((await apiKeyService.authenticateSignature(current)).status).toBe('valid');
+
+    const previous = signed(apiKeyService.getSigningSecret(tenantId, record.previous.salt), { keyId: tenantId });
+    expect((await apiKeyService.authenticateSignature(previous)).status).toBe('valid');
+
+    record.previous.expiresAt = new Date(Date.now() - 1000).toISOString();
+    expect((await apiKeyService.authenticateSignature(previous)).status).toBe('signature_invalid');
+  });
+
+  it('refuses tenant signatures without REQUEST_SIGNING_SECRET', async () => {
+    config.security.requestSigningSecret = '';
+
+    expect((await apiKeyService.authenticateSignature(signed('anything', { keyId: tenantId }))).status).toBe('signing_disabled');
+    expect(cacheService.getHashField).not.toHaveBeenCalled();
+  });
+});
+
+describe('ApiKeyService rotation', () => {
+  const records = new Map();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-15T12:00:00Z') });
+    jest.clearAllMocks();
+    records.clear();
+    config.server.apiKeys = ['operator-key-for-rotation-tests'];
+    cacheService.getHashField.mockImplementation(async (key, field) => (key === 'apikeys' ? records.get(field) || null : null));
+    cacheService.setHashField.mockImplementation(async (key, field, value) => {
+      if (key === 'apikeys') {
+        records.set(field, value);
+      }
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('accepts the previous key during the grace period and rejects it after', async () => {
+    const created = await apiKeyService.create({ tenantId: 'acme', name: 'Acme', scopes: ['timestamp:create'] });
+    const rotated = await apiKeyService.rotate(created.apiKey.id, 3600);
+
+    expect(rotated.key).not.toBe(created.key);
+    expect(rotated.apiKey.previousKeyExpiresAt).toBe('2026-03-15T13:00:00.000Z');
+    expect((await apiKeyService.authenticate(rotated.key)).status).toBe('valid');
+    expect((await apiKeyService.authenticate(created.key)).status).toBe('valid');
+
+    jest.advanceTimersByTime(3600 * 1000);
+
+    expect((await apiKeyService.authenticate(created.key)).status).toBe('invalid');
+    expect((await apiKeyService.authenticate(rotated.key)).status).toBe('valid');
+  });
+
+  it('rejects the previous key at once without a grace period', async () => {
+    const created = await apiKeyService.create({ tenantId: 'acme', name: 'Acme', scopes: ['timestamp:create'] });
+    const rotated = await apiKeyService.rotate(created.apiKey.id, 0);
+
+    expect(rotated.apiKey.previousKeyExpiresAt).toBeNull();
+    expect((await apiKeyService.authenticate(created.key)).status).toBe('invalid');
+    expect((await apiKeyService.authenticate(rotated.key)).status).toBe('valid');
+  });
+
+  it('drops a secret still in its grace period when the key is rotated again', async () => {
+    const created = await apiKeyService.create({ tenantId: 'acme', name: 'Acme', scopes: ['timestamp:create'] });
+    const first = await apiKeyService.rotate(created.apiKey.id, 3600);
+    const second = await apiKeyService.rotate(created.apiKey.id, 3600);
+
+    expect((await apiKeyService.authenticate(created.key)).status).toBe('invalid');
+    expect((await apiKeyService.authenticate(first.key)).status).toBe('valid');
+    expect((await apiKeyService.authenticate(second.key)).status).toBe('valid');
+  });
+
+  it('does not rotate an unknown key', async () => {
+    expect(await apiKeyService.rotate('0123456789abcdef', 3600)).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  getHashField: jest.fn(),
+  setHashField: jest.fn(),
+  setIfAbsent: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const config = require('../../src/config');
+const apiKeyService = require('../../src/services/apikey.service');
+const { authenticateApiKey } = require('../../src/middlewares/auth.middleware');
+
+const operatorKey = 'operator-key-for-signature-tests';
+
+const app = express();
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.post('/upload', authenticateApiKey, (req, res) => res.json({ signed: req.apiKey.signed }));
+
+/**
+ * Signature headers of a request
+ * @param {string} path - Path with query string
+ * @param {Buffer} body - Raw body (undefined without a body)
+ * @returns {object} Headers
+ */
+const signatureHeaders = (path, body) => {
+  const unsigned = {
+    method: 'POST',
+    path,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce: `nonce-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    body
+  };
+  return {
+    'X-Key-Id': apiKeyService.getEnvironmentKeyId(operatorKey),
+    'X-Timestamp': unsigned.timestamp,
+    'X-Nonce': unsigned.nonce,
+    'X-Signature': apiKeyService.sign(operatorKey, unsigned)
+  };
+};
+
+describe('authenticateApiKey with signed requests', () => {
+  beforeEach(() => {
+    config.server.apiKeys = [operatorKey];
+    cacheService.setIfAbsent.mockResolvedValue(true);
+  });
+
+  it('accepts a signed JSON body', async () => {
+    const body = '{"data":"Hello"}';
+
+    const response = await request(app)
+      .post('/upload')
+      .set(signatureHeaders('/upload', Buffer.from(body)))
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.signed).toBe(true);
+  });
+
+  it('refuses a signed multipart upload, whose file the signature would not cover', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .set(signatureHeaders('/upload', undefined))
+      .attach('file', Buffer.from('any file'), 'file.txt');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('SIGNATURE_BODY_UNSUPPORTED');
+  });
+
+  it('accepts a signed request without a body', async () => {
+    const response = await request(app).post('/upload').set(signatureHeaders('/upload', undefined));
+
+    expect(response.status).toBe(200);
+  });
+});
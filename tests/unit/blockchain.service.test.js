@@ -0,0 +1,258 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/registry.service', () => ({
+  STATUS: { PREPARED: 'prepared', PENDING: 'pending', CONFIRMED: 'confirmed', FAILED: 'failed' },
+  findByDataHash: jest.fn(),
+  updateStatus: jest.fn(),
+  save: jest.fn(),
+  saveMany: jest.fn()
+}));
+
+const registryService = require('../../src/services/registry.service');
+const multiversXConfig = require('../../src/config/multiversx');
+const blockchainService = require('../../src/services/blockchain.service');
+
+describe('BlockchainService.verifyTimestamp', () => {
+  const dataHash = 'a'.repeat(64);
+  const address = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+
+  beforeEach(() => {
+    blockchainService.initialized = true;
+    jest.clearAllMocks();
+  });
+
+  it('answers from the registry when the on-chain scan fails', async () => {
+    const record = { dataHash, status: 'pending', userAddress: address };
+    registryService.findByDataHash.mockResolvedValue(record);
+    jest.spyOn(blockchainService, 'findAnchorTransaction').mockRejectedValue(new Error('socket hang up'));
+
+    const result = await blockchainService.verifyTimestamp(dataHash);
+
+    expect(result).toEqual({ verified: false, timestamp: record, source: 'registry', chainCheck: 'unavailable' });
+    expect(blockchainService.findAnchorTransaction).toHaveBeenCalledWith(dataHash, { address });
+    expect(registryService.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('reports an unknown hash as not verified when the network is unreachable', async () => {
+    registryService.findByDataHash.mockResolvedValue(null);
+    jest.spyOn(blockchainService, 'findAnchorTransaction').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const result = await blockchainService.verifyTimestamp(dataHash, { address });
+
+    expect(result.verified).toBe(false);
+    expect(result.timestamp).toBeNull();
+    expect(result.chainCheck).toBe('unavailable');
+  });
+});
+
+describe('BlockchainService.createBatchTimestamp', () => {
+  const hashes = ['1', '2', '3', '4'].map(digit => digit.repeat(64));
+
+  beforeEach(() => {
+    blockchainService.initialized = true;
+    jest.clearAllMocks();
+    jest.spyOn(multiversXConfig, 'isCustodial').mockReturnValue(false);
+    jest.spyOn(blockchainService, 'prepareTimestampTransaction').mockResolvedValue({
+      transactionData: { data: 'payload' },
+      estimatedCost: { egld: '0.0001' }
+    });
+  });
+
+  it('stores every free leaf in one write and leaves records tied to a transaction alone', async () => {
+    const statuses = { [hashes[0]]: 'prepared', [hashes[1]]: 'pending', [hashes[2]]: 'confirmed', [hashes[3]]: 'queued' };
+    registryService.findByDataHash.mockImplementation(async hash => (statuses[hash] ? { dataHash: hash, status: statuses[hash] } : null));
+
+    const result = await blockchainService.createBatchTimestamp(hashes);
+
+    expect(registryService.saveMany).toHaveBeenCalledTimes(1);
+    const [entries] = registryService.saveMany.mock.calls[0];
+    expect(entries.map(entry => entry.dataHash)).toEqual([hashes[3]]);
+    expect(entries[0].changes.merkle).toEqual({ root: result.merkleRoot, leafIndex: 3, path: result.proofs[3].path });
+
+    expect(result.proofs).toHaveLength(4);
+    expect(result.skipped).toEqual([
+      { hash: hashes[0], status: 'prepared' },
+      { hash: hashes[1], status: 'pending' },
+      { hash: hashes[2], status: 'confirmed' }
+    ]);
+  });
+});
+
+describe('BlockchainService timestamp receiver', () => {
+  const serviceAddress = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  const contractAddress = 'erd1spyavw0956vq68xj8y4tenjpq2wd5a9p2c6j8gsz7ztyrnpxrruqzu66jx';
+  const config = require('../../src/config');
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    config.multiversx.contractAddress = undefined;
+    jest.spyOn(blockchainService, 'computeGas').mockResolvedValue({ gasLimit: 60000, gasPrice: 1000000000, estimatedCost: {} });
+  });
+
+  afterAll(() => {
+    config.multiversx.contractAddress = undefined;
+  });
+
+  it('sends custodial timestamps to the service wallet itself by default', async () => {
+    jest.spyOn(multiversXConfig, 'getCustodialAddress').mockReturnValue(serviceAddress);
+
+    const { transactionData } = await blockchainService.prepareTimestampTransaction({ dataHash: 'a'.repeat(64) });
+
+    expect(transactionData.receiver).toBe(serviceAddress);
+  });
+
+  it('leaves the receiver to the user wallet in user-signing mode', async () => {
+    jest.spyOn(multiversXConfig, 'getCustodialAddress').mockReturnValue(null);
+
+    const { transactionData } = await blockchainService.prepareTimestampTransaction({ dataHash: 'a'.repeat(64) });
+
+    expect(transactionData.receiver).toBeNull();
+  });
+
+  it('uses MULTIVERSX_CONTRACT_ADDRESS when set', async () => {
+    config.multiversx.contractAddress = contractAddress;
+    jest.spyOn(multiversXConfig, 'getCustodialAddress').mockReturnValue(serviceAddress);
+
+    const { transactionData } = await blockchainService.prepareTimestampTransaction({ dataHash: 'a'.repeat(64) });
+
+    expect(transactionData.receiver).toBe(contractAddress);
+    expect(multiversXConfig.getReceiver(serviceAddress)).toBe(contractAddress);
+  });
+
+  it('does not scan the network without an address to search', async () => {
+    jest.spyOn(multiversXConfig, 'getCustodialAddress').mockReturnValue(null);
+    const getNetworkProvider = jest.spyOn(multiversXConfig, 'getNetworkProvider');
+
+    expect(await blockchainService.findAnchorTransaction('a'.repeat(64))).toBeNull();
+    expect(getNetworkProvider).not.toHaveBeenCalled();
+  });
+});
+
+describe('BlockchainService gas and fees', () => {
+  const priceService = require('../../src/services/price.service');
+  const gasConfig = { minGasLimit: 50000, gasPerDataByte: 1500, gasPriceModifier: 0.01, minGasPrice: 1000000000, gasPrice: 1000000000 };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(multiversXConfig, 'getGasConfig').mockResolvedValue(gasConfig);
+    jest.spyOn(priceService, 'convert').mockResolvedValue({ usd: '0.010000' });
+  });
+
+  it('charges move-balance gas at the full gas price', () => {
+    expect(blockchainService.computeFee(200000, 200000, gasConfig)).toEqual({
+      gasLimit: 200000,
+      gasPrice: 1000000000,
+      fee: '200000000000000',
+      maxFee: '200000000000000',
+      egld: '0.00020000'
+    });
+  });
+
+  it('charges gas above move balance at the price times GasPriceModifier', () => {
+    const fee = blockchainService.computeFee(300000, 200000, gasConfig);
+
+    expect(fee.fee).toBe('201000000000000');
+    expect(fee.maxFee).toBe('300000000000000');
+    expect(fee.egld).toBe('0.00020100');
+  });
+
+  it('computes the gas limit from the data length', async () => {
+    const { gasLimit, gasPrice, estimatedCost } = await blockchainService.computeGas(100);
+
+    expect(gasLimit).toBe(50000 + 1500 * 100);
+    expect(gasPrice).toBe(1000000000);
+    expect(estimatedCost).toMatchObject({ fee: '200000000000000', priority: 'normal', gasPriceMultiplier: 1, usd: '0.010000' });
+    expect(priceService.convert).toHaveBeenCalledWith(0.0002);
+  });
+
+  it('adds the relayer move-balance gas to relayed transactions', async () => {
+    const { gasLimit } = await blockchainService.computeGas(100, { relayed: true });
+
+    expect(gasLimit).toBe(2 * 50000 + 1500 * 100);
+  });
+});
+
+describe('BlockchainService.getPriorityGasPrice', () => {
+  const config = require('../../src/config');
+
+  beforeEach(() => {
+    config.priority.highMultiplier = 1.5;
+    config.priority.maxMultiplier = 3;
+    config.priority.maxGasPrice = 5000000000;
+  });
+
+  it('keeps the base price for normal transactions', () => {
+    expect(blockchainService.getPriorityGasPrice(1000000000)).toEqual({ gasPrice: 1000000000, multiplier: 1 });
+    expect(blockchainService.getPriorityGasPrice(1000000000, 'normal')).toEqual({ gasPrice: 1000000000, multiplier: 1 });
+  });
+
+  it('multiplies the base price for high priority', () => {
+    expect(blockchainService.getPriorityGasPrice(1000000000, 'high')).toEqual({ gasPrice: 1500000000, multiplier: 1.5 });
+  });
+
+  it('caps the multiplier at PRIORITY_MAX_MULTIPLIER', () => {
+    config.priority.highMultiplier = 10;
+
+    expect(blockchainService.getPriorityGasPrice(1000000000, 'high')).toEqual({ gasPrice: 3000000000, multiplier: 3 });
+  });
+
+  it('caps the gas price at PRIORITY_MAX_GAS_PRICE and reports the multiplier applied', () => {
+    expect(blockchainService.getPriorityGasPrice(4000000000, 'high')).toEqual({ gasPrice: 5000000000, multiplier: 1.25 });
+  });
+
+  it('never goes below the base price when the cap is lower', () => {
+    expect(blockchainService.getPriorityGasPrice(6000000000, 'high')).toEqual({ gasPrice: 6000000000, multiplier: 1 });
+  });
+});
+
+describe('BlockchainService.createDigestTimestamp', () => {
+  const dataHash = 'a'.repeat(64);
+  const transactionData = { data: 'payload', receiver: null };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    blockchainService.initialized = true;
+    jest.spyOn(multiversXConfig, 'isCustodial').mockReturnValue(false);
+    jest.spyOn(blockchainService, 'prepareTimestampTransaction').mockResolvedValue({
+      transactionData,
+      estimatedCost: { egld: '0.0001' }
+    });
+  });
+
+  it('returns the record of data already anchored', async () => {
+    registryService.findByDataHash.mockResolvedValue({ dataHash, status: 'confirmed', transactionData, transactionHash: 'b'.repeat(64) });
+
+    const result = await blockchainService.createDigestTimestamp(dataHash);
+
+    expect(result.message).toBe('Data already timestamped');
+    expect(blockchainService.prepareTimestampTransaction).not.toHaveBeenCalled();
+  });
+
+  it('prepares a failed anchor again', async () => {
+    registryService.findByDataHash.mockResolvedValue({
+      dataHash,
+      status: 'failed',
+      transactionData,
+      transactionHash: 'b'.repeat(64),
+      error: { code: 'TX_NOT_SUCCESSFUL' }
+    });
+
+    const result = await blockchainService.createDigestTimestamp(dataHash);
+
+    expect(result.message).toBe('Transaction prepared for user signing with xPortal');
+    expect(blockchainService.prepareTimestampTransaction).toHaveBeenCalled();
+    expect(registryService.save).toHaveBeenCalledWith(dataHash, expect.objectContaining({
+      status: 'prepared',
+      transactionHash: undefined,
+      error: undefined
+    }));
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  drainList: jest.fn(),
+  pushToList: jest.fn(),
+  getListLength: jest.fn()
+}));
+
+jest.mock('../../src/services/registry.service', () => ({
+  STATUS: { QUEUED: 'queued', PREPARED: 'prepared', PENDING: 'pending', CONFIRMED: 'confirmed', FAILED: 'failed' },
+  findByDataHash: jest.fn(),
+  findAll: jest.fn(),
+  save: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const registryService = require('../../src/services/registry.service');
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config');
+const multiversXConfig = require('../../src/config/multiversx');
+const blockchainService = require('../../src/services/blockchain.service');
+const calendarService = require('../../src/services/calendar.service');
+
+const hash = digit => String(digit).repeat(64);
+
+describe('CalendarService.flush', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.batch.maxLeaves = 2;
+    jest.spyOn(blockchainService, 'createBatchTimestamp').mockImplementation(async (hashes, metadata, options) => ({
+      merkleRoot: `root-${hashes.join(',')}`,
+      leafCount: hashes.length,
+      transactionData: { data: 'payload' },
+      estimatedCost: { egld: '0.0001', priority: options.priority }
+    }));
+  });
+
+  it('anchors the queue in chunks of BATCH_MAX_LEAVES, high priority first', async () => {
+    cacheService.drainList.mockResolvedValue([
+      { dataHash: hash(1), priority: 'normal' },
+      { dataHash: hash(2), priority: 'normal' },
+      { dataHash: hash(3), priority: 'high' },
+      { dataHash: hash(1), priority: 'normal' },
+      { dataHash: hash(4), priority: 'normal' }
+    ]);
+
+    const rounds = await calendarService.flush();
+
+    expect(blockchainService.createBatchTimestamp.mock.calls.map(([hashes, , options]) => [hashes, options.priority])).toEqual([
+      [[hash(3), hash(1)], 'high'],
+      [[hash(2), hash(4)], 'normal']
+    ]);
+    expect(blockchainService.createBatchTimestamp.mock.calls[0][1]).toEqual({ type: 'calendar' });
+    expect(rounds.map(round => round.leafCount)).toEqual([2, 2]);
+    expect(calendarService.lastRound).toBe(rounds[1]);
+    expect(cacheService.pushToList).not.toHaveBeenCalled();
+  });
+
+  it('does nothing on an empty queue', async () => {
+    cacheService.drainList.mockResolvedValue([]);
+
+    expect(await calendarService.flush()).toEqual([]);
+    expect(blockchainService.createBatchTimestamp).not.toHaveBeenCalled();
+  });
+
+  it('puts back the hashes of the rounds that failed', async () => {
+    const entries = [1, 2, 3].map(digit => ({ dataHash: hash(digit), priority: 'normal' }));
+    cacheService.drainList.mockResolvedValue(entries);
+    blockchainService.createBatchTimestamp
+      .mockImplementationOnce(async hashes => ({ merkleRoot: 'root-a', leafCount: hashes.length }))
+      .mockRejectedValueOnce(new Error('gas config unavailable'));
+    registryService.findByDataHash.mockImplementation(async dataHash => {
+      if (dataHash === 'root-a') {
+        return { dataHash };
+      }
+      return [hash(1), hash(2)].includes(dataHash) ? { dataHash, merkle: { root: 'root-a' } } : { dataHash, status: 'queued' };
+    });
+
+    const rounds = await calendarService.flush();
+
+    expect(rounds).toHaveLength(1);
+    expect(cacheService.pushToList).toHaveBeenCalledTimes(1);
+    expect(cacheService.pushToList).toHaveBeenCalledWith('calendar:queue', entries[2]);
+    expect(calendarService.flushing).toBe(false);
+  });
+});
+
+describe('CalendarService.start', () => {
+  const instanceId = process.env.INSTANCE_ID;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    config.calendar.enabled = true;
+    calendarService.intervalMs = 1000;
+    jest.spyOn(calendarService, 'flush').mockResolvedValue([]);
+    jest.spyOn(multiversXConfig, 'isCustodial').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    calendarService.stop();
+    calendarService.flush.mockRestore();
+    jest.useRealTimers();
+    process.env.INSTANCE_ID = instanceId;
+    if (instanceId === undefined) {
+      delete process.env.INSTANCE_ID;
+    }
+  });
+
+  it('flushes on the interval on instance 0', () => {
+    process.env.INSTANCE_ID = '0';
+
+    calendarService.start();
+    jest.advanceTimersByTime(2500);
+
+    expect(calendarService.flush).toHaveBeenCalledTimes(2);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('leaves the flushes to instance 0', () => {
+    process.env.INSTANCE_ID = '1';
+
+    calendarService.start();
+    jest.advanceTimersByTime(2500);
+
+    expect(calendarService.timer).toBeNull();
+    expect(calendarService.flush).not.toHaveBeenCalled();
+  });
+
+  it('does not start when disabled', () => {
+    config.calendar.enabled = false;
+
+    calendarService.start();
+
+    expect(calendarService.timer).toBeNull();
+  });
+
+  it('warns and reports that roots wait for a signature in user-signing mode', async () => {
+    multiversXConfig.isCustodial.mockReturnValue(false);
+    registryService.findAll.mockResolvedValue([
+      { dataHash: 'root-a', batch: { leafCount: 3 }, transactionData: {}, createdAt: '2026-01-01T00:00:00.000Z' }
+    ]);
+    cacheService.getListLength.mockResolvedValue(0);
+
+    calendarService.start();
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('manual signature'));
+    expect(await calendarService.getStats()).toMatchObject({ active: true, autoBroadcast: false, awaitingSignature: 1 });
+  });
+});
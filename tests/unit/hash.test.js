@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const HashUtils = require('../../src/utils/hash');
+
+const { HASH_SCHEMES } = HashUtils;
+
+describe('HashUtils.canonicalize (RFC 8785)', () => {
+  it('serializes the RFC 8785 sample input', () => {
+    const input = {
+      numbers: [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+      string: '€$\u000F\u000aA\'B"\\\\"/',
+      literals: [null, true, false]
+    };
+
+    expect(HashUtils.canonicalize(input)).toBe(
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+  });
+
+  it('sorts keys by UTF-16 code units at every level', () => {
+    const input = {
+      '€': 'Euro Sign',
+      '\r': 'Carriage Return',
+      'דּ': 'Hebrew Letter Dalet With Dagesh',
+      '1': 'One',
+      '😀': 'Emoji: Grinning Face',
+      '\u0080': 'Control',
+      'ö': 'Latin Small Letter O With Diaeresis'
+    };
+
+    // Parsing would move the integer-like key first, so the string is compared
+    const keys = HashUtils.canonicalize(input).match(/"[^"]*":/g).map(member => JSON.parse(member.slice(0, -1)));
+    expect(keys).toEqual(['\r', '1', '\u0080', 'ö', '€', '😀', 'דּ']);
+    expect(HashUtils.canonicalize({ b: { d: 1, c: [{ f: 1, e: 2 }] }, a: 0 }))
+      .toBe('{"a":0,"b":{"c":[{"e":2,"f":1}],"d":1}}');
+  });
+
+  it('formats numbers like ECMAScript', () => {
+    expect(HashUtils.canonicalize([-0, 1e21, 1e-7, 0.000001, 100, 9007199254740993]))
+      .toBe('[0,1e+21,1e-7,0.000001,100,9007199254740992]');
+    expect(() => HashUtils.canonicalize({ value: NaN })).toThrow('non-finite');
+    expect(() => HashUtils.canonicalize([Infinity])).toThrow('non-finite');
+  });
+
+  it('drops undefined members and nulls undefined array items, like JSON.stringify', () => {
+    expect(HashUtils.canonicalize({ a: undefined, b: () => 1, c: [undefined, 1] })).toBe('{"c":[null,1]}');
+    expect(HashUtils.canonicalize({ date: new Date('2024-01-15T10:30:00Z') })).toBe('{"date":"2024-01-15T10:30:00.000Z"}');
+  });
+});
+
+describe('HashUtils.serialize', () => {
+  const data = { b: 2, a: { y: 1, x: 2 } };
+
+  it('keeps the legacy scheme for existing proofs', () => {
+    // The legacy replacer only keeps the top-level keys, nested fields are dropped
+    expect(HashUtils.serialize(data, HASH_SCHEMES.LEGACY)).toBe('{"a":{},"b":2}');
+    expect(HashUtils.serialize(data, HASH_SCHEMES.JCS)).toBe('{"a":{"x":2,"y":1},"b":2}');
+  });
+
+  it('hashes strings the same way under every scheme', () => {
+    expect(HashUtils.hashCandidates('hello')).toEqual([{
+      hashScheme: HASH_SCHEMES.LEGACY,
+      algorithm: 'sha256',
+      dataHash: crypto.createHash('sha256').update('hello').digest('hex')
+    }]);
+    expect(HashUtils.hashCandidates(data)).toHaveLength(2);
+  });
+
+  it('rejects an unknown scheme', () => {
+    expect(() => HashUtils.serialize(data, 'v9')).toThrow('Unsupported hash scheme');
+  });
+});
+
+describe('HashUtils multihash', () => {
+  const digests = {
+    'sha256': crypto.createHash('sha256').update('abc').digest('hex'),
+    'sha512': crypto.createHash('sha512').update('abc').digest('hex'),
+    'sha3-256': crypto.createHash('sha3-256').update('abc').digest('hex'),
+    'blake2b-512': crypto.createHash('blake2b512').update('abc').digest('hex')
+  };
+
+  it('hashes with every supported algorithm', () => {
+    for (const [algorithm, digest] of Object.entries(digests)) {
+      expect(HashUtils.hash('abc', algorithm)).toBe(digest);
+    }
+    expect(() => HashUtils.hash('abc', 'md5')).toThrow('Unsupported hash algorithm');
+  });
+
+  it('prefixes digests with their varint code and length', () => {
+    expect(HashUtils.toMultihash(digests.sha256, 'sha256')).toBe(`1220${digests.sha256}`);
+    expect(HashUtils.toMultihash(digests.sha512, 'sha512')).toBe(`1340${digests.sha512}`);
+    expect(HashUtils.toMultihash(digests['sha3-256'], 'sha3-256')).toBe(`1620${digests['sha3-256']}`);
+    // 0xb240 takes three varint bytes
+    expect(HashUtils.toMultihash(digests['blake2b-512'], 'blake2b-512')).toBe(`c0e40240${digests['blake2b-512']}`);
+  });
+
+  it('decodes what it encodes', () => {
+    for (const [algorithm, digest] of Object.entries(digests)) {
+      expect(HashUtils.fromMultihash(HashUtils.toMultihash(digest, algorithm))).toEqual({ algorithm, digest });
+    }
+  });
+
+  it('rejects digests of the wrong length and unknown or truncated multihashes', () => {
+    expect(() => HashUtils.toMultihash(digests.sha512, 'sha256')).toThrow('Invalid sha256 digest length');
+    expect(() => HashUtils.fromMultihash(`1220${digests.sha256.slice(2)}`)).toThrow('Invalid multihash digest length');
+    expect(() => HashUtils.fromMultihash(`1240${digests.sha512}`)).toThrow('Invalid multihash digest length');
+    expect(() => HashUtils.fromMultihash(`1120${digests.sha256}`)).toThrow('Unsupported multihash code: 0x11');
+    expect(() => HashUtils.fromMultihash('c0e4')).toThrow('Truncated varint');
+  });
+
+  it('accepts hex digests of every supported length', () => {
+    expect(HashUtils.isValidDigest(digests.sha256)).toBe(true);
+    expect(HashUtils.isValidDigest(digests.sha512)).toBe(true);
+    expect(HashUtils.isValidDigest(digests.sha256.slice(2))).toBe(false);
+    expect(HashUtils.isValidDigest(digests.sha512, 'sha3-256')).toBe(false);
+    expect(HashUtils.isValidDigest(digests['blake2b-512'], 'blake2b-512')).toBe(true);
+  });
+});
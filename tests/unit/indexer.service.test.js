@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/config/multiversx', () => ({
+  getNetworkProvider: jest.fn(),
+  getContractAddress: jest.fn(),
+  getExplorerUrl: jest.fn(hash => `https://explorer/${hash}`)
+}));
+
+jest.mock('../../src/services/registry.service', () => ({
+  STATUS: { CONFIRMED: 'confirmed' },
+  getUserAddresses: jest.fn().mockResolvedValue([]),
+  findByDataHash: jest.fn(),
+  updateStatus: jest.fn()
+}));
+
+const config = require('../../src/config');
+const multiversXConfig = require('../../src/config/multiversx');
+const registryService = require('../../src/services/registry.service');
+const blockchainService = require('../../src/services/blockchain.service');
+const indexerService = require('../../src/services/indexer.service');
+
+describe('IndexerService', () => {
+  const address = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  let directory;
+  let doGetGeneric;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+    config.registry.path = directory;
+    config.indexer.startTimestamp = 1000;
+    config.indexer.pageSize = 2;
+
+    doGetGeneric = jest.fn().mockResolvedValue([]);
+    multiversXConfig.getNetworkProvider.mockReturnValue({ doGetGeneric });
+    multiversXConfig.getContractAddress.mockReturnValue(address);
+
+    await indexerService.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('rescans history on INDEXER_BACKFILL once per start timestamp', async () => {
+    indexerService.checkpoints = { [address]: { lastTimestamp: 5000 } };
+    await indexerService.resetCheckpoints();
+    expect(indexerService.checkpoints).toEqual({});
+
+    // A restart with the same setting resumes from the checkpoints
+    indexerService.checkpoints = { [address]: { lastTimestamp: 6000 } };
+    await indexerService.resetCheckpoints();
+    expect(indexerService.checkpoints).toEqual({ [address]: { lastTimestamp: 6000 } });
+
+    config.indexer.startTimestamp = 2000;
+    await indexerService.resetCheckpoints();
+    expect(indexerService.checkpoints).toEqual({});
+  });
+
+  it('backfills an address without moving its checkpoint', async () => {
+    indexerService.checkpoints = { [address]: { lastTimestamp: 9000 } };
+    doGetGeneric
+      .mockResolvedValueOnce([
+        { txHash: 'a', nonce: 1, timestamp: 1500, sender: 'erd1other', receiver: 'erd1else' },
+        { txHash: 'b', nonce: 2, timestamp: 1600, sender: 'erd1other', receiver: 'erd1else' }
+      ])
+      .mockResolvedValueOnce([]);
+
+    await indexerService.backfill(address, 1200);
+
+    expect(doGetGeneric.mock.calls[0][0]).toContain('after=1200');
+    expect(doGetGeneric.mock.calls[1][0]).toContain('after=1200');
+    expect(indexerService.checkpoints).toEqual({ [address]: { lastTimestamp: 9000 } });
+  });
+
+  it('runs one backfill at a time per address', async () => {
+    const first = indexerService.startBackfill(address, 1200);
+    const second = indexerService.startBackfill(address, 1300);
+
+    expect(first.started).toBe(true);
+    expect(second).toEqual({ started: false, backfill: first.backfill });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(indexerService.startBackfill(address, 1300).started).toBe(true);
+  });
+
+  describe('scanAddress', () => {
+    const self = n => ({ txHash: `tx${n}`, nonce: n, timestamp: 2000 + n, sender: 'erd1user', receiver: 'erd1user' });
+
+    beforeEach(() => {
+      jest.spyOn(indexerService, 'ingest').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      indexerService.ingest.mockRestore();
+    });
+
+    it('pages through the transactions and moves the checkpoint to the last one', async () => {
+      doGetGeneric
+        .mockResolvedValueOnce([self(1), self(2)])
+        .mockResolvedValueOnce([self(3)]);
+
+      expect(await indexerService.indexAddress(address)).toBe(3);
+
+      expect(doGetGeneric.mock.calls.map(([url]) => url.match(/after=\d+|from=\d+/g))).toEqual([
+        ['after=1000', 'from=0'],
+        ['after=1000', 'from=2']
+      ]);
+      expect(indexerService.checkpoints[address]).toMatchObject({
+        lastTimestamp: 2003,
+        lastNonce: 3,
+        lastTransactionHash: 'tx3',
+        seenAtLastTimestamp: 1,
+        hasMore: false
+      });
+
+      // The checkpoint survives a restart
+      indexerService.checkpoints = {};
+      await indexerService.loadCheckpoints();
+      expect(indexerService.checkpoints[address].lastTimestamp).toBe(2003);
+    });
+
+    it('only ingests transactions to the receiver or self-transfers', async () => {
+      doGetGeneric.mockResolvedValueOnce([
+        { ...self(1), receiver: address },
+        { ...self(2), receiver: 'erd1other' }
+      ]).mockResolvedValueOnce([]);
+
+      await indexerService.indexAddress(address);
+
+      expect(indexerService.ingest.mock.calls.map(([tx]) => tx.txHash)).toEqual(['tx1']);
+    });
+
+    it('stops after MAX_PAGES_PER_RUN and resumes on the next run', async () => {
+      doGetGeneric.mockImplementation(async url => {
+        const from = Number(url.match(/from=(\d+)/)[1]);
+        return [self(from + 1), self(from + 2)];
+      });
+
+      await indexerService.indexAddress(address);
+
+      expect(doGetGeneric).toHaveBeenCalledTimes(20);
+      expect(indexerService.checkpoints[address]).toMatchObject({ lastTimestamp: 2040, hasMore: true });
+    });
+
+    it('does not scan the same timestamp again when more transactions share it than a run reads', async () => {
+      // 45 transactions in the same block, 20 pages of 2 per run
+      const block = Array.from({ length: 45 }, (_, index) => ({ ...self(index), timestamp: 3000 }));
+      doGetGeneric.mockImplementation(async url => {
+        const after = Number(url.match(/after=(\d+)/)[1]);
+        const from = Number(url.match(/from=(\d+)/)[1]);
+        return block.filter(tx => tx.timestamp >= after).slice(from, from + 2);
+      });
+
+      await indexerService.indexAddress(address);
+      await indexerService.indexAddress(address);
+      await indexerService.indexAddress(address);
+
+      expect(indexerService.ingest.mock.calls.map(([tx]) => tx.nonce)).toEqual(block.map(tx => tx.nonce));
+      expect(indexerService.checkpoints[address]).toMatchObject({ lastTimestamp: 3000, seenAtLastTimestamp: 45, hasMore: false });
+    });
+  });
+
+  describe('ingest', () => {
+    const dataHash = 'a'.repeat(64);
+    const data = Buffer.from(JSON.stringify({ dataHash, metadata: { service: 'multiversx-timestamp' } })).toString('base64');
+    const tx = { txHash: 'tx2', nonce: 2, timestamp: 2000, sender: address, receiver: address, data };
+    let getTransaction;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      getTransaction = jest.fn().mockResolvedValue({ blockNonce: 7 });
+      multiversXConfig.getNetworkProvider.mockReturnValue({ doGetGeneric, getTransaction });
+      jest.spyOn(blockchainService, 'getConfirmation').mockResolvedValue({ confirmationLevel: 'finalized' });
+    });
+
+    it('records a timestamp transaction as confirmed', async () => {
+      registryService.findByDataHash.mockResolvedValue(null);
+
+      expect(await indexerService.ingest(tx)).toBe(true);
+      expect(registryService.updateStatus).toHaveBeenCalledWith(dataHash, 'confirmed', expect.objectContaining({
+        transactionHash: 'tx2',
+        blockNumber: 7,
+        blockTimestamp: new Date(2000000).toISOString(),
+        origin: 'indexer'
+      }));
+    });
+
+    it('keeps the earliest anchor of a hash', async () => {
+      registryService.findByDataHash.mockResolvedValue({
+        dataHash,
+        status: 'confirmed',
+        transactionHash: 'tx1',
+        blockTimestamp: new Date(1500000).toISOString()
+      });
+
+      expect(await indexerService.ingest(tx)).toBe(false);
+      expect(registryService.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('replaces a later anchor with an earlier one', async () => {
+      registryService.findByDataHash.mockResolvedValue({
+        dataHash,
+        status: 'confirmed',
+        transactionHash: 'tx3',
+        blockTimestamp: new Date(2500000).toISOString()
+      });
+
+      expect(await indexerService.ingest(tx)).toBe(true);
+      expect(registryService.updateStatus.mock.calls[0][2].transactionHash).toBe('tx2');
+    });
+
+    it('ignores transactions without a timestamp payload', async () => {
+      expect(await indexerService.ingest({ ...tx, data: Buffer.from('hello').toString('base64') })).toBe(false);
+      expect(registryService.findByDataHash).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const MerkleUtils = require('../../src/utils/merkle');
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+const leafHash = leaf => sha256(Buffer.from([0x00]), Buffer.from(leaf, 'hex'));
+const nodeHash = (left, right) => sha256(Buffer.from([0x01]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+
+const hashes = ['a', 'b', 'c', 'd', 'e'].map(value => crypto.createHash('sha256').update(value).digest('hex'));
+
+describe('MerkleUtils', () => {
+  it('hashes leaves and nodes with the RFC 6962 prefixes', () => {
+    expect(MerkleUtils.hashLeaf(hashes[0])).toBe(leafHash(hashes[0]));
+    expect(MerkleUtils.hashNode(hashes[0], hashes[1])).toBe(nodeHash(hashes[0], hashes[1]));
+    expect(MerkleUtils.hashLeaf(hashes[0])).not.toBe(sha256(Buffer.from(hashes[0], 'hex')));
+  });
+
+  it('promotes an unpaired node to the next level', () => {
+    const { root } = MerkleUtils.buildTree(hashes);
+    const [a, b, c, d, e] = hashes.map(leafHash);
+
+    expect(root).toBe(nodeHash(nodeHash(nodeHash(a, b), nodeHash(c, d)), e));
+  });
+
+  it('uses the hashed leaf as the root of a single-leaf tree', () => {
+    expect(MerkleUtils.buildTree([hashes[0]]).root).toBe(leafHash(hashes[0]));
+    expect(() => MerkleUtils.buildTree([])).toThrow('without leaves');
+  });
+
+  it('returns a proof that verifies for every leaf', () => {
+    const { root, proofs } = MerkleUtils.createBatch(hashes);
+
+    expect(proofs).toHaveLength(hashes.length);
+    proofs.forEach((proof, index) => {
+      expect(proof.hash).toBe(hashes[index]);
+      expect(proof.leafIndex).toBe(index);
+      expect(MerkleUtils.verifyProof(proof.hash, proof.path, root)).toBe(true);
+    });
+
+    // The unpaired last leaf only needs the root of the four others
+    expect(proofs[4].path).toEqual([{ position: 'left', hash: MerkleUtils.buildTree(hashes.slice(0, 4)).root }]);
+  });
+
+  it('verifies case-insensitively', () => {
+    const { root, proofs } = MerkleUtils.createBatch(hashes);
+
+    expect(MerkleUtils.verifyProof(hashes[2].toUpperCase(), proofs[2].path, root.toUpperCase())).toBe(true);
+  });
+
+  it('rejects a wrong leaf, a tampered path or another root', () => {
+    const { root, proofs } = MerkleUtils.createBatch(hashes);
+    const path = proofs[1].path;
+
+    expect(MerkleUtils.verifyProof(hashes[0], path, root)).toBe(false);
+    expect(MerkleUtils.verifyProof(hashes[1], [{ ...path[0], position: 'right' }, ...path.slice(1)], root)).toBe(false);
+    expect(MerkleUtils.verifyProof(hashes[1], path, MerkleUtils.hashLeaf(hashes[1]))).toBe(false);
+    expect(MerkleUtils.verifyProof(hashes[1], null, root)).toBe(false);
+  });
+
+  it('does not accept an inner node as a leaf', () => {
+    const { root, levels } = MerkleUtils.buildTree(hashes.slice(0, 4));
+    const [left, right] = levels[1];
+
+    // Without the leaf prefix, the left inner node would prove with the right one as sibling
+    expect(MerkleUtils.verifyProof(left, [{ position: 'right', hash: right }], root)).toBe(false);
+  });
+});
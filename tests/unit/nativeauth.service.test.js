@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { SignableMessage } = require('@multiversx/sdk-core');
+const { UserSecretKey } = require('@multiversx/sdk-wallet');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+const config = require('../../src/config');
+const nativeAuthService = require('../../src/services/nativeauth.service');
+
+const encode = value => Buffer.from(value, 'utf8').toString('base64url');
+
+const secretKey = new UserSecretKey(crypto.createHash('sha256').update('native auth wallet').digest());
+const address = secretKey.generatePublicKey().toAddress().bech32();
+const otherKey = new UserSecretKey(crypto.createHash('sha256').update('another wallet').digest());
+const blockHash = 'c'.repeat(64);
+
+/**
+ * Build a token the way the Native Auth client and the wallet do
+ * @param {object} options - origin, ttl, extraInfo, key (signer), suffix (appended to the signed message)
+ * @returns {string} Token
+ */
+const createToken = ({ origin = 'https://app.example.com', ttl = 3600, extraInfo = {}, key = secretKey, suffix = '' } = {}) => {
+  const body = `${encode(origin)}.${blockHash}.${ttl}.${encode(JSON.stringify(extraInfo))}`;
+  const message = new SignableMessage({ message: Buffer.from(`${address}${body}${suffix}`, 'utf8') });
+  const signature = key.sign(message.serializeForSigning()).toString('hex');
+  return `${encode(address)}.${encode(body)}.${signature}`;
+};
+
+describe('NativeAuthService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    config.nativeAuth.acceptedOrigins = ['https://app.example.com'];
+    config.nativeAuth.maxExpiry = 86400;
+  });
+
+  it('decodes the address, origin, block hash, TTL and extra info of a token', () => {
+    const decoded = nativeAuthService.decode(createToken({ extraInfo: { timestamp: 1700000000 } }));
+
+    expect(decoded).toMatchObject({
+      address,
+      origin: 'https://app.example.com',
+      blockHash,
+      ttl: 3600,
+      extraInfo: { timestamp: 1700000000 }
+    });
+    expect(decoded.body.split('.')).toHaveLength(4);
+  });
+
+  it('returns null for malformed tokens', () => {
+    const [encodedAddress, encodedBody, signature] = createToken().split('.');
+
+    expect(nativeAuthService.decode(`${encodedAddress}.${encodedBody}`)).toBeNull();
+    expect(nativeAuthService.decode(`${encodedAddress}.${encodedBody}.not-hex`)).toBeNull();
+    expect(nativeAuthService.decode(`${encodedAddress}.${encode('origin.abc.3600.e30')}.${signature}`)).toBeNull();
+    expect(nativeAuthService.decode(`${encodedAddress}.${encode(`origin.${blockHash}.1h.e30`)}.${signature}`)).toBeNull();
+    expect(nativeAuthService.decode(`${encodedAddress}.${encode(`origin.${blockHash}.3600.${encode('{')}`)}.${signature}`)).toBeNull();
+  });
+
+  it('verifies the wallet signature, including the legacy trailing {}', () => {
+    expect(nativeAuthService.verifySignature(nativeAuthService.decode(createToken()))).toBe(true);
+    expect(nativeAuthService.verifySignature(nativeAuthService.decode(createToken({ suffix: '{}' })))).toBe(true);
+  });
+
+  it('rejects a token signed by another wallet or with a changed body', () => {
+    expect(nativeAuthService.verifySignature(nativeAuthService.decode(createToken({ key: otherKey })))).toBe(false);
+
+    const decoded = nativeAuthService.decode(createToken());
+    expect(nativeAuthService.verifySignature({ ...decoded, body: decoded.body.replace('3600', '86400') })).toBe(false);
+    expect(nativeAuthService.verifySignature({ ...decoded, address: 'erd1invalid' })).toBe(false);
+  });
+
+  it('validates a token until its block timestamp plus its TTL', async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 60;
+    jest.spyOn(nativeAuthService, 'getBlockTimestamp').mockResolvedValue(issuedAt);
+
+    const result = await nativeAuthService.validate(createToken());
+
+    expect(result.status).toBe('valid');
+    expect(result.session).toMatchObject({ address, origin: 'https://app.example.com' });
+    expect(result.session.expiresAt).toBe(new Date((issuedAt + 3600) * 1000).toISOString());
+    expect(nativeAuthService.getBlockTimestamp).toHaveBeenCalledWith(blockHash);
+
+    nativeAuthService.getBlockTimestamp.mockResolvedValue(issuedAt - 3600);
+    expect((await nativeAuthService.validate(createToken())).status).toBe('expired');
+  });
+
+  it('refuses tokens before looking their block up', async () => {
+    const getBlockTimestamp = jest.spyOn(nativeAuthService, 'getBlockTimestamp');
+
+    expect((await nativeAuthService.validate(createToken({ origin: 'https://evil.example.com' }))).status).toBe('origin_not_accepted');
+    expect((await nativeAuthService.validate(createToken({ ttl: 86401 }))).status).toBe('ttl_too_long');
+    expect((await nativeAuthService.validate(createToken({ key: otherKey }))).status).toBe('invalid');
+    expect(getBlockTimestamp).not.toHaveBeenCalled();
+
+    config.nativeAuth.acceptedOrigins = [];
+    expect((await nativeAuthService.validate(createToken())).status).toBe('disabled');
+  });
+
+  it('rejects unknown blocks and reports an unreachable network', async () => {
+    jest.spyOn(nativeAuthService, 'getBlockTimestamp').mockResolvedValue(null);
+    expect((await nativeAuthService.validate(createToken())).status).toBe('invalid');
+
+    nativeAuthService.getBlockTimestamp.mockRejectedValue(new Error('ECONNRESET'));
+    expect((await nativeAuthService.validate(createToken())).status).toBe('unavailable');
+  });
+});
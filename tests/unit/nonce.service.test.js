@@ -0,0 +1,141 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+// Sorted sets of an in-memory Redis: key -> Map(member -> score)
+const sets = new Map();
+const getSet = key => {
+  if (!sets.has(key)) {
+    sets.set(key, new Map());
+  }
+  return sets.get(key);
+};
+
+/**
+ * Emulation of the nonce reservation script, command by command
+ * @param {Map} set - Sorted set of KEYS[1]
+ * @param {array} args - ARGV
+ * @returns {number} First reserved nonce
+ */
+const reserveScript = (set, [accountNonce, now, expiresAt, , count]) => {
+  for (const [member, score] of set) {
+    if (score <= now || Number(member) < accountNonce) {
+      set.delete(member);
+    }
+  }
+  let nonce = accountNonce;
+  let offset = 0;
+  while (offset < count) {
+    if (set.has(String(nonce + offset))) {
+      nonce = nonce + offset + 1;
+      offset = 0;
+    } else {
+      offset++;
+    }
+  }
+  for (let i = 0; i < count; i++) {
+    set.set(String(nonce + i), expiresAt);
+  }
+  return nonce;
+};
+
+jest.mock('../../src/services/cache.service', () => ({
+  runScript: jest.fn(),
+  addToSortedSet: jest.fn(),
+  removeFromSortedSet: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const config = require('../../src/config');
+const nonceService = require('../../src/services/nonce.service');
+
+describe('NonceService', () => {
+  const address = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  const key = `nonce:reserved:${address}`;
+  let accountNonce;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    sets.clear();
+    nonceService.localNonces.clear();
+    accountNonce = 10;
+    config.nonce.pendingTtl = 600;
+    jest.spyOn(nonceService, 'getAccountNonce').mockImplementation(async () => accountNonce);
+    cacheService.runScript.mockImplementation(async (script, [scriptKey], args) => reserveScript(getSet(scriptKey), args));
+    cacheService.addToSortedSet.mockImplementation(async (setKey, score, member) => getSet(setKey).set(member, score));
+    cacheService.removeFromSortedSet.mockImplementation(async (setKey, member) => getSet(setKey).delete(member));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('passes the account nonce, the expiry and the run length to the script', async () => {
+    const now = Date.now();
+
+    await nonceService.reserve(address, 300, 2);
+
+    expect(cacheService.runScript).toHaveBeenCalledWith(expect.stringContaining('ZREMRANGEBYSCORE'), [key], [10, now, now + 300000, 600, 2]);
+  });
+
+  it('hands out sequential nonces to concurrent preparations', async () => {
+    const nonces = await Promise.all([1, 2, 3].map(() => nonceService.reserve(address, 300)));
+
+    expect(nonces.sort()).toEqual([10, 11, 12]);
+  });
+
+  it('hands out a released nonce again first', async () => {
+    await nonceService.reserve(address, 300, 3);
+    await nonceService.release(address, 11);
+
+    expect(await nonceService.reserve(address, 300)).toBe(11);
+    expect(await nonceService.reserve(address, 300)).toBe(13);
+  });
+
+  it('reserves the lowest run of free consecutive nonces', async () => {
+    await nonceService.reserve(address, 300, 3);
+    await nonceService.release(address, 11);
+
+    // 11 alone is too short for two nonces
+    expect(await nonceService.reserve(address, 300, 2)).toBe(13);
+    expect([...getSet(key).keys()].sort()).toEqual(['10', '12', '13', '14']);
+  });
+
+  it('drops expired reservations and nonces the account has passed', async () => {
+    await nonceService.reserve(address, 300, 2);
+    await nonceService.reserve(address, 1200);
+    jest.advanceTimersByTime(300001);
+
+    // 12 outlives the others
+    expect(await nonceService.reserve(address, 300)).toBe(10);
+
+    accountNonce = 13;
+    expect(await nonceService.reserve(address, 300)).toBe(13);
+    expect([...getSet(key).keys()]).toEqual(['13']);
+  });
+
+  it('keeps a sent nonce reserved for NONCE_PENDING_TTL', async () => {
+    const reserved = await nonceService.reserve(address, 60);
+    await nonceService.markSent(address, reserved);
+
+    expect(cacheService.addToSortedSet).toHaveBeenCalledWith(key, Date.now() + 600000, '10', 600);
+    jest.advanceTimersByTime(60001);
+    expect(await nonceService.reserve(address, 60)).toBe(11);
+  });
+
+  it('reserves from this worker only without Redis', async () => {
+    cacheService.runScript.mockResolvedValue(null);
+
+    expect(await nonceService.reserve(address, 300)).toBe(10);
+    expect(await nonceService.reserve(address, 300, 2)).toBe(11);
+    expect(await nonceService.reserve(address, 300)).toBe(13);
+
+    await nonceService.release(address, 11);
+    expect(await nonceService.reserve(address, 300)).toBe(10);
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+const config = require('../../src/config');
+const priceService = require('../../src/services/price.service');
+
+describe('PriceService.getQuote', () => {
+  const fetchRates = jest.fn();
+
+  beforeAll(() => {
+    priceService.registerProvider('feed', { fetchRates });
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    fetchRates.mockReset();
+    priceService.quote = null;
+    priceService.failure = null;
+    config.price.provider = 'feed';
+    config.price.currencies = ['usd'];
+    config.price.cacheTtl = 60000;
+    config.price.maxAge = 900000;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('reuses fetched rates for PRICE_CACHE_TTL', async () => {
+    fetchRates.mockResolvedValue({ rates: { usd: 30 }, sourceTimestamp: new Date().toISOString() });
+
+    expect((await priceService.getQuote()).rates).toEqual({ usd: 30 });
+    await priceService.getQuote();
+    expect(fetchRates).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(60001);
+    await priceService.getQuote();
+    expect(fetchRates).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not call a failing provider again before PRICE_CACHE_TTL', async () => {
+    fetchRates.mockRejectedValue(new Error('timeout of 5000ms exceeded'));
+
+    expect(await priceService.getQuote()).toBeNull();
+    expect(await priceService.getQuote()).toBeNull();
+    expect(fetchRates).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(60001);
+    fetchRates.mockResolvedValue({ rates: { usd: 30 }, sourceTimestamp: new Date().toISOString() });
+    expect((await priceService.getQuote()).rates).toEqual({ usd: 30 });
+    expect(fetchRates).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the last rates while the provider fails, until PRICE_MAX_AGE', async () => {
+    fetchRates.mockResolvedValueOnce({ rates: { usd: 30 }, sourceTimestamp: new Date().toISOString() });
+    await priceService.getQuote();
+    fetchRates.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    jest.advanceTimersByTime(60001);
+    expect((await priceService.getQuote()).rates).toEqual({ usd: 30 });
+
+    jest.advanceTimersByTime(900000);
+    expect(await priceService.getQuote()).toBeNull();
+    expect((await priceService.convert(1)).usd).toBeNull();
+  });
+});
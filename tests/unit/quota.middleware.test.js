@@ -0,0 +1,95 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/quota.service', () => ({
+  METRICS: { TIMESTAMPS: 'timestamps', VERIFICATIONS: 'verifications', RELAYED_FEES: 'relayedFees' },
+  consume: jest.fn(),
+  release: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const quotaService = require('../../src/services/quota.service');
+const { meterQuota, countDocuments } = require('../../src/middlewares/quota.middleware');
+
+describe('meterQuota with countDocuments', () => {
+  const quota = {
+    metric: 'timestamps',
+    period: 'daily',
+    used: 3,
+    limit: 10,
+    remaining: 7,
+    resetsAt: '2026-03-16T00:00:00.000Z'
+  };
+  let handler;
+
+  const app = express();
+  app.use(express.json());
+  app.post('/prepare-transactions',
+    (req, res, next) => {
+      req.apiKey = { tenantId: 'tenant' };
+      next();
+    },
+    meterQuota(quotaService.METRICS.TIMESTAMPS, countDocuments),
+    (req, res) => handler(req, res)
+  );
+
+  const prepare = documents => request(app).post('/prepare-transactions').send({ documents });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler = (req, res) => res.json({ success: true });
+    quotaService.consume.mockResolvedValue({ status: 'ok', quota });
+  });
+
+  it('counts the documents of a prepare-transactions body', () => {
+    expect(countDocuments({ body: { documents: [{}, {}, {}] } })).toBe(3);
+    expect(countDocuments({ body: { data: 'Hello' } })).toBe(1);
+  });
+
+  it('meters every document of the batch and sets the quota headers', async () => {
+    const response = await prepare([{ data: 'a' }, { data: 'b' }, { data: 'c' }]);
+
+    expect(response.status).toBe(200);
+    expect(quotaService.consume).toHaveBeenCalledWith('tenant', 'timestamps', 3);
+    expect(response.headers['x-quota-used']).toBe('3');
+    expect(response.headers['x-quota-remaining']).toBe('7');
+    expect(quotaService.release).not.toHaveBeenCalled();
+  });
+
+  it('refuses a batch larger than the tenant allows', async () => {
+    quotaService.consume.mockResolvedValue({ status: 'batch_too_large', maxBatchSize: 2 });
+
+    const response = await prepare([{ data: 'a' }, { data: 'b' }, { data: 'c' }]);
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.code).toBe('QUOTA_BATCH_TOO_LARGE');
+    expect(response.body.error.details).toEqual({ maxBatchSize: 2, size: 3 });
+  });
+
+  it('refuses a batch that exceeds the quota', async () => {
+    quotaService.consume.mockResolvedValue({ status: 'exceeded', quota: { ...quota, used: 10, remaining: 0 } });
+
+    const response = await prepare([{ data: 'a' }, { data: 'b' }]);
+
+    expect(response.status).toBe(429);
+    expect(response.body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(response.body.error.details.requested).toBe(2);
+    expect(response.headers['x-quota-remaining']).toBe('0');
+  });
+
+  it('gives the documents back when the batch is rejected', async () => {
+    handler = (req, res) => res.status(409).json({ success: false });
+
+    const response = await prepare([{ data: 'a' }, { data: 'b' }]);
+
+    expect(response.status).toBe(409);
+    expect(quotaService.release).toHaveBeenCalledWith('tenant', 'timestamps', 2);
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  getHashField: jest.fn(),
+  increment: jest.fn(),
+  decrementExisting: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const config = require('../../src/config');
+const quotaService = require('../../src/services/quota.service');
+
+const { METRICS } = quotaService;
+
+describe('QuotaService', () => {
+  const counters = new Map();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-15T12:00:00Z') });
+    jest.clearAllMocks();
+    counters.clear();
+    config.quotas.timestampsDaily = 10;
+    config.quotas.timestampsMonthly = 100;
+    config.quotas.maxBatchSize = 50;
+    cacheService.getHashField.mockResolvedValue(null);
+    cacheService.increment.mockImplementation(async (key, amount) => {
+      counters.set(key, (counters.get(key) || 0) + amount);
+      return counters.get(key);
+    });
+    cacheService.decrementExisting.mockImplementation(async (key, amount) => {
+      if (!counters.has(key)) {
+        return null;
+      }
+      counters.set(key, counters.get(key) - amount);
+      return counters.get(key);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts consumption per day and month with a TTL past the end of the window', async () => {
+    const result = await quotaService.consume('acme', METRICS.TIMESTAMPS, 3);
+
+    expect(result.status).toBe('allowed');
+    expect(result.quota).toMatchObject({ period: 'daily', used: 3, limit: 10, remaining: 7 });
+    expect(cacheService.increment).toHaveBeenCalledWith('usage:acme:timestamps:2026-03-15', 3, 12 * 60 * 60 + 62 * 24 * 60 * 60);
+    expect(cacheService.increment).toHaveBeenCalledWith('usage:acme:timestamps:2026-03', 3, expect.any(Number));
+  });
+
+  it('gives back a refused consumption without touching other counters', async () => {
+    await quotaService.consume('acme', METRICS.TIMESTAMPS, 8);
+
+    const result = await quotaService.consume('acme', METRICS.TIMESTAMPS, 5);
+
+    expect(result.status).toBe('exceeded');
+    expect(result.quota).toMatchObject({ period: 'daily', used: 8, remaining: 2 });
+    expect(counters.get('usage:acme:timestamps:2026-03-15')).toBe(8);
+    expect(counters.get('usage:acme:timestamps:2026-03')).toBe(8);
+    expect(cacheService.increment).not.toHaveBeenCalledWith(expect.any(String), -5);
+  });
+
+  it('does not recreate a counter that expired before the release', async () => {
+    await quotaService.consume('acme', METRICS.TIMESTAMPS, 2);
+    counters.delete('usage:acme:timestamps:2026-03-15');
+
+    await quotaService.release('acme', METRICS.TIMESTAMPS, 2);
+
+    expect(cacheService.decrementExisting).toHaveBeenCalledTimes(2);
+    expect(counters.has('usage:acme:timestamps:2026-03-15')).toBe(false);
+    expect(counters.get('usage:acme:timestamps:2026-03')).toBe(0);
+  });
+
+  it('refuses batches over maxBatchSize before counting them', async () => {
+    const result = await quotaService.consume('acme', METRICS.TIMESTAMPS, 51);
+
+    expect(result).toEqual({ status: 'batch_too_large', maxBatchSize: 50 });
+    expect(cacheService.increment).not.toHaveBeenCalled();
+  });
+
+  it('serves requests unmetered without Redis', async () => {
+    cacheService.increment.mockResolvedValue(null);
+
+    expect(await quotaService.consume('acme', METRICS.TIMESTAMPS, 1)).toEqual({ status: 'allowed', quota: null });
+  });
+});
+
+describe('CacheService.decrementExisting', () => {
+  const cacheService = jest.requireActual('../../src/services/cache.service');
+
+  afterEach(() => {
+    cacheService.connected = false;
+  });
+
+  it('decrements in a script that leaves missing keys alone', async () => {
+    cacheService.connected = true;
+    cacheService.evalAsync = jest.fn().mockResolvedValue(null);
+
+    expect(await cacheService.decrementExisting('usage:acme:timestamps:2026-03', 2)).toBeNull();
+
+    const [script, keyCount, key, amount] = cacheService.evalAsync.mock.calls[0];
+    expect(script).toMatch(/EXISTS[\s\S]*DECRBY/);
+    expect([keyCount, key, amount]).toEqual([1, 'usage:acme:timestamps:2026-03', 2]);
+  });
+
+  it('skips the decrement when Redis is not connected', async () => {
+    cacheService.evalAsync = jest.fn();
+
+    expect(await cacheService.decrementExisting('usage:acme:timestamps:2026-03', 2)).toBeNull();
+    expect(cacheService.evalAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  cacheTimestamp: jest.fn().mockResolvedValue(true),
+  getCachedTimestamp: jest.fn().mockResolvedValue(null)
+}));
+
+const config = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const registryService = require('../../src/services/registry.service');
+
+describe('RegistryService', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    config.registry.path = directory;
+
+    registryService.records = new Map();
+    registryService.transactionIndex = new Map();
+    registryService.offset = 0;
+    registryService.pending = '';
+    await registryService.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('indexes the lines written by another worker once under concurrent refreshes', async () => {
+    const line = JSON.stringify({ dataHash: 'a'.repeat(64), status: 'confirmed', transactionHash: 'b'.repeat(64) });
+
+    // Another worker is halfway through writing its line
+    fs.appendFileSync(registryService.filePath, line.substring(0, 20));
+    await Promise.all([registryService.refresh(), registryService.refresh()]);
+    expect(registryService.pending).toBe(line.substring(0, 20));
+
+    fs.appendFileSync(registryService.filePath, line.substring(20) + '\n');
+    await Promise.all([registryService.refresh(), registryService.refresh(), registryService.refresh()]);
+
+    expect(registryService.pending).toBe('');
+    expect(registryService.records.get('a'.repeat(64)).status).toBe('confirmed');
+    expect(logger.warn).not.toHaveBeenCalledWith('Skipping corrupted registry line', expect.anything());
+  });
+
+  it('keeps every record saved concurrently', async () => {
+    const hashes = Array.from({ length: 20 }, (_, index) => index.toString(16).padStart(64, '0'));
+
+    await Promise.all(hashes.map(hash => registryService.save(hash, { status: 'pending' })));
+
+    // A fresh read of the file sees the same records
+    registryService.records = new Map();
+    registryService.offset = 0;
+    await registryService.refresh();
+
+    expect(registryService.records.size).toBe(hashes.length);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('merges concurrent saves of the same record', async () => {
+    const dataHash = 'c'.repeat(64);
+    await registryService.save(dataHash, { status: 'prepared', metadata: { userId: 'u1' } });
+
+    await Promise.all([
+      registryService.save(dataHash, { transactionHash: 'd'.repeat(64) }),
+      registryService.save(dataHash, { metadata: { fileName: 'a.pdf' } }),
+      registryService.updateStatus(dataHash, 'pending')
+    ]);
+
+    registryService.records = new Map();
+    registryService.offset = 0;
+    await registryService.refresh();
+
+    const record = registryService.records.get(dataHash);
+    expect(record.transactionHash).toBe('d'.repeat(64));
+    expect(record.metadata).toEqual({ userId: 'u1', fileName: 'a.pdf' });
+    expect(record.history.map(entry => entry.status)).toEqual(['prepared', 'pending']);
+  });
+
+  it('saves many records with a single append', async () => {
+    const hashes = Array.from({ length: 5 }, (_, index) => index.toString(16).padStart(64, '0'));
+    await registryService.save(hashes[0], { status: 'queued', metadata: { userId: 'u1' } });
+    const appendFile = jest.spyOn(fs.promises, 'appendFile');
+
+    const records = await registryService.saveMany(hashes.map(hash => ({
+      dataHash: hash,
+      changes: { status: 'prepared', metadata: { type: 'merkle-batch' } }
+    })));
+
+    expect(appendFile).toHaveBeenCalledTimes(1);
+    appendFile.mockRestore();
+    expect(records).toHaveLength(hashes.length);
+    expect(records[0].metadata).toEqual({ userId: 'u1', type: 'merkle-batch' });
+    expect(records[0].history.map(entry => entry.status)).toEqual(['queued', 'prepared']);
+
+    registryService.records = new Map();
+    registryService.offset = 0;
+    await registryService.refresh();
+
+    expect(registryService.records.size).toBe(hashes.length);
+    expect(registryService.records.get(hashes[4]).status).toBe('prepared');
+  });
+});
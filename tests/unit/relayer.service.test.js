@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { Address, Transaction } = require('@multiversx/sdk-core');
+const { UserSecretKey, UserSigner } = require('@multiversx/sdk-wallet');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  get: jest.fn(),
+  increment: jest.fn(),
+  decrementExisting: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const config = require('../../src/config');
+const multiversXConfig = require('../../src/config/multiversx');
+const relayerService = require('../../src/services/relayer.service');
+
+/**
+ * Address whose public key ends with a given byte (the byte picks the shard)
+ * @param {number} lastByte - Last byte of the public key
+ * @returns {Address} Address
+ */
+const addressEndingWith = (lastByte) => {
+  const pubkey = Buffer.alloc(32, 7);
+  pubkey[31] = lastByte;
+  return new Address(pubkey);
+};
+
+describe('RelayerService shards', () => {
+  it('computes the shard from the last byte of the public key', () => {
+    expect(relayerService.getShard(addressEndingWith(0x00))).toBe(0);
+    expect(relayerService.getShard(addressEndingWith(0x01))).toBe(1);
+    expect(relayerService.getShard(addressEndingWith(0x02))).toBe(2);
+    // 3 is not a shard: the last bit decides
+    expect(relayerService.getShard(addressEndingWith(0x03))).toBe(1);
+    expect(relayerService.getShard(addressEndingWith(0xfc))).toBe(0);
+  });
+
+  it('relays only the senders of its own shard', () => {
+    jest.spyOn(multiversXConfig, 'getSigner').mockReturnValue({ getAddress: () => addressEndingWith(0x06) });
+
+    expect(relayerService.canRelay(addressEndingWith(0x02))).toBe(true);
+    expect(relayerService.canRelay(addressEndingWith(0x01))).toBe(false);
+  });
+});
+
+describe('RelayerService budget', () => {
+  const apiKeyId = 'key-1';
+  // 0.000100000 EGLD, 100000 gwei
+  const transaction = { gasLimit: 100000, gasPrice: 1000000000 };
+  let counters;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    config.relayer.budget = '0.00025';
+    config.relayer.budgetPeriod = 86400;
+    counters = new Map();
+    cacheService.get.mockImplementation(async key => counters.get(key) || null);
+    cacheService.increment.mockImplementation(async (key, amount) => {
+      counters.set(key, (counters.get(key) || 0) + amount);
+      return counters.get(key);
+    });
+    cacheService.decrementExisting.mockImplementation(async (key, amount) => {
+      if (!counters.has(key)) {
+        return null;
+      }
+      counters.set(key, counters.get(key) - amount);
+      return counters.get(key);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('rounds the maximum fee up to the gwei', () => {
+    expect(relayerService.getFee(transaction)).toBe(100000);
+    expect(relayerService.getFee({ gasLimit: 1, gasPrice: 1 })).toBe(1);
+  });
+
+  it('counts the budget per key and period', () => {
+    const window = relayerService.getBudgetWindow(apiKeyId);
+
+    expect(window.key).toBe(`relayer:budget:${apiKeyId}:${Math.floor(Date.now() / 1000 / 86400)}`);
+    expect(window.resetsAt).toBe('2026-01-02T00:00:00.000Z');
+  });
+
+  it('charges transactions until the budget is spent', async () => {
+    expect((await relayerService.charge(apiKeyId, transaction)).charged).toBe(true);
+    const second = await relayerService.charge(apiKeyId, transaction);
+    expect(second).toMatchObject({ charged: true, budget: { spent: '0.000200000', remaining: '0.000050000' } });
+
+    const refused = await relayerService.charge(apiKeyId, transaction);
+    expect(refused).toMatchObject({ charged: false, budget: { spent: '0.000200000' } });
+    expect(cacheService.increment).toHaveBeenCalledWith(expect.any(String), 100000, 86400);
+    expect(cacheService.increment).not.toHaveBeenCalledWith(expect.any(String), -100000);
+  });
+
+  it('checks the budget of several transactions at once', async () => {
+    expect((await relayerService.checkBudget(apiKeyId, [transaction, transaction])).allowed).toBe(true);
+    expect((await relayerService.checkBudget(apiKeyId, [transaction, transaction, transaction])).allowed).toBe(false);
+  });
+
+  it('gives back a refunded fee without recreating an expired counter', async () => {
+    await relayerService.charge(apiKeyId, transaction);
+    await relayerService.refund(apiKeyId, transaction);
+    expect((await relayerService.getBudget(apiKeyId)).spent).toBe('0.000000000');
+
+    counters.clear();
+    await relayerService.refund(apiKeyId, transaction);
+    expect(counters.size).toBe(0);
+  });
+
+  it('refuses to relay without the budget store', async () => {
+    cacheService.increment.mockResolvedValue(null);
+
+    await expect(relayerService.charge(apiKeyId, transaction)).rejects.toThrow('Relayer budget store unavailable');
+  });
+});
+
+describe('RelayerService co-signing', () => {
+  const relayerKey = new UserSecretKey(crypto.createHash('sha256').update('relayer wallet').digest());
+  const userKey = new UserSecretKey(crypto.createHash('sha256').update('user wallet').digest());
+  const relayer = relayerKey.generatePublicKey().toAddress().bech32();
+  const sender = userKey.generatePublicKey().toAddress().bech32();
+  let doPostGeneric;
+
+  beforeEach(() => {
+    doPostGeneric = jest.fn().mockResolvedValue({ txHash: 'c'.repeat(64) });
+    jest.spyOn(multiversXConfig, 'getSigner').mockReturnValue(new UserSigner(relayerKey));
+    jest.spyOn(multiversXConfig, 'getNetworkProvider').mockReturnValue({ doPostGeneric });
+  });
+
+  it('names the service wallet as relayer', () => {
+    expect(relayerService.toRelayed({ sender, version: 1 })).toEqual({ sender, version: 2, relayer });
+  });
+
+  it('co-signs the transaction with the relayer field and sends both signatures', async () => {
+    const transaction = Transaction.fromPlainObject({
+      nonce: 5,
+      value: '0',
+      sender,
+      receiver: sender,
+      gasPrice: 1000000000,
+      gasLimit: 150000,
+      data: Buffer.from('hello').toString('base64'),
+      chainID: 'D',
+      version: 2,
+      signature: 'ab'.repeat(64)
+    });
+
+    expect(await relayerService.broadcast(transaction)).toBe('c'.repeat(64));
+
+    const [route, body] = doPostGeneric.mock.calls[0];
+    expect(route).toBe('transactions');
+    expect(body).toMatchObject({ sender, relayer, signature: 'ab'.repeat(64) });
+
+    const signed = JSON.parse(relayerService.serializeForSigning(transaction, relayer).toString());
+    expect(signed.relayer).toBe(relayer);
+    expect(signed.signature).toBeUndefined();
+    const publicKey = relayerKey.generatePublicKey();
+    expect(publicKey.verify(relayerService.serializeForSigning(transaction, relayer), Buffer.from(body.relayerSignature, 'hex'))).toBe(true);
+  });
+});
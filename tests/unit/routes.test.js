@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn(),
+  logRequest: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  getHashField: jest.fn(),
+  setHashField: jest.fn(),
+  getHash: jest.fn(),
+  setIfAbsent: jest.fn(),
+  getCachedVerification: jest.fn()
+}));
+
+jest.mock('../../src/services/quota.service', () => ({
+  METRICS: { TIMESTAMPS: 'timestamps', VERIFICATIONS: 'verifications', RELAYED_FEES: 'relayedFees' },
+  getUsage: jest.fn(),
+  consume: jest.fn(),
+  release: jest.fn()
+}));
+
+const cacheService = require('../../src/services/cache.service');
+const quotaService = require('../../src/services/quota.service');
+const config = require('../../src/config');
+const apiKeyService = require('../../src/services/apikey.service');
+const apiRoutes = require('../../src/routes');
+
+const app = express();
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use('/api/v1', apiRoutes);
+
+/**
+ * Signature headers of a request
+ * @param {string} secret - Signing secret (an operator key signs with the key itself)
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with query string
+ * @param {Buffer} body - Raw body (undefined without a body)
+ * @returns {object} Headers
+ */
+const signatureHeaders = (secret, method, path, body) => {
+  const unsigned = {
+    method,
+    path,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce: `nonce-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    body
+  };
+  return {
+    'X-Key-Id': apiKeyService.getEnvironmentKeyId(secret),
+    'X-Timestamp': unsigned.timestamp,
+    'X-Nonce': unsigned.nonce,
+    'X-Signature': apiKeyService.sign(secret, unsigned)
+  };
+};
+
+/**
+ * Stored record and key of a tenant key
+ * @param {string} id - Key ID
+ * @param {array} scopes - Granted scopes
+ * @returns {object} { record, key }
+ */
+const tenantKey = (id, scopes) => {
+  const secret = 's'.repeat(32);
+  const salt = id.repeat(2);
+  return {
+    key: `mvx_${id}_${secret}`,
+    record: {
+      id,
+      tenantId: 'acme',
+      name: 'Acme',
+      scopes,
+      salt,
+      hash: apiKeyService.hashSecret(secret, salt),
+      createdAt: '2026-01-01T00:00:00.000Z'
+    }
+  };
+};
+
+describe('API router scopes', () => {
+  const timestampKey = tenantKey('0123456789abcdef', ['timestamp:create']);
+  const adminKey = tenantKey('fedcba9876543210', ['admin']);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.server.apiKeys = ['operator-key-for-route-tests'];
+    const records = { [timestampKey.record.id]: timestampKey.record, [adminKey.record.id]: adminKey.record };
+    cacheService.getHashField.mockImplementation(async (key, field) => (key === 'apikeys' ? records[field] || null : null));
+    cacheService.getHash.mockImplementation(async key => (key === 'apikeys' ? records : {}));
+    quotaService.getUsage.mockResolvedValue({ tenantId: 'acme' });
+  });
+
+  it('refuses the admin endpoints to a key without the admin scope', async () => {
+    const response = await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', timestampKey.key);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe('INSUFFICIENT_SCOPE');
+    expect(response.body.error.details).toEqual({ required: 'admin', granted: ['timestamp:create'] });
+    expect(cacheService.getHash).not.toHaveBeenCalled();
+  });
+
+  it('opens the admin endpoints to an admin key', async () => {
+    const response = await request(app).get('/api/v1/admin/api-keys').set('X-API-Key', adminKey.key);
+
+    expect(response.status).toBe(200);
+    expect(cacheService.getHash).toHaveBeenCalledWith('apikeys');
+  });
+
+  it('reports the usage of the tenant to a key of any scope', async () => {
+    const response = await request(app).get('/api/v1/usage').set('X-API-Key', timestampKey.key);
+
+    expect(response.status).toBe(200);
+    expect(quotaService.getUsage).toHaveBeenCalledWith('acme', undefined);
+  });
+
+  it('requires an API key for the usage', async () => {
+    const response = await request(app).get('/api/v1/usage');
+
+    expect(response.status).toBe(401);
+    expect(quotaService.getUsage).not.toHaveBeenCalled();
+  });
+
+  it('refuses the verification endpoints without the verify:read scope', async () => {
+    const response = await request(app).get(`/api/v1/transaction/${'a'.repeat(64)}/status`).set('X-API-Key', timestampKey.key);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.details.required).toBe('verify:read');
+  });
+});
+
+describe('API router with signed requests', () => {
+  const operatorKey = 'operator-key-for-route-tests';
+  const nonces = new Set();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nonces.clear();
+    config.server.apiKeys = [operatorKey];
+    cacheService.setIfAbsent.mockImplementation(async key => {
+      if (nonces.has(key)) {
+        return false;
+      }
+      nonces.add(key);
+      return true;
+    });
+  });
+
+  it('authenticates a signed transaction request once, so its nonce is not replayed', async () => {
+    const body = '{"data":"Hello"}';
+
+    const response = await request(app)
+      .post('/api/v1/prepare-transaction')
+      .set(signatureHeaders(operatorKey, 'POST', '/api/v1/prepare-transaction', Buffer.from(body)))
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    // Past authentication, the body is refused for its missing userAddress
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(cacheService.setIfAbsent).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves a signed transaction status request', async () => {
+    const path = `/api/v1/transaction/${'a'.repeat(64)}/status`;
+    cacheService.getCachedVerification.mockResolvedValue({ transactionHash: 'a'.repeat(64), status: 'success' });
+
+    const response = await request(app).get(path).set(signatureHeaders(operatorKey, 'GET', path, undefined));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('success');
+    expect(cacheService.setIfAbsent).toHaveBeenCalledTimes(1);
+  });
+
+  it('still refuses a replayed signature', async () => {
+    const path = `/api/v1/transaction/${'a'.repeat(64)}/status`;
+    const headers = signatureHeaders(operatorKey, 'GET', path, undefined);
+    cacheService.getCachedVerification.mockResolvedValue({ status: 'success' });
+
+    expect((await request(app).get(path).set(headers)).status).toBe(200);
+
+    const replayed = await request(app).get(path).set(headers);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.error.code).toBe('SIGNATURE_REPLAYED');
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/registry.service', () => ({
+  STATUS: { PREPARED: 'prepared', PENDING: 'pending', CONFIRMED: 'confirmed', FAILED: 'failed' },
+  updateStatus: jest.fn(),
+  findAll: jest.fn()
+}));
+
+jest.mock('../../src/services/nonce.service', () => ({
+  markSent: jest.fn()
+}));
+
+jest.mock('../../src/services/webhook.service', () => ({
+  notify: jest.fn()
+}));
+
+const { TransactionOnNetwork } = require('@multiversx/sdk-network-providers');
+const registryService = require('../../src/services/registry.service');
+const nonceService = require('../../src/services/nonce.service');
+const multiversXConfig = require('../../src/config/multiversx');
+const blockchainService = require('../../src/services/blockchain.service');
+const trackerService = require('../../src/services/tracker.service');
+
+describe('TrackerService.check', () => {
+  const userAddress = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  const otherAddress = 'erd1spyavw0956vq68xj8y4tenjpq2wd5a9p2c6j8gsz7ztyrnpxrruqzu66jx';
+  const dataHash = 'a'.repeat(64);
+  const transactionHash = 'b'.repeat(64);
+  let getTransaction;
+
+  const record = () => ({
+    dataHash,
+    status: 'prepared',
+    pendingVerification: {
+      transactionHash,
+      sender: userAddress,
+      receiver: userAddress,
+      submittedAt: new Date().toISOString()
+    }
+  });
+
+  const onNetwork = sender => TransactionOnNetwork.fromApiHttpResponse(transactionHash, {
+    nonce: 42,
+    sender,
+    receiver: userAddress,
+    status: 'pending',
+    data: Buffer.from(JSON.stringify({ dataHash, metadata: { service: 'multiversx-timestamp' } })).toString('base64')
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getTransaction = jest.fn();
+    jest.spyOn(multiversXConfig, 'getNetworkProvider').mockReturnValue({ getTransaction });
+    registryService.updateStatus.mockImplementation(async (hash, status, changes) => ({ dataHash: hash, status, ...changes }));
+  });
+
+  it('tracks registrations waiting for verification', () => {
+    expect(trackerService.isTracked(record())).toBe(true);
+    expect(trackerService.getTrackedHash(record())).toBe(transactionHash);
+  });
+
+  it('marks a verified registration pending and its nonce sent', async () => {
+    getTransaction.mockResolvedValue(onNetwork(userAddress));
+
+    expect(await trackerService.check(record())).toBe(false);
+
+    expect(nonceService.markSent).toHaveBeenCalledWith(userAddress, 42);
+    expect(registryService.updateStatus).toHaveBeenCalledWith(dataHash, 'pending', expect.objectContaining({
+      transactionHash,
+      userAddress,
+      pendingVerification: undefined
+    }));
+  });
+
+  it('fails a registration whose transaction does not match without marking the nonce sent', async () => {
+    getTransaction.mockResolvedValue(onNetwork(otherAddress));
+
+    expect(await trackerService.check(record())).toBe(true);
+
+    expect(nonceService.markSent).not.toHaveBeenCalled();
+    const [, status, changes] = registryService.updateStatus.mock.calls[0];
+    expect(status).toBe('failed');
+    expect(changes.error.code).toBe('TX_SENDER_MISMATCH');
+  });
+
+  it('leaves an unknown transaction prepared until it expires', async () => {
+    getTransaction.mockRejectedValue(new Error('not found'));
+
+    expect(await trackerService.check(record())).toBe(false);
+    expect(registryService.updateStatus).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,343 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+jest.mock('../../src/services/cache.service', () => ({
+  getPreparedTransaction: jest.fn(),
+  storePreparedTransaction: jest.fn(),
+  deletePreparedTransaction: jest.fn()
+}));
+
+jest.mock('../../src/services/registry.service', () => ({
+  STATUS: { PREPARED: 'prepared', PENDING: 'pending', CONFIRMED: 'confirmed', FAILED: 'failed' },
+  findByDataHash: jest.fn(),
+  save: jest.fn(),
+  updateStatus: jest.fn()
+}));
+
+jest.mock('../../src/services/nonce.service', () => ({
+  reserve: jest.fn(),
+  markSent: jest.fn(),
+  release: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { Transaction } = require('@multiversx/sdk-core');
+const { UserSecretKey } = require('@multiversx/sdk-wallet');
+const { TransactionOnNetwork } = require('@multiversx/sdk-network-providers');
+const cacheService = require('../../src/services/cache.service');
+const registryService = require('../../src/services/registry.service');
+const nonceService = require('../../src/services/nonce.service');
+const multiversXConfig = require('../../src/config/multiversx');
+const blockchainService = require('../../src/services/blockchain.service');
+const relayerService = require('../../src/services/relayer.service');
+const priceService = require('../../src/services/price.service');
+const config = require('../../src/config');
+const transactionController = require('../../src/controllers/transaction.controller');
+
+describe('TransactionController.registerSignedTransaction', () => {
+  const userAddress = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  const otherAddress = 'erd1spyavw0956vq68xj8y4tenjpq2wd5a9p2c6j8gsz7ztyrnpxrruqzu66jx';
+  const dataHash = 'a'.repeat(64);
+  const transactionHash = 'b'.repeat(64);
+  let getTransaction;
+  let res;
+
+  const register = () => transactionController.registerSignedTransaction({
+    body: { transactionHash, dataHash, userAddress, callbackUrl: 'https://example.com/hook' }
+  }, res);
+
+  const onNetwork = sender => TransactionOnNetwork.fromApiHttpResponse(transactionHash, {
+    nonce: 42,
+    sender,
+    receiver: userAddress,
+    status: 'success',
+    data: Buffer.from(JSON.stringify({ dataHash, metadata: { service: 'multiversx-timestamp' } })).toString('base64')
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    cacheService.getPreparedTransaction.mockResolvedValue({
+      userAddress,
+      transaction: { nonce: 7, receiver: userAddress },
+      metadata: {}
+    });
+    getTransaction = jest.fn();
+    jest.spyOn(multiversXConfig, 'getNetworkProvider').mockReturnValue({ getTransaction });
+    jest.spyOn(blockchainService, 'getConfirmation').mockResolvedValue({ confirmationLevel: 'executed' });
+  });
+
+  it('keeps the record prepared and the nonce only reserved while the transaction is unknown', async () => {
+    getTransaction.mockRejectedValue(new Error('not found'));
+
+    await register();
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(nonceService.markSent).not.toHaveBeenCalled();
+    expect(registryService.updateStatus).not.toHaveBeenCalled();
+    expect(registryService.save).toHaveBeenCalledWith(dataHash, {
+      pendingVerification: expect.objectContaining({ transactionHash, sender: userAddress, receiver: userAddress })
+    });
+    expect(registryService.save.mock.calls[0][1].status).toBeUndefined();
+  });
+
+  it('does not reserve the nonce of a transaction that does not match', async () => {
+    getTransaction.mockResolvedValue(onNetwork(otherAddress));
+
+    await register();
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json.mock.calls[0][0].error.code).toBe('TX_SENDER_MISMATCH');
+    expect(nonceService.markSent).not.toHaveBeenCalled();
+    expect(registryService.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('marks the nonce sent once the transaction is checked', async () => {
+    getTransaction.mockResolvedValue(onNetwork(userAddress));
+
+    await register();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(nonceService.markSent).toHaveBeenCalledWith(userAddress, 42);
+    expect(registryService.updateStatus).toHaveBeenCalledWith(dataHash, 'confirmed', expect.objectContaining({ transactionHash }));
+  });
+});
+
+describe('TransactionController.prepareTransaction', () => {
+  const userAddress = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  const contractAddress = 'erd1spyavw0956vq68xj8y4tenjpq2wd5a9p2c6j8gsz7ztyrnpxrruqzu66jx';
+  let res;
+
+  const prepare = () => transactionController.prepareTransaction({
+    body: { userAddress, data: 'Hello' },
+    apiKey: { id: 'key' }
+  }, res);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    config.multiversx.contractAddress = undefined;
+    registryService.findByDataHash.mockResolvedValue(null);
+    cacheService.getPreparedTransaction.mockResolvedValue(null);
+    nonceService.reserve.mockResolvedValue(7);
+    jest.spyOn(blockchainService, 'computeGas').mockResolvedValue({ gasLimit: 100000, gasPrice: 1000000000, estimatedCost: {} });
+  });
+
+  afterAll(() => {
+    config.multiversx.contractAddress = undefined;
+  });
+
+  it('prepares a self-transfer without a configured receiver', async () => {
+    await prepare();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.transaction).toMatchObject({ sender: userAddress, receiver: userAddress, nonce: 7 });
+  });
+
+  it('sends to MULTIVERSX_CONTRACT_ADDRESS like the service-prepared transactions', async () => {
+    config.multiversx.contractAddress = contractAddress;
+
+    await prepare();
+
+    const { transaction } = res.json.mock.calls[0][0].data;
+    expect(transaction.receiver).toBe(contractAddress);
+    expect(cacheService.storePreparedTransaction.mock.calls[0][1].transaction.receiver).toBe(contractAddress);
+  });
+});
+
+describe('TransactionController.prepareTransactions', () => {
+  const userAddress = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+  let res;
+
+  const prepare = (documents, body = {}) => transactionController.prepareTransactions({
+    body: { userAddress, documents, ...body },
+    apiKey: { id: 'key' }
+  }, res);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    registryService.findByDataHash.mockResolvedValue(null);
+    cacheService.getPreparedTransaction.mockResolvedValue(null);
+    nonceService.reserve.mockResolvedValue(10);
+    jest.spyOn(blockchainService, 'computeGas').mockResolvedValue({
+      gasLimit: 100000,
+      gasPrice: 1000000000,
+      estimatedCost: { fee: '100000000000000' }
+    });
+    jest.spyOn(priceService, 'convert').mockResolvedValue({});
+  });
+
+  it('prepares one transaction per document with consecutive nonces', async () => {
+    await prepare([{ data: 'first' }, { data: 'second' }]);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(nonceService.reserve).toHaveBeenCalledTimes(1);
+    expect(nonceService.reserve).toHaveBeenCalledWith(userAddress, blockchainService.PREPARED_TRANSACTION_TTL, 2);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.count).toBe(2);
+    expect(data.transactions.map(prepared => prepared.transaction.nonce)).toEqual([10, 11]);
+    expect(data.estimatedCost.fee).toBe('200000000000000');
+    expect(cacheService.storePreparedTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects the same data appearing twice', async () => {
+    await prepare([{ data: 'same' }, { data: 'other' }, { data: 'same' }]);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    const { error } = res.json.mock.calls[0][0];
+    expect(error.code).toBe('DUPLICATE_DATA');
+    expect(error.details.dataHashes).toHaveLength(1);
+    expect(nonceService.reserve).not.toHaveBeenCalled();
+  });
+
+  it('names the document already timestamped', async () => {
+    registryService.findByDataHash
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ status: 'confirmed' });
+
+    await prepare([{ data: 'new' }, { data: 'anchored' }]);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    const { error } = res.json.mock.calls[0][0];
+    expect(error.code).toBe('CONFLICT');
+    expect(error.details.index).toBe(1);
+    expect(nonceService.reserve).not.toHaveBeenCalled();
+    expect(cacheService.storePreparedTransaction).not.toHaveBeenCalled();
+  });
+
+  it('releases every reserved nonce when the relayer budget refuses the batch', async () => {
+    jest.spyOn(relayerService, 'isEnabled').mockReturnValue(true);
+    jest.spyOn(relayerService, 'canRelay').mockReturnValue(true);
+    jest.spyOn(relayerService, 'toRelayed').mockImplementation(transaction => ({ ...transaction, version: 2, relayer: userAddress }));
+    jest.spyOn(relayerService, 'checkBudget').mockResolvedValue({ allowed: false, budget: { remaining: '0' } });
+
+    await prepare([{ data: 'first' }, { data: 'second' }], { relayed: true });
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.json.mock.calls[0][0].error.code).toBe('RELAYER_BUDGET_EXCEEDED');
+    expect(nonceService.release.mock.calls).toEqual([[userAddress, 10], [userAddress, 11]]);
+    expect(cacheService.storePreparedTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('TransactionController.broadcastTransactions', () => {
+  const userKey = new UserSecretKey(crypto.createHash('sha256').update('user wallet').digest());
+  const userAddress = userKey.generatePublicKey().toAddress().bech32();
+  const dataHashes = ['a', 'b', 'c'].map(character => character.repeat(64));
+  let preparedByHash;
+  let sendTransaction;
+  let res;
+
+  const preparedTransaction = (dataHash, nonce) => ({
+    nonce,
+    value: '0',
+    receiver: userAddress,
+    sender: userAddress,
+    gasPrice: 1000000000,
+    gasLimit: 100000,
+    data: Buffer.from(JSON.stringify({ dataHash })).toString('base64'),
+    chainID: 'D',
+    version: 1
+  });
+
+  const sign = (transaction, key = userKey) => ({
+    ...transaction,
+    signature: key.sign(Transaction.fromPlainObject(transaction).serializeForSigning()).toString('hex')
+  });
+
+  const broadcast = transactions => transactionController.broadcastTransactions({
+    body: { transactions },
+    apiKey: { id: 'key', tenantId: 'tenant' }
+  }, res);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    preparedByHash = {};
+    dataHashes.forEach((dataHash, index) => {
+      preparedByHash[dataHash] = { userAddress, transaction: preparedTransaction(dataHash, 5 + index), metadata: {} };
+    });
+    cacheService.getPreparedTransaction.mockImplementation(async dataHash => preparedByHash[dataHash] || null);
+    registryService.updateStatus.mockResolvedValue({});
+    sendTransaction = jest.fn(async transaction => `${transaction.getNonce().valueOf()}`.padStart(64, '0'));
+    jest.spyOn(multiversXConfig, 'getNetworkProvider').mockReturnValue({ sendTransaction });
+  });
+
+  it('sends every transaction in nonce order', async () => {
+    await broadcast([sign(preparedByHash[dataHashes[2]].transaction), sign(preparedByHash[dataHashes[0]].transaction)]);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sendTransaction.mock.calls.map(([transaction]) => transaction.getNonce().valueOf())).toEqual([5, 7]);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toMatchObject({ success: true, total: 2, sent: 2, notSent: 0 });
+    expect(data.results.map(result => result.dataHash)).toEqual([dataHashes[2], dataHashes[0]]);
+    expect(nonceService.markSent).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends nothing and reports each rejected transaction by index', async () => {
+    const otherKey = new UserSecretKey(crypto.createHash('sha256').update('other wallet').digest());
+
+    await broadcast([
+      sign(preparedByHash[dataHashes[0]].transaction),
+      sign(preparedTransaction('d'.repeat(64), 8)),
+      sign(preparedByHash[dataHashes[1]].transaction, otherKey),
+      sign({ ...preparedByHash[dataHashes[2]].transaction, gasLimit: 200000 })
+    ]);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    const { error } = res.json.mock.calls[0][0];
+    expect(error.code).toBe('BATCH_REJECTED');
+    expect(error.details.errors.map(({ index, status, code }) => ({ index, status, code }))).toEqual([
+      { index: 1, status: 404, code: 'NOT_FOUND' },
+      { index: 2, status: 400, code: 'INVALID_SIGNATURE' },
+      { index: 3, status: 400, code: 'TRANSACTION_MISMATCH' }
+    ]);
+    expect(error.details.errors[2].details.fields).toEqual(['gasLimit']);
+    expect(sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects the same prepared transaction signed twice', async () => {
+    const signed = sign(preparedByHash[dataHashes[0]].transaction);
+
+    await broadcast([signed, signed]);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.details.errors.map(({ index, code }) => [index, code]))
+      .toEqual([[0, 'DUPLICATE_DATA'], [1, 'DUPLICATE_DATA']]);
+    expect(sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('stops at the first failed transaction and leaves the higher nonces unsent', async () => {
+    sendTransaction.mockImplementation(async transaction => {
+      if (transaction.getNonce().valueOf() === 6) {
+        throw new Error('nonce too low');
+      }
+      return 'e'.repeat(64);
+    });
+
+    await broadcast(dataHashes.map(dataHash => sign(preparedByHash[dataHash].transaction)).reverse());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body.message).toBe('Broadcast stopped at the first failed transaction');
+    expect(body.data).toMatchObject({ success: false, total: 3, sent: 1, notSent: 2 });
+    expect(body.data.results.map(({ index, dataHash, status }) => ({ index, dataHash, status }))).toEqual([
+      { index: 0, dataHash: dataHashes[2], status: 'not_sent' },
+      { index: 1, dataHash: dataHashes[1], status: 'failed' },
+      { index: 2, dataHash: dataHashes[0], status: 'pending' }
+    ]);
+    expect(body.data.results[1].error.code).toBe('BROADCAST_FAILED');
+    expect(sendTransaction).toHaveBeenCalledTimes(2);
+    expect(registryService.updateStatus).toHaveBeenCalledTimes(1);
+    expect(registryService.updateStatus).toHaveBeenCalledWith(dataHashes[0], 'pending', expect.objectContaining({ nonce: 5 }));
+  });
+});
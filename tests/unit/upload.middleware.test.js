@@ -0,0 +1,220 @@
+const zlib = require('zlib');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logPerformance: jest.fn()
+}));
+
+const config = require('../../src/config');
+const { hashUpload } = require('../../src/middlewares/upload.middleware');
+
+/**
+ * Build a ZIP archive of deflated entries
+ * @param {array} entries - { name, content, declaredSize } (declaredSize overrides the header size)
+ * @returns {Buffer} Archive
+ */
+const zip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content, declaredSize = content.length } of entries) {
+    const compressed = zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(zlib.crc32(content), 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(declaredSize, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(content), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(header, fileName, compressed);
+    centrals.push(central, fileName);
+    offset += header.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const app = express();
+// The ETag of the response would be hashed too
+app.set('etag', false);
+app.post('/upload', hashUpload({ maxFiles: 10, archives: true }), (req, res) => {
+  res.json({ files: req.upload.files });
+});
+
+const single = express();
+single.set('etag', false);
+single.post('/upload', hashUpload(), (req, res) => {
+  res.json({ files: req.upload.files, body: req.body });
+});
+
+describe('hashUpload', () => {
+  beforeEach(() => {
+    config.upload.maxFileSize = 64 * 1024;
+    config.upload.maxTotalSize = 160 * 1024;
+  });
+
+  it('hashes every entry of an archive', async () => {
+    const content = crypto.randomBytes(1000);
+
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', zip([{ name: 'a.bin', content }, { name: 'b.txt', content: Buffer.from('hello') }]), 'docs.zip');
+
+    expect(response.status).toBe(200);
+    expect(response.body.files.map(file => [file.name, file.size, file.digest])).toEqual([
+      ['a.bin', 1000, crypto.createHash('sha256').update(content).digest('hex')],
+      ['b.txt', 5, crypto.createHash('sha256').update('hello').digest('hex')]
+    ]);
+  });
+
+  it('stops inflating an entry that grows past the file limit', async () => {
+    // A few hundred bytes that inflate to 16 MB, with a header understating the size
+    const bomb = zip([{ name: 'bomb.bin', content: Buffer.alloc(16 * 1024 * 1024), declaredSize: 10 }]);
+    const update = jest.spyOn(crypto.Hash.prototype, 'update');
+
+    const response = await request(app).post('/upload').attach('file', bomb, 'bomb.zip');
+
+    const hashed = update.mock.calls.reduce((total, [chunk]) => total + chunk.length, 0);
+    update.mockRestore();
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.code).toBe('FILE_TOO_LARGE');
+    expect(response.body.error.details.file).toBe('bomb.bin');
+    expect(hashed).toBeLessThanOrEqual(config.upload.maxFileSize);
+  });
+
+  it('rejects an entry whose header declares a size past the limit before inflating it', async () => {
+    const archive = zip([{ name: 'big.bin', content: Buffer.alloc(10), declaredSize: 1024 * 1024 }]);
+
+    const response = await request(app).post('/upload').attach('file', archive, 'big.zip');
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.details.file).toBe('big.bin');
+  });
+
+  it('caps the bytes hashed per request', async () => {
+    const entries = ['a', 'b', 'c'].map(name => ({ name, content: Buffer.alloc(60 * 1024, name) }));
+
+    const response = await request(app).post('/upload').attach('file', zip(entries), 'many.zip');
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.code).toBe('UPLOAD_TOO_LARGE');
+    expect(response.body.error.details.maxTotalSize).toBe(config.upload.maxTotalSize);
+  });
+
+  it('rejects a plain file past the file limit', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.alloc(100 * 1024), 'large.bin');
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.code).toBe('FILE_TOO_LARGE');
+  });
+
+  it('hashes a plain file as it streams', async () => {
+    const response = await request(single)
+      .post('/upload')
+      .field('metadata', '{"project":"alpha"}')
+      .attach('file', Buffer.from('hello world'), { filename: 'hello.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.files).toEqual([{
+      fieldName: 'file',
+      name: 'hello.txt',
+      size: 11,
+      mimeType: 'text/plain',
+      algorithm: 'sha256',
+      digest: 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'
+    }]);
+    expect(response.body.body.metadata).toEqual({ project: 'alpha' });
+  });
+
+  it('uses the algorithm field sent before the file', async () => {
+    const response = await request(single)
+      .post('/upload')
+      .field('algorithm', 'sha512')
+      .attach('file', Buffer.from('hello world'), 'hello.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.body.files[0].algorithm).toBe('sha512');
+    expect(response.body.files[0].digest).toBe(crypto.createHash('sha512').update('hello world').digest('hex'));
+  });
+
+  it('rejects an unsupported algorithm', async () => {
+    const response = await request(single)
+      .post('/upload')
+      .field('algorithm', 'md5')
+      .attach('file', Buffer.from('hello world'), 'hello.txt');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details.algorithm).toBe('md5');
+  });
+
+  it('rejects metadata that is not JSON', async () => {
+    const response = await request(single)
+      .post('/upload')
+      .field('metadata', '{project: alpha}')
+      .attach('file', Buffer.from('hello world'), 'hello.txt');
+
+    expect(response.status).toBe(400);
+    expect(JSON.stringify(response.body.error)).toContain('metadata must be a JSON object');
+  });
+
+  it('rejects more files than allowed', async () => {
+    const response = await request(single)
+      .post('/upload')
+      .attach('file', Buffer.from('one'), 'one.txt')
+      .attach('file', Buffer.from('two'), 'two.txt');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('TOO_MANY_FILES');
+    expect(response.body.error.details.maxFiles).toBe(1);
+  });
+
+  it('counts archive entries against the file limit', async () => {
+    const entries = Array.from({ length: 11 }, (_, index) => ({ name: `${index}.txt`, content: Buffer.from(String(index)) }));
+
+    const response = await request(app).post('/upload').attach('file', zip(entries), 'many.zip');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('TOO_MANY_FILES');
+  });
+
+  it('requires a multipart body', async () => {
+    const response = await request(single).post('/upload').send({ data: 'hello' });
+
+    expect(response.status).toBe(415);
+    expect(response.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+  });
+});